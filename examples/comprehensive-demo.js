@@ -9,7 +9,7 @@
  * @requires Node.js 14+
  */
 
-import { Understate } from '../src/index.js';
+import { Understate, createForm, validators, createEntityAdapter } from '../src/index.js';
 
 //=============================================================================
 // Utility Functions
@@ -63,45 +63,42 @@ async function demoBasicCounter() {
 
 /**
  * Demonstrates managing a list-based state with add, remove, and toggle operations.
- * Shows array manipulation patterns and complex state structures.
+ * Shows normalized collections with an entity adapter: records are looked up by id
+ * instead of searched for, and only the records that change are copied.
  */
 async function demoTodoList() {
   printSection('USE CASE 2: Todo List Management');
 
-  const todoState = new Understate({ initial: [] });
+  const todosAdapter = createEntityAdapter();
+  const { selectAll, selectById } = todosAdapter.getSelectors();
+  const todoState = new Understate({ initial: todosAdapter.getInitialState() });
 
   // ID counter for unique IDs
   let todoIdCounter = 1;
 
   // Mutators for todo operations
-  const addTodo = (text) => (todos) => [
-    ...todos,
-    { id: todoIdCounter++, text, completed: false }
-  ];
+  const addTodo = (text) => todosAdapter.addOne({ id: todoIdCounter++, text, completed: false });
 
-  const toggleTodo = (id) => (todos) =>
-    todos.map(todo =>
-      todo.id === id ? { ...todo, completed: !todo.completed } : todo
-    );
+  const toggleTodo = (id) => (state) =>
+    todosAdapter.updateOne({ id, changes: { completed: !selectById(state, id).completed } })(state);
 
-  const removeTodo = (id) => (todos) =>
-    todos.filter(todo => todo.id !== id);
+  const removeTodo = (id) => todosAdapter.removeOne(id);
 
-  console.log('Initial todos:', await todoState.get());
+  console.log('Initial todos:', selectAll(await todoState.get()));
 
   await todoState.set(addTodo('Learn Understate'));
   await todoState.set(addTodo('Build an app'));
   await todoState.set(addTodo('Deploy to production'));
 
-  const todos = await todoState.get();
+  const todos = selectAll(await todoState.get());
   console.log('After adding todos:', JSON.stringify(todos, null, 2));
 
   const firstId = todos[0].id;
   await todoState.set(toggleTodo(firstId));
-  console.log('After toggling first todo:', JSON.stringify(await todoState.get(), null, 2));
+  console.log('After toggling first todo:', JSON.stringify(selectAll(await todoState.get()), null, 2));
 
   await todoState.set(removeTodo(firstId));
-  console.log('After removing first todo:', JSON.stringify(await todoState.get(), null, 2));
+  console.log('After removing first todo:', JSON.stringify(selectAll(await todoState.get()), null, 2));
 }
 
 //=============================================================================
@@ -110,16 +107,12 @@ async function demoTodoList() {
 
 /**
  * Demonstrates asynchronous state management with simulated API calls.
- * Shows loading states, error handling, and async/await patterns.
+ * Shows a resource tracking loading states and errors, caching results per
+ * argument and deduplicating concurrent requests.
  */
 async function demoAsyncDataFetching() {
   printSection('USE CASE 3: Async Data Fetching');
 
-  const dataState = new Understate({
-    initial: { data: null, loading: false, error: null },
-    asynchronous: true
-  });
-
   // Simulated API call
   const fetchUserData = async (userId) => {
     await wait(500);
@@ -129,28 +122,22 @@ async function demoAsyncDataFetching() {
     return { id: userId, name: `User ${userId}`, email: `user${userId}@example.com` };
   };
 
-  // Async mutators (must return promises in async mode)
-  const setLoading = () => async (state) => ({ ...state, loading: true, error: null });
+  // Results stay fresh for a minute, so loading them again does not call the API
+  const dataState = Understate.resource(fetchUserData, { staleTime: 60000 });
 
-  const fetchUser = (userId) => async (state) => {
-    try {
-      const data = await fetchUserData(userId);
-      return { data, loading: false, error: null };
-    } catch (error) {
-      return { data: null, loading: false, error: error.message };
-    }
-  };
+  console.log('Initial state:', dataState.peek());
 
-  console.log('Initial state:', await dataState.get());
+  const loading = dataState.load(42);
+  console.log('Loading state:', dataState.peek());
 
-  await dataState.set(setLoading());
-  console.log('Loading state:', await dataState.get());
+  await loading;
+  console.log('After successful fetch:', dataState.peek());
 
-  await dataState.set(fetchUser(42));
-  console.log('After successful fetch:', await dataState.get());
+  await dataState.load(-1).catch(() => {});
+  console.log('After failed fetch:', dataState.peek());
 
-  await dataState.set(fetchUser(-1));
-  console.log('After failed fetch:', await dataState.get());
+  await dataState.load(42);
+  console.log('Cached again, no request:', dataState.peek().data);
 }
 
 //=============================================================================
@@ -158,64 +145,49 @@ async function demoAsyncDataFetching() {
 //=============================================================================
 
 /**
- * Demonstrates form state management with field updates and validation.
- * Shows nested object updates and validation patterns.
+ * Demonstrates form state management with createForm() and validator combinators.
+ * Shows dirty/touched tracking, dependent fields and submission.
  */
 async function demoFormState() {
   printSection('USE CASE 4: Form State Management');
 
-  const formState = new Understate({
-    initial: {
-      fields: {
-        username: '',
-        email: '',
-        password: ''
-      },
-      errors: {},
-      touched: {},
-      isValid: false
-    }
-  });
+  const { required, minLength, email, matches } = validators;
 
-  // Mutators
-  const updateField = (name, value) => state => ({
-    ...state,
-    fields: { ...state.fields, [name]: value },
-    touched: { ...state.touched, [name]: true }
+  const signup = createForm({
+    fields: {
+      username: '',
+      email: '',
+      password: '',
+      confirm: ''
+    },
+    validators: {
+      username: [required(), minLength(3, 'Username must be at least 3 characters')],
+      email: [required(), email()],
+      password: [required(), minLength(6, 'Password must be at least 6 characters')],
+      confirm: matches('password', 'Passwords do not match')
+    }
   });
 
-  const validateForm = () => state => {
-    const errors = {};
-    const { username, email, password } = state.fields;
+  const summary = ({ values, dirty, errors, valid, submitStatus }) =>
+    JSON.stringify({ values, dirty, errors, valid, submitStatus }, null, 2);
 
-    if (!username || username.length < 3) {
-      errors.username = 'Username must be at least 3 characters';
-    }
-    if (!email || !email.includes('@')) {
-      errors.email = 'Invalid email address';
-    }
-    if (!password || password.length < 6) {
-      errors.password = 'Password must be at least 6 characters';
-    }
-
-    return {
-      ...state,
-      errors,
-      isValid: Object.keys(errors).length === 0
-    };
-  };
+  console.log('Initial form:', summary(signup.peek()));
 
-  console.log('Initial form:', JSON.stringify(await formState.get(), null, 2));
+  await signup.setValue('username', 'jo');
+  await signup.setValue('email', 'john.example.com');
+  console.log('After invalid inputs:', summary(signup.peek()));
 
-  await formState.set(updateField('username', 'jo'));
-  await formState.set(validateForm());
-  console.log('After invalid username:', JSON.stringify(await formState.get(), null, 2));
+  await signup.setValue('username', 'john_doe');
+  await signup.setValue('email', 'john@example.com');
+  await signup.setValue('password', 'secure123');
+  await signup.setValue('confirm', 'secure123');
 
-  await formState.set(updateField('username', 'john_doe'));
-  await formState.set(updateField('email', 'john@example.com'));
-  await formState.set(updateField('password', 'secure123'));
-  await formState.set(validateForm());
-  console.log('After valid inputs:', JSON.stringify(await formState.get(), null, 2));
+  const submitted = await signup.submit(async values => {
+    await wait(50); // Simulate API call
+    console.log('Submitting:', values.username, values.email);
+  });
+  console.log('Submitted:', submitted);
+  console.log('After valid inputs:', summary(signup.peek()));
 }
 
 //=============================================================================
@@ -223,31 +195,25 @@ async function demoFormState() {
 //=============================================================================
 
 /**
- * Demonstrates state history tracking and undo functionality using indexing.
- * Shows how to maintain a history of state changes and retrieve previous states.
+ * Demonstrates state history tracking and undo functionality.
+ * Shows undo and redo over the last edits, and updates left out of the history.
  */
 async function demoStateHistory() {
   printSection('USE CASE 5: State History & Undo');
 
+  // Keep the last 50 edits
   const editorState = new Understate({
-    initial: { text: '', version: 0 },
-    index: true
-  });
-
-  const history = [];
-
-  // Track history
-  editorState.subscribe((state, id) => {
-    if (id) {
-      history.push(id);
-    }
+    initial: { text: '', version: 0, saving: false },
+    history: 50
   });
 
   // Mutators
   const setText = (text) => state => ({
+    ...state,
     text,
     version: state.version + 1
   });
+  const setSaving = (saving) => state => ({ ...state, saving });
 
   console.log('Initial state:', await editorState.get());
 
@@ -260,14 +226,15 @@ async function demoStateHistory() {
   await editorState.set(setText('Hello World!'));
   console.log('Version 3:', await editorState.get());
 
-  console.log('\nHistory length:', history.length);
-  console.log('Retrieving version 1:', await editorState.get(history[0]));
-  console.log('Retrieving version 2:', await editorState.get(history[1]));
+  // Transient flags are not worth undoing
+  await editorState.set(setSaving(true), { history: false });
+  await editorState.set(setSaving(false), { history: false });
+
+  console.log('\nCan undo:', editorState.canUndo(), '- can redo:', editorState.canRedo());
 
-  // Undo to previous state
-  const previousState = await editorState.get(history[history.length - 2]);
-  await editorState.set(() => previousState);
-  console.log('After undo:', await editorState.get());
+  console.log('After undo:', await editorState.undo());
+  console.log('After second undo:', await editorState.undo());
+  console.log('After redo:', await editorState.redo());
 }
 
 //=============================================================================
@@ -276,7 +243,7 @@ async function demoStateHistory() {
 
 /**
  * Demonstrates managing complex nested object structures.
- * Shows deep updates and state composition patterns.
+ * Shows deep updates through path-based lenses with at().
  */
 async function demoNestedState() {
   printSection('USE CASE 6: Complex Nested State');
@@ -310,36 +277,18 @@ async function demoNestedState() {
     }
   });
 
-  // Mutators for nested updates
-  const updateBio = (bio) => state => ({
-    ...state,
-    user: {
-      ...state.user,
-      profile: { ...state.user.profile, bio }
-    }
-  });
+  // Lenses focus on one slice of the state and write it back with structural sharing
+  const bio = userProfile.at('user.profile.bio');
+  const theme = userProfile.at('settings.theme');
+  const notification = (type) => userProfile.at(['settings', 'notifications', type]);
 
-  const toggleNotification = (type) => state => ({
-    ...state,
-    settings: {
-      ...state.settings,
-      notifications: {
-        ...state.settings.notifications,
-        [type]: !state.settings.notifications[type]
-      }
-    }
-  });
-
-  const setTheme = (theme) => state => ({
-    ...state,
-    settings: { ...state.settings, theme }
-  });
+  theme.subscribe((value, previous) => console.log(`Theme changed: ${previous} -> ${value}`));
 
   console.log('Initial profile:', JSON.stringify(await userProfile.get(), null, 2));
 
-  await userProfile.set(updateBio('Software developer and open source enthusiast'));
-  await userProfile.set(toggleNotification('push'));
-  await userProfile.set(setTheme('dark'));
+  await bio.set(() => 'Software developer and open source enthusiast');
+  await notification('push').set(enabled => !enabled);
+  await theme.set(() => 'dark');
 
   console.log('Updated profile:', JSON.stringify(await userProfile.get(), null, 2));
 }
@@ -429,6 +378,23 @@ async function demoErrorHandling() {
   const reset = () => async () => ({ result: null, error: null, status: 'idle' });
   await apiState.set(reset());
   console.log('After reset:', await apiState.get());
+
+  // Optimistic update: show the expected result at once and let Understate
+  // roll it back automatically if the request fails
+  const saveResult = (shouldFail) => async () => {
+    const result = await riskyApiCall(shouldFail);
+    return { result, error: null, status: 'success' };
+  };
+  const optimisticResult = { result: { data: 'Pending data' }, error: null, status: 'success' };
+
+  try {
+    const pending = apiState.set(saveResult(true), { optimistic: optimisticResult });
+    console.log('Optimistic state:', await apiState.get());
+    await pending;
+  } catch (error) {
+    console.log('Optimistic update rolled back:', error.message);
+  }
+  console.log('After rollback:', await apiState.get());
 }
 
 //=============================================================================
@@ -3,7 +3,7 @@
  * Demonstrates how to manage loading states during async operations
  */
 
-import Understate from './../../src/index.js';
+import { Understate } from './../../src/index.js';
 
 // ANSI color codes for terminal output
 const colors = {
@@ -125,30 +125,23 @@ async function runDemo() {
         // Demo 1: Fetch user data
         console.log(`${colors.yellow}Demo 1: Fetching user data...${colors.reset}`);
 
-        await appState.set(async () => ({
-            isLoading: true,
-            operation: 'Fetching user data',
-            data: null,
-            error: null
-        }));
-
-        try {
-            const userData = await fetchUserData(123);
+        // A resource tracks the loading, success and error states by itself
+        const user = Understate.resource(
+            // Try the flaky request a second time before giving up
+            userId => fetchUserData(userId).catch(() => fetchUserData(userId))
+        );
+        user.subscribe(({ fetching, status, data, error }) => {
+            if (fetching) {
+                spinner.start('Fetching user data');
+            } else if (status === 'error') {
+                spinner.stop(`${colors.red}✗ Error:${colors.reset} ${error.message}`);
+            } else {
+                spinner.stop(`${colors.green}✓ Success:${colors.reset} Operation completed`);
+                console.log(`${colors.dim}Data:${colors.reset}`, JSON.stringify(data, null, 2));
+            }
+        });
 
-            await appState.set(() => ({
-                isLoading: false,
-                operation: null,
-                data: userData,
-                error: null
-            }));
-        } catch (error) {
-            await appState.set(() => ({
-                isLoading: false,
-                operation: null,
-                data: null,
-                error: error.message
-            }));
-        }
+        await user.load(123).catch(() => {});
 
         // Wait before next demo
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -176,14 +169,14 @@ async function runDemo() {
 
             const processedData = await processData(rawData);
 
-            await appState.set(() => ({
+            await appState.set(async () => ({
                 isLoading: false,
                 operation: null,
                 data: processedData,
                 error: null
             }));
         } catch (error) {
-            await appState.set(() => ({
+            await appState.set(async () => ({
                 isLoading: false,
                 operation: null,
                 data: null,
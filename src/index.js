@@ -4,6 +4,8 @@
  * Supports synchronous and asynchronous state updates, optional state indexing, and subscription management.
  */
 
+/* global AbortController */
+
 //=============================================================================
 // Utility Functions
 //=============================================================================
@@ -36,621 +38,6287 @@ export const generateId = function() {
 };
 
 /**
- * Validates email format using a regex pattern.
- * Checks if the provided string matches the standard email format.
+ * A character allowed in the unquoted local part of an email address (RFC 5322 atext).
  *
- * @function validateEmail
- * @param {string} email - The email address to validate
- * @returns {boolean} True if the email format is valid, false otherwise
- * @throws {TypeError} If email parameter is not a string
- * @throws {TypeError} If email parameter is null or undefined
- * @public
- * @example
- * validateEmail('user@example.com'); // true
- * validateEmail('invalid.email'); // false
- * validateEmail('test@domain.co.uk'); // true
+ * @constant {RegExp} ATEXT
+ * @private
  */
-export const validateEmail = function(email) {
-    // Validate input parameter
-    if (email === null || email === undefined) {
-        throw new TypeError('validateEmail(): email parameter is required, received ' + email);
-    }
-    if (typeof email !== 'string') {
-        throw new TypeError('validateEmail(): email parameter must be a string, received ' + typeof email);
-    }
+const ATEXT = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]$/;
 
-    try {
-        // RFC 5322 compliant email regex pattern
-        // Matches most common email formats while being reasonably strict
-        // Disallows consecutive dots, leading/trailing dots, and invalid characters
-        const emailRegex = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+/**
+ * A character allowed unescaped in a quoted local part: printable ASCII other than
+ * a quote or backslash (RFC 5321 qtextSMTP).
+ *
+ * @constant {RegExp} QTEXT
+ * @private
+ */
+const QTEXT = /^[\x20\x21\x23-\x5B\x5D-\x7E]$/;
 
-        return emailRegex.test(email);
-    } catch (error) {
-        throw new Error(`validateEmail(): Error validating email - ${error.message}`);
-    }
+/**
+ * Whether a character is one of the non-ASCII characters RFC 6531 allows in local
+ * parts: anything from U+00A0 up, as long as it is not half of a surrogate pair.
+ *
+ * @function isNonASCII
+ * @param {string} character - A single code point
+ * @returns {boolean} True for allowed non-ASCII characters
+ * @private
+ */
+const isNonASCII = function(character) {
+    const codePoint = character.codePointAt(0);
+    return codePoint >= 0xA0 && (codePoint < 0xD800 || codePoint > 0xDFFF);
 };
 
-//=============================================================================
-// Type Definitions
-//=============================================================================
-
 /**
- * Configuration options for creating an Understate instance.
+ * Finds the first invalid character in the content of a quoted local part, between
+ * the quotes. Valid characters are qtext and any printable ASCII character escaped
+ * with a backslash (RFC 5321 quoted-pairSMTP).
  *
- * @typedef {Object} UnderstateConfig
- * @property {*} [initial=undefined] - The initial state value of the instance
- * @property {boolean} [index=false] - If true, states will be automatically indexed upon update
- * @property {boolean} [asynchronous=false] - If true, state updates will be handled asynchronously
+ * @function findInvalidQuoted
+ * @param {string} content - The text between the quotes
+ * @param {boolean} unicode - Whether non-ASCII characters are allowed
+ * @returns {number} Index of the first invalid character in content, or -1 if there is none
+ * @private
  */
+const findInvalidQuoted = function(content, unicode) {
+    var position = 0;
+    while (position < content.length) {
+        const character = String.fromCodePoint(content.codePointAt(position));
+        if (character === '\\') {
+            if (position + 1 === content.length || !/^[\x20-\x7E]$/.test(content[position + 1])) {
+                return position;
+            }
+            position += 2;
+        } else if (QTEXT.test(character) || (unicode && isNonASCII(character))) {
+            position += character.length;
+        } else {
+            return position;
+        }
+    }
+    return -1;
+};
 
 /**
- * Configuration options for state update operations.
+ * Finds the first character of a dot-separated string that is neither a dot nor allowed.
  *
- * @typedef {Object} SetConfig
- * @property {boolean} [index] - Override instance-level index setting for this update
- * @property {boolean} [asynchronous] - Override instance-level asynchronous setting for this update
- * @property {*} [initial] - Reserved for future use
+ * @function findInvalidCharacter
+ * @param {string} text - The string to check
+ * @param {number} offset - Index of the string in the whole address
+ * @param {Function} allowed - Receives each character and returns whether it is allowed
+ * @returns {number} Index of the first invalid character in the whole address, or -1 if there is none
+ * @private
  */
+const findInvalidCharacter = function(text, offset, allowed) {
+    var position = offset;
+    for (const character of text) {
+        if (character !== '.' && !allowed(character)) {
+            return position;
+        }
+        position += character.length;
+    }
+    return -1;
+};
 
 /**
- * State mutation function that transforms the current state.
+ * Checks where the dots of a dot-separated string are: not first, not last, and
+ * never two in a row.
  *
- * @typedef {Function} MutatorFunction
- * @param {*} currentState - The current state value
- * @returns {*|Promise<*>} The new state value, or a Promise resolving to the new state
+ * @function checkDots
+ * @param {string} text - The local part or domain
+ * @param {number} offset - Index of the string in the whole address
+ * @returns {{reason: string, position: number}|undefined} The misplaced dot, if any
+ * @private
  */
+const checkDots = function(text, offset) {
+    if (text[0] === '.') {
+        return { reason: 'leadingDot', position: offset };
+    }
+    const double = text.indexOf('..');
+    if (double !== -1) {
+        return { reason: 'consecutiveDots', position: offset + double + 1 };
+    }
+    if (text[text.length - 1] === '.') {
+        return { reason: 'trailingDot', position: offset + text.length - 1 };
+    }
+    return undefined;
+};
 
 /**
- * Subscription callback function invoked after state updates.
+ * A character of a domain label in its ASCII form: a letter, digit or hyphen.
  *
- * @typedef {Function} SubscriptionCallback
- * @param {*} newState - The updated state value
- * @param {string} [stateId] - The ID of the new state (if indexing is enabled)
+ * @constant {RegExp} LDH
+ * @private
  */
+const LDH = /^[a-zA-Z0-9-]$/;
 
 /**
- * Object returned from subscription with unsubscribe capability.
+ * A non-ASCII character allowed in an internationalized domain label: a letter,
+ * combining mark or digit in any script.
  *
- * @typedef {Object} SubscriptionPointer
- * @property {Function} unsubscribe - Method to cancel the subscription
- * @property {Function} set - Inherited set method from Understate instance
- * @property {Function} get - Inherited get method from Understate instance
- * @property {Function} subscribe - Inherited subscribe method from Understate instance
+ * @constant {RegExp} LABEL_CHARACTER
+ * @private
  */
-
-//=============================================================================
-// Core Constructor
-//=============================================================================
+const LABEL_CHARACTER = new RegExp('^[\\p{L}\\p{M}\\p{N}]$', 'u');
 
 /**
- * Creates a new Understate state management instance.
- *
- * Understate provides a simple but powerful way to manage state with support for:
- * - Synchronous and asynchronous state updates
- * - State indexing and historical state retrieval
- * - Subscription-based reactivity
- * - Method chaining for fluent APIs
+ * Parameters of Punycode (RFC 3492, section 5).
  *
- * @class Understate
- * @param {UnderstateConfig} [config={}] - Configuration object with optional properties: initial (any - the starting state value), index (boolean - enables automatic state indexing), asynchronous (boolean - enables async mutator support)
- * @returns {Understate} A new Understate instance with methods: set(), s(), get(), subscribe(), and id()
- * @throws {TypeError} If config parameter is not an object or null
- * @throws {TypeError} If index parameter is not a boolean when provided
- * @throws {TypeError} If asynchronous parameter is not a boolean when provided
+ * @constant {{base: number, tMin: number, tMax: number}} PUNYCODE
+ * @private
+ */
+const PUNYCODE = { base: 36, tMin: 1, tMax: 26 };
+
+/**
+ * Adapts the Punycode bias after a code point has been encoded or decoded
+ * (RFC 3492, section 6.1).
  *
- * @example
- * // Create a simple state manager
- * const counter = new Understate({ initial: 0 });
+ * @function adaptBias
+ * @param {number} delta - The delta just encoded or decoded
+ * @param {number} count - The number of code points handled so far, this one included
+ * @param {boolean} first - Whether this is the first delta
+ * @returns {number} The new bias
+ * @private
+ */
+const adaptBias = function(delta, count, first) {
+    const { base, tMin, tMax } = PUNYCODE;
+    delta = first ? Math.floor(delta / 700) : Math.floor(delta / 2);
+    delta += Math.floor(delta / count);
+    var k = 0;
+    while (delta > ((base - tMin) * tMax) / 2) {
+        delta = Math.floor(delta / (base - tMin));
+        k += base;
+    }
+    return k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+};
+
+/**
+ * Encodes a string with Punycode (RFC 3492), as used for the labels of
+ * internationalized domain names.
  *
+ * @function punycode
+ * @param {string} input - The string to encode
+ * @returns {string} The encoded string, without the 'xn--' prefix
+ * @private
  * @example
- * // Create with indexing enabled
- * const history = new Understate({
- *   initial: { value: 0 },
- *   index: true
- * });
+ * punycode('münchen'); // 'mnchen-3ya'
+ */
+const punycode = function(input) {
+    const { base, tMin, tMax } = PUNYCODE;
+    const codePoints = Array.from(input).map(character => character.codePointAt(0));
+    const digit = value => String.fromCharCode(value < 26 ? value + 97 : value + 22);
+
+    const basic = codePoints.filter(codePoint => codePoint < 0x80);
+    var output = String.fromCharCode.apply(String, basic) + (basic.length > 0 ? '-' : '');
+    var handled = basic.length;
+    var n = 0x80;
+    var delta = 0;
+    var bias = 72;
+
+    while (handled < codePoints.length) {
+        const next = Math.min.apply(Math, codePoints.filter(codePoint => codePoint >= n));
+        delta += (next - n) * (handled + 1);
+        n = next;
+        codePoints.forEach(codePoint => {
+            if (codePoint < n) {
+                delta += 1;
+            }
+            if (codePoint !== n) {
+                return;
+            }
+            var q = delta;
+            for (var k = base; ; k += base) {
+                const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                if (q < t) {
+                    break;
+                }
+                output += digit(t + ((q - t) % (base - t)));
+                q = Math.floor((q - t) / (base - t));
+            }
+            output += digit(q);
+            bias = adaptBias(delta, handled + 1, handled === basic.length);
+            delta = 0;
+            handled += 1;
+        });
+        delta += 1;
+        n += 1;
+    }
+    return output;
+};
+
+/**
+ * Decodes a string encoded with Punycode (RFC 3492).
  *
+ * @function decodePunycode
+ * @param {string} input - The encoded string, without the 'xn--' prefix
+ * @returns {string|undefined} The decoded string, or undefined if input is not valid Punycode
+ * @private
  * @example
- * // Create with asynchronous updates
- * const asyncState = new Understate({
- *   initial: null,
- *   asynchronous: true
- * });
+ * decodePunycode('mnchen-3ya'); // 'münchen'
  */
-export const Understate = function({
-    initial = undefined,
-    index = false,
-    asynchronous = false
-} = {}) {
-    // Validate constructor parameters
-    if (arguments.length > 0 && arguments[0] !== undefined && arguments[0] !== null) {
-        if (typeof arguments[0] !== 'object' || Array.isArray(arguments[0])) {
-            throw new TypeError('Understate(): config parameter must be an object, received ' + typeof arguments[0]);
+const decodePunycode = function(input) {
+    const { base, tMin, tMax } = PUNYCODE;
+    const value = character => {
+        const code = character.charCodeAt(0);
+        if (code >= 0x30 && code <= 0x39) {
+            return code - 22;
         }
-    }
+        if (code >= 0x61 && code <= 0x7A) {
+            return code - 0x61;
+        }
+        return code >= 0x41 && code <= 0x5A ? code - 0x41 : -1;
+    };
 
-    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('index')) {
-        if (typeof index !== 'boolean') {
-            throw new TypeError('Understate(): index parameter must be a boolean, received ' + typeof index);
+    // Basic code points come before the last delimiter
+    const delimiter = Math.max(0, input.lastIndexOf('-'));
+    const output = [];
+    for (var position = 0; position < delimiter; position++) {
+        if (input.charCodeAt(position) >= 0x80) {
+            return undefined;
         }
+        output.push(input.charCodeAt(position));
     }
 
-    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('asynchronous')) {
-        if (typeof asynchronous !== 'boolean') {
-            throw new TypeError('Understate(): asynchronous parameter must be a boolean, received ' + typeof asynchronous);
+    var n = 0x80;
+    var bias = 72;
+    var i = 0;
+    position = delimiter > 0 ? delimiter + 1 : 0;
+    while (position < input.length) {
+        const previous = i;
+        var weight = 1;
+        for (var k = base; ; k += base) {
+            const digit = position < input.length ? value(input[position++]) : -1;
+            if (digit === -1) {
+                return undefined;
+            }
+            i += digit * weight;
+            const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+            if (digit < t) {
+                break;
+            }
+            weight *= base - t;
         }
+        bias = adaptBias(i - previous, output.length + 1, previous === 0);
+        n += Math.floor(i / (output.length + 1));
+        i %= output.length + 1;
+        if (n > 0x10FFFF) {
+            return undefined;
+        }
+        output.splice(i, 0, n);
+        i += 1;
     }
+    return String.fromCodePoint.apply(String, output);
+};
 
-    try {
-        /** @private @type {*} */
-        let _state = initial;
+/**
+ * Converts a domain label to its lowercase ASCII form, encoding internationalized
+ * labels with Punycode. Like the mapping of UTS #46, compatibility forms such as
+ * fullwidth letters are replaced by their plain equivalents first, and the label is
+ * lowercased.
+ *
+ * @function labelToASCII
+ * @param {string} label - The label
+ * @returns {string|undefined} The ASCII form, or undefined if mapping gave a character no label may hold
+ * @private
+ * @example
+ * labelToASCII('Bücher'); // 'xn--bcher-kva'
+ * labelToASCII('ＥＸＡＭＰＬＥ'); // 'example'
+ */
+const labelToASCII = function(label) {
+    const mapped = mapLabel(label);
+    const characters = Array.from(mapped);
+    if (characters.every(character => character.codePointAt(0) < 0x80)) {
+        return characters.every(character => LDH.test(character)) ? mapped : undefined;
+    }
+    if (!characters.every(character => LDH.test(character) || LABEL_CHARACTER.test(character))) {
+        return undefined;
+    }
+    return 'xn--' + punycode(mapped);
+};
 
-        /** @private @type {string} */
-        let _id;
+/**
+ * Maps a domain label as UTS #46 does before converting it: compatibility forms
+ * such as fullwidth or circled letters become their plain equivalents, and the
+ * label is lowercased.
+ *
+ * @function mapLabel
+ * @param {string} label - The label
+ * @returns {string} The mapped label, in normalization form C
+ * @private
+ */
+const mapLabel = function(label) {
+    return label.normalize('NFKC').toLowerCase().normalize('NFC');
+};
 
-        /** @private */
-        this._getState = () => _state;
+/**
+ * Whether a character may appear in an internationalized domain label once mapped.
+ *
+ * @function isLabelCharacter
+ * @param {string} character - The character, as written in the address
+ * @returns {boolean} True if it maps to letters, marks, digits or hyphens only
+ * @private
+ */
+const isLabelCharacter = function(character) {
+    return Array.from(mapLabel(character)).every(mapped => LDH.test(mapped) || LABEL_CHARACTER.test(mapped));
+};
 
-        /** @private */
-        this._setState = _ => _state = _;
+/**
+ * Checks that a label starting with 'xn--' holds valid Punycode for an
+ * internationalized label: it decodes to non-ASCII characters a label may hold,
+ * and encodes back to the same label.
+ *
+ * @function isPunycodeLabel
+ * @param {string} label - The lowercase ASCII label, 'xn--' prefix included
+ * @returns {boolean} True if the label is valid
+ * @private
+ */
+const isPunycodeLabel = function(label) {
+    const decoded = decodePunycode(label.slice(4));
+    if (!decoded || Array.from(decoded).every(character => character.codePointAt(0) < 0x80)) {
+        return false;
+    }
+    return labelToASCII(decoded) === label;
+};
 
-        /** @private */
-        this._getId = () => _id;
+/**
+ * Checks the address of an IP-literal domain, e.g. `[192.0.2.1]` or `[IPv6:2001:db8::1]`.
+ *
+ * @function isAddressLiteral
+ * @param {string} literal - The text between the brackets
+ * @returns {boolean} True for an IPv4 address or a tagged IPv6 address
+ * @private
+ */
+const isAddressLiteral = function(literal) {
+    const isIPv4 = address => {
+        const parts = address.split('.');
+        return parts.length === 4 && parts.every(part => /^(?:0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255);
+    };
 
-        /** @private */
-        this._setId = _ => _id = _;
+    const tagged = /^IPv6:(.+)$/i.exec(literal);
+    if (!tagged) {
+        return isIPv4(literal);
+    }
 
-        this._setId(generateId(this._getState()));
+    // An IPv6 address may end in an IPv4 address, which counts as two groups
+    var address = tagged[1];
+    var groups = 8;
+    const embedded = /:((?:\d{1,3}\.){3}\d{1,3})$/.exec(address);
+    if (embedded) {
+        if (!isIPv4(embedded[1])) {
+            return false;
+        }
+        address = address.slice(0, -embedded[1].length) + '0:0';
+    }
+    const halves = address.split('::');
+    if (halves.length > 2) {
+        return false;
+    }
+    const hextets = halves.map(half => half === '' ? [] : half.split(':'));
+    const count = hextets[0].length + (hextets[1] ? hextets[1].length : 0);
+    const wellFormed = hextets.every(list => list.every(hextet => /^[0-9a-fA-F]{1,4}$/.test(hextet)));
+    return wellFormed && (halves.length === 2 ? count < groups : count === groups);
+};
 
-        /** @private @type {boolean} */
-        this._index = !!index;
+/**
+ * Parses an email address.
+ *
+ * @function parseEmail
+ * @param {string} email - The address
+ * @param {EmailOptions} options - What to accept, as passed to validateEmail()
+ * @returns {{local: string, domain: string, asciiDomain: string}|{reason: string, position: (number|undefined)}} The parts of the address, the domain also in ASCII form, or why and where the address is invalid
+ * @private
+ */
+const parseEmail = function(email, options) {
+    const fail = (reason, position) => ({ reason, position });
 
-        /** @private @type {boolean} */
-        this._asynchronous = !!asynchronous;
+    // Quoted local parts may contain @, domains never do
+    const at = email.lastIndexOf('@');
+    if (at === -1) {
+        return fail('missingAt', undefined);
+    }
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+    if (local.length === 0) {
+        return fail('emptyLocalPart', 0);
+    }
+    if (domain.length === 0) {
+        return fail('emptyDomain', at + 1);
+    }
 
-        /** @private @type {Set<SubscriptionCallback>} */
-        this._subscriptions = new Set();
+    if (local[0] === '"') {
+        if (!options.quoted) {
+            return fail('quotedNotAllowed', 0);
+        }
+        if (local.length < 2 || local[local.length - 1] !== '"') {
+            return fail('unterminatedQuote', 0);
+        }
+        const invalid = findInvalidQuoted(local.slice(1, -1), !!options.unicode);
+        if (invalid !== -1) {
+            return fail('invalidCharacter', invalid + 1);
+        }
+    } else {
+        const misplaced = checkDots(local, 0);
+        if (misplaced) {
+            return misplaced;
+        }
+        const invalid = findInvalidCharacter(local, 0, character => ATEXT.test(character) || (options.unicode && isNonASCII(character)));
+        if (invalid !== -1) {
+            return fail('invalidCharacter', invalid);
+        }
+    }
 
-        /** @private @type {Map<string, *>} */
-        this._indexed = new Map();
+    const start = at + 1;
+    var asciiDomain;
+    if (domain[0] === '[') {
+        if (!options.ipLiteral) {
+            return fail('addressLiteralNotAllowed', start);
+        }
+        if (domain[domain.length - 1] !== ']' || !isAddressLiteral(domain.slice(1, -1))) {
+            return fail('invalidAddressLiteral', start);
+        }
+        asciiDomain = domain.toLowerCase();
+    } else {
+        // Ideographic and fullwidth full stops separate labels too. They take as much
+        // room as a dot, so positions stay the same
+        const dotted = options.unicode ? domain.replace(/[。．｡]/g, '.') : domain;
+        const misplaced = checkDots(dotted, start);
+        if (misplaced) {
+            return misplaced;
+        }
 
-        if (this._index) {
-            this._indexed.set(this._getId(), this._getState());
+        const labels = [];
+        var offset = start;
+        for (const label of dotted.split('.')) {
+            const invalid = findInvalidCharacter(label, offset, character => LDH.test(character) || (options.unicode && isLabelCharacter(character)));
+            if (invalid !== -1) {
+                return fail('invalidCharacter', invalid);
+            }
+            // A fullwidth hyphen is a hyphen once mapped
+            const plain = options.unicode ? mapLabel(label) : label;
+            if (plain[0] === '-' || plain[plain.length - 1] === '-') {
+                return fail('labelHyphen', plain[0] === '-' ? offset : offset + label.length - 1);
+            }
+            const ascii = options.unicode ? labelToASCII(label) : label;
+            if (ascii === undefined) {
+                return fail('invalidCharacter', offset);
+            }
+            if (options.unicode && ascii.slice(0, 4) === 'xn--' && !isPunycodeLabel(ascii)) {
+                return fail('invalidPunycode', offset);
+            }
+            if (ascii.length > 63) {
+                return fail('labelTooLong', offset);
+            }
+            labels.push(ascii);
+            offset += label.length + 1;
         }
+        asciiDomain = labels.join('.');
+    }
 
-        return this;
-    } catch (error) {
-        throw new Error(`Understate(): Failed to initialize instance - ${error.message}`);
+    // RFC 5321 limits are in octets; SMTPUTF8 local parts count their UTF-8 bytes
+    if (options.lengthLimits) {
+        const localOctets = encodeURIComponent(local).replace(/%[0-9A-F]{2}/g, '_').length;
+        if (localOctets > 64) {
+            return fail('localPartTooLong', 0);
+        }
+        if (asciiDomain.length > 253) {
+            return fail('domainTooLong', start);
+        }
+        if (localOctets + 1 + asciiDomain.length > 254) {
+            return fail('addressTooLong', undefined);
+        }
     }
-};
 
-//=============================================================================
-// State Management Methods
-//=============================================================================
+    return { local, domain, asciiDomain };
+};
 
 /**
- * Updates the current state by applying a mutator function.
+ * Domains validateEmail() suggests when an address looks like a typo of one of them.
  *
- * This is the primary method for modifying state. It applies the mutator function
- * to the current state, updates internal state, notifies subscribers, and optionally
- * indexes the new state.
+ * @constant {Array<string>} EMAIL_DOMAINS
+ * @public
+ */
+export const EMAIL_DOMAINS = Object.freeze([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+    'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'yandex.com', 'zoho.com',
+    'yahoo.co.uk', 'hotmail.co.uk', 'btinternet.com', 'comcast.net', 'verizon.net', 'att.net'
+]);
+
+/**
+ * Counts the edits turning one string into another: insertions, deletions,
+ * substitutions and swaps of adjacent characters (optimal string alignment distance).
  *
- * @memberof Understate
- * @method set
- * @param {MutatorFunction} mutator - Function to transform the current state. Receives the current state as a parameter and should return the new state value (or a Promise resolving to the new state for async operations)
- * @param {SetConfig} [config={}] - Configuration options for this update. Optional object with properties: index (boolean), asynchronous (boolean)
- * @returns {Promise<*>} Promise that resolves to the new state value. If indexing is enabled (via config.index or instance default), the promise callback also receives the state ID as a second parameter
- * @throws {TypeError} If mutator is not a function
- * @throws {TypeError} If config is not an object when provided
- * @throws {TypeError} If config.index is not a boolean when provided
- * @throws {TypeError} If config.asynchronous is not a boolean when provided
- * @throws {Error} If mutator throws an error
- * @throws {Error} If state update fails
+ * @function editDistance
+ * @param {string} from - The first string
+ * @param {string} to - The second string
+ * @returns {number} The number of edits
+ * @private
+ */
+const editDistance = function(from, to) {
+    const rows = [];
+    for (var i = 0; i <= from.length; i++) {
+        rows.push([i]);
+        for (var j = 1; j <= to.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = from[i - 1] === to[j - 1] ? 0 : 1;
+            var distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && from[i - 1] === to[j - 2] && from[i - 2] === to[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[from.length][to.length];
+};
+
+/**
+ * Finds the domain an address was probably meant to have.
+ *
+ * @function suggestDomain
+ * @param {string} domain - The domain of the address
+ * @param {Array<string>} domains - The domains to suggest
+ * @returns {string|undefined} The closest domain at most two edits away (one for domains of up to six characters), unless the domain is one of them already
+ * @private
+ */
+const suggestDomain = function(domain, domains) {
+    const typed = domain.toLowerCase();
+    if (domains.indexOf(typed) !== -1) {
+        return undefined;
+    }
+
+    // Short domains are a couple of edits away from many others, so they need to be closer
+    var best;
+    var bestDistance = 3;
+    domains.forEach(candidate => {
+        const distance = editDistance(typed, candidate);
+        if (distance < bestDistance && distance * 3 < typed.length) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+};
+
+/**
+ * Checks the options argument of validateEmail() and normalizeEmail().
+ *
+ * @function validateEmailOptions
+ * @param {EmailOptions} options - The options
+ * @param {string} method - Name of the public function, used to prefix error messages
+ * @throws {TypeError} If options is not an object, one of its flags is not a boolean, or domains is not an array of strings
+ * @private
+ */
+const validateEmailOptions = function(options, method) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError(`${method}: options parameter must be an object, received ${typeof options}`);
+    }
+    ['unicode', 'lengthLimits', 'quoted', 'ipLiteral', 'detailed'].forEach(flag => {
+        if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+            throw new TypeError(`${method}: options.${flag} must be a boolean when provided, received ${typeof options[flag]}`);
+        }
+    });
+    if (options.domains !== undefined && (!Array.isArray(options.domains) || options.domains.some(domain => typeof domain !== 'string'))) {
+        throw new TypeError(`${method}: options.domains must be an array of strings when provided`);
+    }
+};
+
+/**
+ * Validates email format.
+ * By default, accepts the ASCII addresses in common use: dot-separated atoms
+ * (RFC 5322 atext) before the @, a host name after it. Options accept more of the
+ * addresses the RFCs allow, and enforce their length limits.
+ *
+ * In detailed mode the result also tells why the address is invalid, where, and
+ * which address was probably meant when the domain looks like a typo of a common one.
+ *
+ * @function validateEmail
+ * @param {string} email - The email address to validate
+ * @param {EmailOptions} [options={}] - What to accept besides plain ASCII addresses, and whether to return details
+ * @returns {boolean|EmailValidation} True if the email format is valid, false otherwise; the details in detailed mode
+ * @throws {TypeError} If email parameter is not a string
+ * @throws {TypeError} If email parameter is null or undefined
+ * @throws {TypeError} If options is not an object of boolean flags and domains
+ * @public
+ * @example
+ * validateEmail('user@example.com'); // true
+ * validateEmail('invalid.email'); // false
+ * validateEmail('test@domain.co.uk'); // true
+ *
+ * @example
+ * validateEmail('用户@例子.广告'); // false
+ * validateEmail('用户@例子.广告', { unicode: true }); // true
+ * validateEmail('"john doe"@[IPv6:2001:db8::1]', { quoted: true, ipLiteral: true }); // true
+ *
+ * @example
+ * validateEmail('jane..doe@gmial.com', { detailed: true });
+ * // { valid: false, reason: 'consecutiveDots', position: 5, suggestion: 'jane..doe@gmail.com' }
+ */
+export const validateEmail = function(email, options = {}) {
+    // Validate input parameter
+    if (email === null || email === undefined) {
+        throw new TypeError('validateEmail(): email parameter is required, received ' + email);
+    }
+    if (typeof email !== 'string') {
+        throw new TypeError('validateEmail(): email parameter must be a string, received ' + typeof email);
+    }
+    validateEmailOptions(options, 'validateEmail()');
+
+    try {
+        const parsed = parseEmail(email, options);
+        if (!options.detailed) {
+            return parsed.reason === undefined;
+        }
+
+        const at = email.lastIndexOf('@');
+        const domain = at === -1 ? '' : email.slice(at + 1);
+        const suggested = domain ? suggestDomain(domain, options.domains || EMAIL_DOMAINS) : undefined;
+        return {
+            valid: parsed.reason === undefined,
+            reason: parsed.reason,
+            position: parsed.position,
+            suggestion: suggested && email.slice(0, at + 1) + suggested
+        };
+    } catch (error) {
+        throw new Error(`validateEmail(): Error validating email - ${error.message}`);
+    }
+};
+
+/**
+ * Normalizes an email address for storage and comparison: converts the domain to
+ * lowercase ASCII, mapping compatibility forms such as fullwidth letters to their
+ * plain equivalents and encoding internationalized domain names with Punycode, and
+ * the local part to Unicode normalization form C. The local part keeps its case, as
+ * mail servers may treat it as case-sensitive.
+ *
+ * @function normalizeEmail
+ * @param {string} email - The email address to normalize
+ * @param {EmailOptions} [options] - What to accept, as for validateEmail(). Defaults to accepting Unicode addresses, quoted local parts and IP literals
+ * @returns {string} The normalized address
+ * @throws {TypeError} If email parameter is not a string
+ * @throws {TypeError} If options is not an object of boolean flags
+ * @throws {Error} If the address is not valid with the given options, with the reason and position properties of EmailValidation
+ * @public
+ * @example
+ * normalizeEmail('Jane.Doe@Bücher.Example'); // 'Jane.Doe@xn--bcher-kva.example'
+ * normalizeEmail('jane@ＥＸＡＭＰＬＥ.com'); // 'jane@example.com'
+ */
+export const normalizeEmail = function(email, options = { unicode: true, quoted: true, ipLiteral: true }) {
+    if (typeof email !== 'string') {
+        throw new TypeError('normalizeEmail(): email parameter must be a string, received ' + (email === null ? 'null' : typeof email));
+    }
+    validateEmailOptions(options, 'normalizeEmail()');
+
+    const parsed = parseEmail(email, options);
+    if (parsed.reason !== undefined) {
+        const invalid = new Error(`normalizeEmail(): "${email}" is not a valid email address (${parsed.reason})`);
+        throw Object.assign(invalid, { reason: parsed.reason, position: parsed.position });
+    }
+    return parsed.local.normalize('NFC') + '@' + parsed.asciiDomain.toLowerCase();
+};
+
+/**
+ * Creates an Error carrying a distinct name and any extra properties, so callers
+ * can tell failure kinds apart without parsing messages.
+ *
+ * @function createError
+ * @param {string} name - The error name (e.g. 'AbortError')
+ * @param {string} message - The error message
+ * @param {Object} [properties] - Additional properties to copy onto the error
+ * @returns {Error} The decorated error
+ * @private
+ */
+const createError = function(name, message, properties) {
+    const error = new Error(message);
+    error.name = name;
+    return Object.assign(error, properties);
+};
+
+/**
+ * Creates the error an aborted update rejects with.
+ *
+ * @function createAbortError
+ * @param {AbortSignal} signal - The signal that was aborted
+ * @returns {Error} An error named 'AbortError' whose reason is the signal's abort reason
+ * @private
+ */
+const createAbortError = function(signal) {
+    return createError('AbortError', 'set(): Update was aborted before it was committed', { reason: signal.reason });
+};
+
+/**
+ * Normalizes the retry option of SetConfig into a complete retry policy.
+ *
+ * @function normalizeRetry
+ * @param {number|RetryPolicy} retry - Number of retries, or a retry policy object
+ * @returns {RetryPolicy} Policy with count, delay, backoff and retryIf filled in
+ * @throws {TypeError} If retry is neither a non-negative integer nor a valid policy object
+ * @private
+ */
+const normalizeRetry = function(retry) {
+    const policy = typeof retry === 'number' ? { count: retry } : retry;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new TypeError('set(): config.retry must be a number or an object when provided, received ' + typeof retry);
+    }
+
+    const {
+        count = 0,
+        delay = 100,
+        backoff = 'exponential',
+        retryIf = error => !error || error.name !== 'AbortError'
+    } = policy;
+
+    if (!Number.isInteger(count) || count < 0) {
+        throw new TypeError('set(): config.retry count must be a non-negative integer, received ' + count);
+    }
+    if (typeof delay !== 'number' || isNaN(delay) || delay < 0) {
+        throw new TypeError('set(): config.retry delay must be a non-negative number, received ' + delay);
+    }
+    if (typeof backoff !== 'function' && ['fixed', 'linear', 'exponential'].indexOf(backoff) === -1) {
+        throw new TypeError('set(): config.retry backoff must be fixed, linear, exponential or a function, received ' + backoff);
+    }
+    if (typeof retryIf !== 'function') {
+        throw new TypeError('set(): config.retry retryIf must be a function, received ' + typeof retryIf);
+    }
+
+    return { count, delay, backoff, retryIf };
+};
+
+/**
+ * Computes how long to wait before a retry.
+ *
+ * @function backoffDelay
+ * @param {RetryPolicy} policy - A normalized retry policy
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ * @private
+ */
+const backoffDelay = function(policy, attempt) {
+    if (typeof policy.backoff === 'function') {
+        return policy.backoff(attempt, policy.delay);
+    }
+    if (policy.backoff === 'linear') {
+        return policy.delay * attempt;
+    }
+    if (policy.backoff === 'exponential') {
+        return policy.delay * Math.pow(2, attempt - 1);
+    }
+    return policy.delay;
+};
+
+/**
+ * Rejects with a TimeoutError if a promise does not settle within the given time.
+ *
+ * @function withTimeout
+ * @param {Promise<*>} promise - The promise to race
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {Promise<*>} Promise settling like the original, or rejecting once the time limit passes
+ * @private
+ */
+const withTimeout = function(promise, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(createError('TimeoutError', `set(): Asynchronous mutator timed out after ${timeout}ms`, { timeout }));
+        }, timeout);
+        promise.then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+};
+
+/**
+ * Settles the first attempt of an asynchronous mutator, applying the timeout to each
+ * attempt and retrying failed ones according to the retry policy.
+ *
+ * @function withRetry
+ * @param {Promise<*>} first - The promise returned by the first attempt
+ * @param {Function} attempt - Invokes the mutator again and returns its promise
+ * @param {RetryPolicy} [policy] - A normalized retry policy; omitted, nothing is retried
+ * @param {number} [timeout] - Time limit per attempt in milliseconds
+ * @param {AbortSignal} signal - Signal of the update; once aborted, no further attempt is made
+ * @returns {Promise<*>} Promise resolving with the first successful attempt
+ * @private
+ */
+const withRetry = function(first, attempt, policy, timeout, signal) {
+    const run = (promise, number) => {
+        const timed = timeout ? withTimeout(promise, timeout) : promise;
+        return timed.catch(error => {
+            if (!policy || number > policy.count || signal.aborted || !policy.retryIf(error, number)) {
+                throw error;
+            }
+            return new Promise(resolve => setTimeout(resolve, backoffDelay(policy, number))).then(() => {
+                if (signal.aborted) {
+                    throw createAbortError(signal);
+                }
+                return run(new Promise(resolve => resolve(attempt())), number + 1);
+            });
+        });
+    };
+    return run(first, 1);
+};
+
+/**
+ * Checks whether two values hold the same own enumerable keys with identical values.
+ *
+ * @function shallowEqual
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are identical or shallowly equal
+ * @private
+ */
+const shallowEqual = function(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * Checks whether two values are structurally equal, recursing into arrays, plain
+ * objects, Dates, Maps and Sets.
+ *
+ * @function deepEqual
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are structurally equal
+ * @private
+ */
+const deepEqual = function(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false;
+    }
+    if (a instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (a instanceof Map) {
+        return a.size === b.size && Array.from(a).every(([key, value]) => b.has(key) && deepEqual(value, b.get(key)));
+    }
+    if (a instanceof Set) {
+        return a.size === b.size && Array.from(a).every(value => b.has(value));
+    }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+/**
+ * Turns an equality option into a comparator function.
+ *
+ * @function resolveEquality
+ * @param {string|Function} equals - 'identity', 'shallow', 'deep', or a comparator (previous, next) => boolean
+ * @returns {Function} The comparator
+ * @private
+ */
+const resolveEquality = function(equals) {
+    if (typeof equals === 'function') {
+        return equals;
+    }
+    if (equals === 'shallow') {
+        return shallowEqual;
+    }
+    if (equals === 'deep') {
+        return deepEqual;
+    }
+    return Object.is;
+};
+
+//=============================================================================
+// Drafts and Patches
+//=============================================================================
+
+/**
+ * Key under which a draft proxy exposes its internal bookkeeping.
+ *
+ * @constant {symbol} DRAFT_STATE
+ * @private
+ */
+const DRAFT_STATE = Symbol('understate.draft');
+
+/**
+ * Checks whether a value can be drafted: arrays and plain objects.
+ *
+ * @function isDraftable
+ * @param {*} value - The value to check
+ * @returns {boolean} True if a draft can be created for the value
+ * @private
+ */
+const isDraftable = function(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return true;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Checks whether a value is a draft proxy.
+ *
+ * @function isDraft
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a draft
+ * @private
+ */
+const isDraft = function(value) {
+    return !!value && typeof value === 'object' && !!value[DRAFT_STATE];
+};
+
+/**
+ * Escapes a key for use as an RFC 6901 JSON Pointer segment.
+ *
+ * @function escapePointer
+ * @param {string|number} key - The key to escape
+ * @returns {string} The escaped segment
+ * @private
+ */
+const escapePointer = function(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+/**
+ * Parses an RFC 6901 JSON Pointer into its unescaped segments.
+ *
+ * @function parsePointer
+ * @param {string} pointer - The pointer, e.g. '/todos/0/done'
+ * @returns {Array<string>} The path segments
+ * @throws {TypeError} If the pointer is neither empty nor starts with '/'
+ * @private
+ */
+const parsePointer = function(pointer) {
+    if (pointer === '') {
+        return [];
+    }
+    if (pointer.charAt(0) !== '/') {
+        throw new TypeError('JSON Pointer must be empty or start with "/", received ' + pointer);
+    }
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Returns the current contents of a draft: its copy once modified, its base otherwise.
+ *
+ * @function latest
+ * @param {Object} state - Draft bookkeeping
+ * @returns {Object|Array} The object the draft currently reads from
+ * @private
+ */
+const latest = function(state) {
+    return state.modified ? state.copy : state.base;
+};
+
+/**
+ * Marks a draft and all of its ancestors as modified, giving each a shallow copy
+ * of its base to write to.
+ *
+ * @function markModified
+ * @param {Object} state - Draft bookkeeping
+ * @private
+ */
+const markModified = function(state) {
+    if (state.modified) {
+        return;
+    }
+    state.modified = true;
+    state.copy = Array.isArray(state.base) ? state.base.slice() : Object.assign({}, state.base);
+    if (state.parent) {
+        markModified(state.parent);
+    }
+};
+
+/**
+ * Proxy handler implementing copy-on-write drafts. Reads go to the base until the
+ * draft is first written to; nested objects are drafted lazily as they are read.
+ *
+ * @constant {Object} draftHandler
+ * @private
+ */
+const draftHandler = {
+    get(target, prop) {
+        const state = target[DRAFT_STATE];
+        if (prop === DRAFT_STATE) {
+            return state;
+        }
+        const source = latest(state);
+        if (!Object.prototype.hasOwnProperty.call(source, prop)) {
+            return source[prop];
+        }
+        const value = source[prop];
+        const child = state.drafts.get(prop);
+        if (child && child.base === value) {
+            return child.proxy;
+        }
+        if (!isDraftable(value) || !state.base || value !== state.base[prop]) {
+            return value;
+        }
+        return createDraft(value, state, prop).proxy;
+    },
+    set(target, prop, value) {
+        const state = target[DRAFT_STATE];
+        const source = latest(state);
+        const child = state.drafts.get(prop);
+        if (child && value === child.proxy) {
+            return true;
+        }
+        if (!state.modified && Object.is(source[prop], value) && Object.prototype.hasOwnProperty.call(source, prop)) {
+            return true;
+        }
+        markModified(state);
+        state.copy[prop] = value;
+        state.drafts.delete(prop);
+        return true;
+    },
+    deleteProperty(target, prop) {
+        const state = target[DRAFT_STATE];
+        if (!Object.prototype.hasOwnProperty.call(latest(state), prop)) {
+            return true;
+        }
+        markModified(state);
+        delete state.copy[prop];
+        state.drafts.delete(prop);
+        return true;
+    },
+    has(target, prop) {
+        return prop === DRAFT_STATE || prop in latest(target[DRAFT_STATE]);
+    },
+    ownKeys(target) {
+        return Reflect.ownKeys(latest(target[DRAFT_STATE]));
+    },
+    getOwnPropertyDescriptor(target, prop) {
+        const source = latest(target[DRAFT_STATE]);
+        const descriptor = Reflect.getOwnPropertyDescriptor(source, prop);
+        if (!descriptor) {
+            return descriptor;
+        }
+        // The array length property cannot be reported as configurable
+        const configurable = !(Array.isArray(source) && prop === 'length');
+        return {
+            value: source[prop],
+            writable: true,
+            enumerable: descriptor.enumerable,
+            configurable
+        };
+    },
+    defineProperty() {
+        throw new TypeError('produce(): defineProperty() is not supported on drafts');
+    },
+    getPrototypeOf(target) {
+        return Object.getPrototypeOf(target[DRAFT_STATE].base);
+    },
+    setPrototypeOf() {
+        throw new TypeError('produce(): setPrototypeOf() is not supported on drafts');
+    }
+};
+
+/**
+ * Creates a draft for a draftable value.
+ *
+ * @function createDraft
+ * @param {Object|Array} base - The value to draft
+ * @param {Object} [parent] - Bookkeeping of the parent draft
+ * @param {string} [key] - Key of the value within its parent
+ * @returns {Object} Bookkeeping of the new draft, including its proxy
+ * @private
+ */
+const createDraft = function(base, parent, key) {
+    const state = {
+        base,
+        copy: undefined,
+        modified: false,
+        parent,
+        key,
+        drafts: new Map(),
+        proxy: undefined,
+        revoke: undefined,
+        result: undefined,
+        scope: parent ? parent.scope : []
+    };
+    // The proxy target only carries the bookkeeping; every trap reads from the state instead
+    const target = Array.isArray(base) ? [] : {};
+    Object.defineProperty(target, DRAFT_STATE, { value: state, configurable: true });
+    const revocable = Proxy.revocable(target, draftHandler);
+    state.proxy = revocable.proxy;
+    state.revoke = revocable.revoke;
+    state.scope.push(state);
+    if (parent) {
+        parent.drafts.set(key, state);
+    }
+    return state;
+};
+
+/**
+ * Replaces drafts inside a value with their final, plain counterparts.
+ *
+ * @function finalize
+ * @param {*} value - A draft, or a value that may contain drafts
+ * @param {Set<Object>} [seen] - Plain objects already visited
+ * @returns {*} The value with every draft resolved
+ * @private
+ */
+const finalize = function(value, seen = new Set()) {
+    if (isDraft(value)) {
+        return finalizeDraft(value[DRAFT_STATE], seen);
+    }
+    if (!isDraftable(value) || seen.has(value) || Object.isFrozen(value)) {
+        return value;
+    }
+    // A new object assigned into a draft may still hold drafts of its own
+    seen.add(value);
+    Object.keys(value).forEach(key => {
+        const next = finalize(value[key], seen);
+        if (next !== value[key]) {
+            value[key] = next;
+        }
+    });
+    return value;
+};
+
+/**
+ * Produces the final value of a draft: its base when untouched, otherwise its copy
+ * with every nested draft finalized.
+ *
+ * @function finalizeDraft
+ * @param {Object} state - Draft bookkeeping
+ * @param {Set<Object>} seen - Plain objects already visited
+ * @returns {Object|Array} The final value
+ * @private
+ */
+const finalizeDraft = function(state, seen) {
+    if (state.result !== undefined) {
+        return state.result;
+    }
+    if (!state.modified) {
+        state.result = state.base;
+        return state.result;
+    }
+    state.result = state.copy;
+    Object.keys(state.copy).forEach(key => {
+        // Children still holding their base were read through a draft that may have changed
+        const child = state.drafts.get(key);
+        const value = child && child.base === state.copy[key] ? child.proxy : state.copy[key];
+        state.copy[key] = finalize(value, seen);
+    });
+    return state.result;
+};
+
+/**
+ * Appends the patches turning a draft's base into its final value, together with
+ * the inverse of each one. Inverse patches are appended in the same order as their
+ * forward patches, so they must be reversed before being applied.
+ *
+ * @function generatePatches
+ * @param {Object} state - Bookkeeping of a finalized draft
+ * @param {Array<string|number>} path - Path of the draft from the root
+ * @param {Array<Object>} patches - Forward patches, appended to
+ * @param {Array<Object>} inversePatches - Inverse patches, appended to
+ * @private
+ */
+const generatePatches = function(state, path, patches, inversePatches) {
+    if (!state.modified) {
+        return;
+    }
+    const base = state.base;
+    const copy = state.result;
+    const pointer = key => path.concat(key).map(escapePointer).map(segment => '/' + segment).join('');
+
+    const compare = key => {
+        if (Object.is(base[key], copy[key])) {
+            return;
+        }
+        const child = state.drafts.get(String(key));
+        if (child && child.base === base[key] && child.result === copy[key]) {
+            generatePatches(child, path.concat(key), patches, inversePatches);
+            return;
+        }
+        patches.push({ op: 'replace', path: pointer(key), value: copy[key] });
+        inversePatches.push({ op: 'replace', path: pointer(key), value: base[key] });
+    };
+
+    if (Array.isArray(base)) {
+        const shared = Math.min(base.length, copy.length);
+        for (let i = 0; i < shared; i++) {
+            compare(i);
+        }
+        for (let i = base.length; i < copy.length; i++) {
+            patches.push({ op: 'add', path: pointer(i), value: copy[i] });
+            inversePatches.push({ op: 'remove', path: pointer(i) });
+        }
+        for (let i = base.length - 1; i >= copy.length; i--) {
+            patches.push({ op: 'remove', path: pointer(i) });
+            inversePatches.push({ op: 'add', path: pointer(i), value: base[i] });
+        }
+    } else {
+        Object.keys(base).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(copy, key)) {
+                patches.push({ op: 'remove', path: pointer(key) });
+                inversePatches.push({ op: 'add', path: pointer(key), value: base[key] });
+            } else {
+                compare(key);
+            }
+        });
+        Object.keys(copy).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(base, key)) {
+                patches.push({ op: 'add', path: pointer(key), value: copy[key] });
+                inversePatches.push({ op: 'remove', path: pointer(key) });
+            }
+        });
+    }
+};
+
+/**
+ * Creates the next immutable state by letting a recipe mutate a draft of the current one.
+ *
+ * The recipe receives a mutable draft. Only the parts of the state it changes are
+ * copied; everything else is shared with the base. Alongside the next state,
+ * `produce()` returns the RFC 6902 JSON Patch operations describing the change and
+ * the inverse operations undoing it. A recipe may also return a new value instead
+ * of modifying the draft, or return a Promise, in which case `produce()` returns a
+ * Promise as well. Drafts are revoked once the recipe has finished, so they must
+ * not be kept around.
+ *
+ * @function produce
+ * @param {*} base - The current state
+ * @param {Function} recipe - Function receiving the draft (and any further arguments passed to produce)
+ * @param {...*} [args] - Extra arguments passed through to the recipe
+ * @returns {Array|Promise<Array>} A tuple of [nextState, patches, inversePatches], or a Promise for it
+ * @throws {TypeError} If recipe is not a function
+ * @throws {Error} If the recipe both modifies the draft and returns a different value
+ * @public
+ * @example
+ * const [next, patches, inversePatches] = produce({ todos: [] }, draft => {
+ *   draft.todos.push({ text: 'Write docs', done: false });
+ * });
+ * // patches: [{ op: 'add', path: '/todos/0', value: { text: 'Write docs', done: false } }]
+ * // inversePatches: [{ op: 'remove', path: '/todos/0' }]
+ */
+export const produce = function(base, recipe) {
+    if (typeof recipe !== 'function') {
+        throw new TypeError('produce(): recipe must be a function, received ' + typeof recipe);
+    }
+
+    const args = Array.prototype.slice.call(arguments, 2);
+    const root = isDraftable(base) ? createDraft(base) : undefined;
+
+    // Drafts stop working once the recipe is done, so a stray reference cannot alter the result
+    const revoke = () => {
+        if (root) {
+            root.scope.forEach(state => state.revoke());
+        }
+    };
+
+    const finish = returned => {
+        if (returned !== undefined && (!root || returned !== root.proxy)) {
+            if (root && root.modified) {
+                throw new Error('produce(): A recipe may either modify its draft or return a new value, not both');
+            }
+            const value = finalize(returned);
+            if (Object.is(value, base)) {
+                return [base, [], []];
+            }
+            return [value, [{ op: 'replace', path: '', value }], [{ op: 'replace', path: '', value: base }]];
+        }
+        if (!root) {
+            return [base, [], []];
+        }
+
+        const next = finalizeDraft(root, new Set());
+        const patches = [];
+        const inversePatches = [];
+        generatePatches(root, [], patches, inversePatches);
+        // Each inverse patch undoes its forward patch, so they apply in reverse order
+        return [next, patches, inversePatches.reverse()];
+    };
+    const complete = returned => {
+        try {
+            return finish(returned);
+        } finally {
+            revoke();
+        }
+    };
+
+    var result;
+    try {
+        result = recipe.apply(undefined, [root ? root.proxy : base].concat(args));
+    } catch (error) {
+        revoke();
+        throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).then(complete, error => {
+            revoke();
+            throw error;
+        });
+    }
+    return complete(result);
+};
+
+/**
+ * Applies RFC 6902 JSON Patch operations to a state without modifying it.
+ *
+ * Only the containers along each patched path are copied, so the result shares
+ * everything else with the original. Supports the add, remove and replace
+ * operations that `produce()` and draft updates emit.
+ *
+ * @function applyPatches
+ * @param {*} state - The state to patch
+ * @param {Array<Object>} patches - The patch operations, applied in order
+ * @returns {*} The patched state
+ * @throws {TypeError} If patches is not an array, or an operation is malformed or unsupported
+ * @throws {Error} If a path does not exist in the state
+ * @public
+ * @example
+ * const undone = applyPatches(next, inversePatches);
+ */
+export const applyPatches = function(state, patches) {
+    if (!Array.isArray(patches)) {
+        throw new TypeError('applyPatches(): patches must be an array, received ' + typeof patches);
+    }
+
+    return patches.reduce((current, patch) => {
+        if (!patch || typeof patch !== 'object' || typeof patch.path !== 'string') {
+            throw new TypeError('applyPatches(): each patch must be an object with a string path');
+        }
+        if (['add', 'remove', 'replace'].indexOf(patch.op) === -1) {
+            throw new TypeError('applyPatches(): Unsupported operation "' + patch.op + '"');
+        }
+
+        const path = parsePointer(patch.path);
+        if (path.length === 0) {
+            return patch.op === 'remove' ? undefined : patch.value;
+        }
+
+        const write = (node, depth) => {
+            if (!node || typeof node !== 'object') {
+                throw new Error(`applyPatches(): Path "${patch.path}" does not exist`);
+            }
+            const key = path[depth];
+            const copy = Array.isArray(node) ? node.slice() : Object.assign({}, node);
+            if (depth < path.length - 1) {
+                copy[key] = write(node[key], depth + 1);
+                return copy;
+            }
+            if (Array.isArray(copy)) {
+                const position = key === '-' ? copy.length : Number(key);
+                if (patch.op === 'add') {
+                    copy.splice(position, 0, patch.value);
+                } else if (patch.op === 'remove') {
+                    copy.splice(position, 1);
+                } else {
+                    copy[position] = patch.value;
+                }
+            } else if (patch.op === 'remove') {
+                delete copy[key];
+            } else {
+                copy[key] = patch.value;
+            }
+            return copy;
+        };
+        return write(current, 0);
+    }, state);
+};
+
+//=============================================================================
+// Strict Mode
+//=============================================================================
+
+/**
+ * Freezes a state and every array and plain object reachable from it.
+ *
+ * @function deepFreeze
+ * @param {*} value - The state to freeze
+ * @param {Set<Object>} [seen] - Objects already visited
+ * @returns {*} The same value, now frozen
+ * @private
+ */
+const deepFreeze = function(value, seen = new Set()) {
+    if (!isDraftable(value) || seen.has(value)) {
+        return value;
+    }
+    seen.add(value);
+    Object.freeze(value);
+    Object.keys(value).forEach(key => deepFreeze(value[key], seen));
+    return value;
+};
+
+/**
+ * Copies a state deeply enough to tell later whether it was modified in place:
+ * arrays, plain objects, Dates, Maps and Sets are copied, anything else is kept
+ * by reference.
+ *
+ * @function cloneState
+ * @param {*} value - The state to copy
+ * @param {Map<Object, Object>} [copies] - Copies made so far, keyed by original
+ * @returns {*} The copy
+ * @private
+ */
+const cloneState = function(value, copies = new Map()) {
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (copies.has(value)) {
+        return copies.get(value);
+    }
+    var copy;
+    if (value instanceof Date) {
+        copy = new Date(value.getTime());
+    } else if (value instanceof Map) {
+        copy = new Map();
+        copies.set(value, copy);
+        value.forEach((entry, key) => copy.set(key, cloneState(entry, copies)));
+    } else if (value instanceof Set) {
+        copy = new Set(value);
+    } else if (isDraftable(value)) {
+        copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+        copies.set(value, copy);
+        Object.keys(value).forEach(key => {
+            copy[key] = cloneState(value[key], copies);
+        });
+    } else {
+        copy = value;
+    }
+    copies.set(value, copy);
+    return copy;
+};
+
+/**
+ * Checks whether an error is the TypeError thrown when strict-mode code writes to
+ * a frozen object.
+ *
+ * @function isFrozenWrite
+ * @param {*} error - The error to check
+ * @returns {boolean} True if the error came from writing to a frozen object
+ * @private
+ */
+const isFrozenWrite = function(error) {
+    return error instanceof TypeError && /read[- ]only|not extensible|Cannot delete property/.test(error.message);
+};
+
+/**
+ * Describes a set() call for strict mode errors: the mutator's name and, where the
+ * engine provides a stack trace, the place set() was called from.
+ *
+ * @function describeCall
+ * @param {Function} mutator - The mutator passed to set()
+ * @param {string} [callSite] - The stack frame of the caller of set()
+ * @returns {string} A description such as '"addTodo" (set() called at /app/todos.js:12:7)'
+ * @private
+ */
+const describeCall = function(mutator, callSite) {
+    const name = mutator.name ? `"${mutator.name}"` : '(anonymous)';
+    return callSite ? `${name} (set() called at ${callSite})` : name;
+};
+
+/**
+ * Finds the stack frame of the code that called into Understate.
+ *
+ * @function captureCallSite
+ * @returns {string|undefined} The frame, e.g. '/app/todos.js:12:7', or undefined without stack traces
+ * @private
+ */
+const captureCallSite = function() {
+    const frames = String(new Error().stack || '').split('\n').slice(1).map(frame => frame.trim());
+    const caller = frames.find(frame => frame.indexOf('Understate.') === -1 && frame.indexOf('captureCallSite') === -1);
+    return caller ? caller.replace(/^at /, '') : undefined;
+};
+
+/**
+ * Creates the error thrown when a mutator breaks the rules strict mode enforces.
+ *
+ * @function createStrictModeError
+ * @param {string} violation - 'mutation' or 'nondeterminism'
+ * @param {string} call - Description of the offending set() call, from describeCall()
+ * @returns {Error} Error named 'StrictModeError' carrying the violation and call
+ * @private
+ */
+const createStrictModeError = function(violation, call) {
+    const problem = violation === 'mutation'
+        ? 'modified the state it was passed in place; return a new state instead'
+        : 'returned different results for the same state; mutators must be deterministic';
+    return createError('StrictModeError', `set(): Mutator ${call} ${problem}`, { violation, call });
+};
+
+//=============================================================================
+// Selectors
+//=============================================================================
+
+/**
+ * Runs a selector against a state while recording which parts of the state it
+ * reads. Arrays and plain objects are handed to the selector wrapped in read-only
+ * proxies; every property read is recorded together with the value found, so a
+ * later state can be checked for changes to exactly those properties.
+ *
+ * @function trackSelector
+ * @param {Function} selector - The selector, called with the state
+ * @param {*} state - The state to select from
+ * @returns {{value: *, dependencies: Array<{path: Array<string>, value: *}>}} The selected value and the reads it depends on
+ * @private
+ */
+const trackSelector = function(selector, state) {
+    const dependencies = [];
+    const proxies = new Map();
+    const originals = new Map();
+
+    const readOnly = () => {
+        throw new TypeError('select(): Selectors must not modify the state');
+    };
+    const wrap = (value, path) => {
+        if (!isDraftable(value)) {
+            return value;
+        }
+        if (proxies.has(value)) {
+            return proxies.get(value);
+        }
+        // A shadow target keeps the proxy usable on frozen states, whose properties it must not misreport
+        const proxy = new Proxy(Array.isArray(value) ? [] : {}, {
+            get(target, prop) {
+                if (typeof prop === 'symbol' || !Object.prototype.hasOwnProperty.call(value, prop)) {
+                    return value[prop];
+                }
+                dependencies.push({ path: path.concat(prop), value: value[prop] });
+                return wrap(value[prop], path.concat(prop));
+            },
+            has(target, prop) {
+                dependencies.push({ path, value });
+                return prop in value;
+            },
+            ownKeys() {
+                dependencies.push({ path, value });
+                return Reflect.ownKeys(value);
+            },
+            getOwnPropertyDescriptor(target, prop) {
+                const descriptor = Reflect.getOwnPropertyDescriptor(value, prop);
+                if (!descriptor) {
+                    return descriptor;
+                }
+                return {
+                    value: value[prop],
+                    writable: true,
+                    enumerable: descriptor.enumerable,
+                    configurable: !(Array.isArray(value) && prop === 'length')
+                };
+            },
+            getPrototypeOf() {
+                return Object.getPrototypeOf(value);
+            },
+            set: readOnly,
+            deleteProperty: readOnly,
+            defineProperty: readOnly
+        });
+        proxies.set(value, proxy);
+        originals.set(proxy, { value, path });
+        return proxy;
+    };
+
+    // Proxies must not leak into the result, including inside objects the selector built.
+    // Returning part of the state makes the result depend on all of that part
+    const seen = new Set();
+    const unwrap = value => {
+        if (originals.has(value)) {
+            const original = originals.get(value);
+            dependencies.push(original);
+            return original.value;
+        }
+        if (!isDraftable(value) || seen.has(value) || Object.isFrozen(value)) {
+            return value;
+        }
+        seen.add(value);
+        Object.keys(value).forEach(key => {
+            const original = unwrap(value[key]);
+            if (original !== value[key]) {
+                value[key] = original;
+            }
+        });
+        return value;
+    };
+
+    if (!isDraftable(state)) {
+        dependencies.push({ path: [], value: state });
+    }
+    return { value: unwrap(selector(wrap(state, []))), dependencies };
+};
+
+/**
+ * Checks whether every read a selector depends on still finds the same value.
+ *
+ * @function dependenciesHold
+ * @param {Array<{path: Array<string>, value: *}>} dependencies - Reads recorded by trackSelector()
+ * @param {*} state - The state to check
+ * @returns {boolean} True if no recorded read would see a different value
+ * @private
+ */
+const dependenciesHold = function(dependencies, state) {
+    return dependencies.every(dependency => {
+        var current = state;
+        for (let i = 0; i < dependency.path.length; i++) {
+            if (!current || typeof current !== 'object') {
+                return false;
+            }
+            current = current[dependency.path[i]];
+        }
+        return Object.is(current, dependency.value);
+    });
+};
+
+/**
+ * Wraps a selector so it is only recomputed when a part of the state it read has
+ * changed; otherwise the previous result is returned as is.
+ *
+ * @function memoizeSelector
+ * @param {Function} selector - The selector to memoize
+ * @returns {Function} Memoized selector taking the state
+ * @private
+ */
+const memoizeSelector = function(selector) {
+    var last;
+    return state => {
+        if (last && (Object.is(last.state, state) || dependenciesHold(last.dependencies, state))) {
+            last.state = state;
+            return last.value;
+        }
+        const tracked = trackSelector(selector, state);
+        last = { state, value: tracked.value, dependencies: tracked.dependencies };
+        return last.value;
+    };
+};
+
+//=============================================================================
+// Change Propagation
+//=============================================================================
+
+/**
+ * Bookkeeping for propagating commits to derived stores.
+ *
+ * While a propagation runs, derived stores marked dirty are recomputed in order of
+ * rank (their distance from the plain stores they depend on), so each one is
+ * recomputed once, after everything it depends on. Notifications of the derived
+ * stores are held back until every recomputation is done, so no subscriber can
+ * observe a derived store that is out of date.
+ *
+ * @constant {{running: boolean, holds: number, computing: (Understate|undefined), dirty: Set<Understate>, notifications: Array<Function>}} propagation
+ * @private
+ */
+const propagation = {
+    running: false,
+    holds: 0,
+    computing: undefined,
+    dirty: new Set(),
+    notifications: []
+};
+
+/**
+ * Checks whether a store depends on another one, directly or through other derived stores.
+ *
+ * @function dependsOn
+ * @param {Understate} store - The store that may depend on source
+ * @param {Understate} source - The store that may be depended on
+ * @returns {boolean} True if source is among the sources of store, at any depth
+ * @private
+ */
+const dependsOn = function(store, source) {
+    return store._sources.some(candidate => candidate === source || dependsOn(candidate, source));
+};
+
+/**
+ * Propagates a commit: marks every derived store depending on the committing store
+ * as dirty and queues the notification of its subscribers. Unless a propagation is
+ * already running or being held, it then runs right away.
+ *
+ * @function propagate
+ * @param {Understate} store - The store that committed
+ * @param {Function} notify - Notifies the subscribers of the committing store
+ * @private
+ */
+const propagate = function(store, notify) {
+    store._dependents.forEach(dependent => propagation.dirty.add(dependent));
+    propagation.notifications.push(notify);
+    flush();
+};
+
+/**
+ * Recomputes every dirty derived store, lowest rank first, then delivers the queued
+ * notifications in the order the commits happened. Does nothing while a propagation
+ * is running or being held, as that one will deliver them.
+ *
+ * @function flush
+ * @private
+ */
+const flush = function() {
+    if (propagation.running || propagation.holds > 0) {
+        return;
+    }
+
+    propagation.running = true;
+    try {
+        while (propagation.dirty.size > 0) {
+            var next;
+            propagation.dirty.forEach(candidate => {
+                if (!next || candidate._rank < next._rank) {
+                    next = candidate;
+                }
+            });
+            propagation.dirty.delete(next);
+            propagation.computing = next;
+            next._recompute();
+            propagation.computing = undefined;
+            next = undefined;
+        }
+    } finally {
+        propagation.running = false;
+        propagation.computing = undefined;
+    }
+
+    // Updates made by subscribers propagate on their own, with their own notifications
+    const notifications = propagation.notifications;
+    propagation.notifications = [];
+    notifications.forEach(pending => pending());
+};
+
+/**
+ * Runs a function that commits to several stores, holding propagation back until it
+ * returns, so derived stores are recomputed once for all of those commits.
+ *
+ * @function hold
+ * @param {Function} fn - The function committing the updates
+ * @returns {*} What fn returned
+ * @private
+ */
+const hold = function(fn) {
+    var result;
+    propagation.holds++;
+    try {
+        result = fn();
+    } finally {
+        propagation.holds--;
+    }
+    flush();
+    return result;
+};
+
+//=============================================================================
+// Paths
+//=============================================================================
+
+/**
+ * Normalizes a path into its segments. Accepts dot paths ('user.profile.email'),
+ * arrays of keys (['todos', 0, 'done']) and RFC 6901 JSON Pointers ('/todos/0/done').
+ * The empty string and the empty array address the whole state.
+ *
+ * @function parsePath
+ * @param {string|Array<string|number>} path - The path to normalize
+ * @param {string} method - Name of the public method, used to prefix error messages
+ * @returns {Array<string>} The path segments
+ * @throws {TypeError} If path is neither a string nor an array of strings and non-negative integers, or a dot path has an empty segment
+ * @private
+ */
+const parsePath = function(path, method) {
+    if (Array.isArray(path)) {
+        return path.map(segment => {
+            if (typeof segment !== 'string' && !(Number.isInteger(segment) && segment >= 0)) {
+                throw new TypeError(`${method}(): path segments must be strings or non-negative integers, received ${segment}`);
+            }
+            return String(segment);
+        });
+    }
+    if (typeof path !== 'string') {
+        throw new TypeError(`${method}(): path must be a string or an array, received ${typeof path}`);
+    }
+    if (path === '' || path.charAt(0) === '/') {
+        return parsePointer(path);
+    }
+    const segments = path.split('.');
+    if (segments.some(segment => segment === '')) {
+        throw new TypeError(`${method}(): path "${path}" contains an empty segment`);
+    }
+    return segments;
+};
+
+/**
+ * Reads the value at a path, or undefined if the path does not exist.
+ *
+ * @function readPath
+ * @param {*} state - The state to read from
+ * @param {Array<string>} path - Path segments from parsePath()
+ * @returns {*} The value at the path
+ * @private
+ */
+const readPath = function(state, path) {
+    return path.reduce((node, key) => node !== null && node !== undefined ? node[key] : undefined, state);
+};
+
+/**
+ * Returns a copy of a state with the value at a path replaced. Only the arrays and
+ * objects along the path are copied; missing ones are created, as arrays where the
+ * next key is an index and as objects otherwise.
+ *
+ * @function writePath
+ * @param {*} state - The state to write into; it is not modified
+ * @param {Array<string>} path - Path segments from parsePath()
+ * @param {*} value - The value to store at the path
+ * @returns {*} The new state, or state itself if the path already held the value
+ * @private
+ */
+const writePath = function(state, path, value) {
+    if (path.length === 0) {
+        return value;
+    }
+    const key = path[0];
+    const node = state !== null && typeof state === 'object' ? state : (/^\d+$/.test(key) ? [] : {});
+    const next = writePath(node[key], path.slice(1), value);
+    if (node === state && Object.is(node[key], next) && Object.prototype.hasOwnProperty.call(node, key)) {
+        return state;
+    }
+    const copy = Array.isArray(node) ? node.slice() : Object.assign({}, node);
+    copy[key] = next;
+    return copy;
+};
+
+//=============================================================================
+// Schemas
+//=============================================================================
+
+/**
+ * Types a schema can require, as named by JSON Schema.
+ *
+ * @constant {Array<string>} SCHEMA_TYPES
+ * @private
+ */
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Returns the JSON Schema type of a value, other than 'integer'.
+ *
+ * @function schemaType
+ * @param {*} value - The value
+ * @returns {string} 'null', 'array', 'object', or the value's typeof
+ * @private
+ */
+const schemaType = function(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+};
+
+/**
+ * Checks that a schema only uses the supported subset of JSON Schema correctly.
+ *
+ * @function validateSchema
+ * @param {Schema} schema - The schema to check
+ * @param {string} [location='#'] - JSON Pointer of the schema within the root schema, used in error messages
+ * @throws {TypeError} If the schema or one of its keywords is malformed
+ * @private
+ */
+const validateSchema = function(schema, location = '#') {
+    const invalid = message => new TypeError(`Understate(): schema at "${location}" ${message}`);
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw invalid('must be an object, received ' + schemaType(schema));
+    }
+    if (schema.type !== undefined) {
+        [].concat(schema.type).forEach(type => {
+            if (SCHEMA_TYPES.indexOf(type) === -1) {
+                throw invalid(`has an unknown type "${type}"; types are ${SCHEMA_TYPES.join(', ')}`);
+            }
+        });
+    }
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+        throw invalid('has an enum that is not an array');
+    }
+    ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'minItems', 'maxItems'].forEach(keyword => {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+            throw invalid(`has a ${keyword} that is not a number`);
+        }
+    });
+    if (schema.pattern !== undefined) {
+        if (typeof schema.pattern !== 'string' && !(schema.pattern instanceof RegExp)) {
+            throw invalid('has a pattern that is neither a string nor a RegExp');
+        }
+        try {
+            new RegExp(schema.pattern);
+        } catch (error) {
+            throw invalid(`has an invalid pattern - ${error.message}`);
+        }
+    }
+    if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string'))) {
+        throw invalid('has a required list that is not an array of strings');
+    }
+    if (schema.properties !== undefined) {
+        if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+            throw invalid('has properties that are not an object');
+        }
+        Object.keys(schema.properties).forEach(key => validateSchema(schema.properties[key], `${location}/properties/${escapePointer(key)}`));
+    }
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+        validateSchema(schema.additionalProperties, `${location}/additionalProperties`);
+    }
+    if (schema.items !== undefined) {
+        validateSchema(schema.items, `${location}/items`);
+    }
+};
+
+/**
+ * Checks a value against a schema, collecting every violation rather than stopping
+ * at the first. Keywords that do not apply to the value's type are ignored, as in
+ * JSON Schema.
+ *
+ * @function matchSchema
+ * @param {Schema} schema - A schema that passed validateSchema()
+ * @param {*} value - The value to check
+ * @param {string} path - JSON Pointer of the value within the state
+ * @param {Array<{path: string, message: string}>} errors - Receives the violations
+ * @returns {Array<{path: string, message: string}>} errors
+ * @private
+ */
+const matchSchema = function(schema, value, path, errors) {
+    const report = message => errors.push({ path, message });
+    const type = schemaType(value);
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        const matches = types.some(expected => expected === type || (expected === 'integer' && Number.isInteger(value)));
+        if (!matches) {
+            report(`must be of type ${types.join(' or ')}, received ${type}`);
+            return errors;
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(allowed => deepEqual(allowed, value))) {
+        report('must be one of ' + schema.enum.map(allowed => JSON.stringify(allowed)).join(', '));
+    }
+
+    if (type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be at least ${schema.minimum}, received ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(`must be at most ${schema.maximum}, received ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            report(`must be greater than ${schema.exclusiveMinimum}, received ${value}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            report(`must be less than ${schema.exclusiveMaximum}, received ${value}`);
+        }
+    }
+
+    if (type === 'string') {
+        // Lengths count code points, as in JSON Schema
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            report(`must be at least ${schema.minLength} characters long, received ${length}`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            report(`must be at most ${schema.maxLength} characters long, received ${length}`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            report(`must match the pattern ${String(schema.pattern)}`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(`must have at least ${schema.minItems} items, received ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            report(`must have at most ${schema.maxItems} items, received ${value.length}`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, position) => matchSchema(schema.items, item, `${path}/${position}`, errors));
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                matchSchema(properties[key], value[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                matchSchema(schema.additionalProperties, value[key], childPath, errors);
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Lists the violations found by matchSchema() in one line, for error messages.
+ *
+ * @function describeViolations
+ * @param {Array<{path: string, message: string}>} errors - The violations found by matchSchema()
+ * @returns {string} Each violation as its path and message, separated by semicolons
+ * @private
+ */
+const describeViolations = function(errors) {
+    return errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ');
+};
+
+/**
+ * Creates the error a state that does not match the schema is rejected with.
+ *
+ * @function createValidationError
+ * @param {Array<{path: string, message: string}>} errors - The violations found by matchSchema()
+ * @param {string} [subject='set(): New state'] - What did not match, starting with the method that checked it
+ * @returns {Error} An error named 'ValidationError' carrying the violations
+ * @private
+ */
+const createValidationError = function(errors, subject = 'set(): New state') {
+    return createError('ValidationError', `${subject} does not match the schema - ${describeViolations(errors)}`, { errors });
+};
+
+//=============================================================================
+// Plugins
+//=============================================================================
+
+/**
+ * Lifecycle events plugins can hook into.
+ *
+ * @constant {Array<string>} PLUGIN_HOOKS
+ * @private
+ */
+const PLUGIN_HOOKS = ['construct', 'beforeSet', 'afterSet', 'subscribe', 'unsubscribe', 'index', 'dispose'];
+
+/**
+ * Plugins registered with `Understate.plugin()`, applied to every instance created afterwards.
+ *
+ * @constant {Array<PluginDefinition>} PLUGINS
+ * @private
+ */
+const PLUGINS = [];
+
+/**
+ * Config key marking the stores created by derive(), combine(), machine(), resource()
+ * and createForm(). Registered plugins are not installed on them; only the plugins
+ * listed in their config are.
+ *
+ * @constant {Symbol} INTERNAL
+ * @private
+ */
+const INTERNAL = Symbol('internal');
+
+/**
+ * Checks that a plugin definition is well-formed.
+ *
+ * @function validatePlugin
+ * @param {PluginDefinition} plugin - The definition to check
+ * @param {string} method - Name of the public method, used to prefix error messages
+ * @throws {TypeError} If the definition, its name, data factory, methods or hooks are malformed
+ * @private
+ */
+const validatePlugin = function(plugin, method) {
+    if (!plugin || typeof plugin !== 'object' || Array.isArray(plugin)) {
+        throw new TypeError(`${method}: plugin must be an object, received ${typeof plugin}`);
+    }
+    if (typeof plugin.name !== 'string' || plugin.name.length === 0) {
+        throw new TypeError(`${method}: plugin.name must be a non-empty string, received ${typeof plugin.name}`);
+    }
+    if (plugin.data !== undefined && typeof plugin.data !== 'function') {
+        throw new TypeError(`${method}: plugin "${plugin.name}" data must be a function, received ${typeof plugin.data}`);
+    }
+    ['methods', 'hooks'].forEach(group => {
+        if (plugin[group] === undefined) {
+            return;
+        }
+        if (!plugin[group] || typeof plugin[group] !== 'object') {
+            throw new TypeError(`${method}: plugin "${plugin.name}" ${group} must be an object, received ${typeof plugin[group]}`);
+        }
+        Object.keys(plugin[group]).forEach(key => {
+            if (typeof plugin[group][key] !== 'function') {
+                throw new TypeError(`${method}: plugin "${plugin.name}" ${group}.${key} must be a function, received ${typeof plugin[group][key]}`);
+            }
+            if (group === 'hooks' && PLUGIN_HOOKS.indexOf(key) === -1) {
+                throw new TypeError(`${method}: plugin "${plugin.name}" has an unknown hook "${key}"; hooks are ${PLUGIN_HOOKS.join(', ')}`);
+            }
+        });
+    });
+};
+
+//=============================================================================
+// Type Definitions
+//=============================================================================
+
+/**
+ * Policies deciding what happens when an update arrives while an asynchronous
+ * update is still pending.
+ *
+ * - `takeEvery`: queue it, so every update commits in call order (same as `queue: true`)
+ * - `takeLatest`: abort the pending updates and keep only the newest one
+ * - `exhaust`: ignore it until the pending update has finished
+ *
+ * @constant {Array<string>} CONCURRENCY_POLICIES
+ * @private
+ */
+const CONCURRENCY_POLICIES = ['takeEvery', 'takeLatest', 'exhaust'];
+
+/**
+ * Built-in equality checks usable wherever an `equals` option is accepted.
+ *
+ * @constant {Array<string>} EQUALITY_CHECKS
+ * @private
+ */
+const EQUALITY_CHECKS = ['identity', 'shallow', 'deep'];
+
+/**
+ * Value that `set()` resolves with when its result was equal to the current state,
+ * meaning nothing was committed.
+ *
+ * @constant {symbol} UNCHANGED
+ * @public
+ * @example
+ * const result = await state.set(s => s, { equals: 'identity' });
+ * if (result === UNCHANGED) console.log('Nothing changed');
+ */
+export const UNCHANGED = Symbol('understate.unchanged');
+
+/**
+ * Configuration options for creating an Understate instance.
+ *
+ * @typedef {Object} UnderstateConfig
+ * @property {*} [initial=undefined] - The initial state value of the instance. A function is called for it on first access, and a Promise, or a function returning one, loads it asynchronously (see ready())
+ * @property {boolean} [index=false] - If true, states will be automatically indexed upon update
+ * @property {boolean} [asynchronous=false] - If true, state updates will be handled asynchronously
+ * @property {boolean} [queue=false] - If true, each mutator is invoked only after the previous update has committed
+ * @property {string} [concurrency] - How to handle updates arriving while an asynchronous update is pending: 'takeEvery', 'takeLatest' or 'exhaust'. Unset, every update commits whenever it resolves
+ * @property {string|Function} [equals] - Treat results equal to the current state as no-ops: 'identity', 'shallow', 'deep', or a comparator (previous, next) => boolean. Unset, every result is committed
+ * @property {boolean} [draft=false] - If true, mutators receive a mutable draft of the state instead of the state itself (see produce())
+ * @property {PatchListener} [onPatches] - Called with the JSON Patch operations of every committed draft update
+ * @property {boolean|StrictOptions} [strict=false] - Development aid: deep-freeze every committed state and reject mutators that modify the state they were passed
+ * @property {Array<PluginDefinition>} [plugins=[]] - Plugins to install on this instance, in addition to those registered with Understate.plugin()
+ * @property {Schema} [schema] - Every state committed by set() must match this schema, or the update is rejected with a ValidationError. The initial state must match it too
+ * @property {number} [history] - Enables undo() and redo(), keeping up to this many states to undo to (Infinity for no limit)
+ */
+
+/**
+ * Options for strict mode.
+ *
+ * @typedef {Object} StrictOptions
+ * @property {boolean} [determinism=false] - Also run every synchronous mutator twice and reject it if the two results differ
+ */
+
+/**
+ * Configuration options for state update operations.
+ *
+ * @typedef {Object} SetConfig
+ * @property {boolean} [index] - Override instance-level index setting for this update
+ * @property {boolean} [asynchronous] - Override instance-level asynchronous setting for this update
+ * @property {boolean} [queue] - Override instance-level queue setting for this update
+ * @property {string} [concurrency] - Override instance-level concurrency policy for this update: 'takeEvery', 'takeLatest' or 'exhaust'
+ * @property {*|MutatorFunction} [optimistic] - State (or a mutator computing it from the current state) committed immediately while the asynchronous mutator runs. If the mutator rejects or is aborted, the optimistic state is rolled back and updates made in the meantime are re-applied. If it resolves, synchronous updates made in the meantime are replayed on its result. Implies asynchronous handling
+ * @property {string|Function} [equals] - Override instance-level equality check for this update
+ * @property {boolean} [draft] - Override instance-level draft setting for this update
+ * @property {PatchListener} [onPatches] - Called with the JSON Patch operations of this update once it commits, after the instance-level listener
+ * @property {number|RetryPolicy} [retry] - Retry a rejected asynchronous mutator; a number is shorthand for { count: number }
+ * @property {number} [timeout] - Time limit in milliseconds for each attempt of an asynchronous mutator; exceeding it rejects with a TimeoutError
+ * @property {AbortSignal} [signal] - Signal that abandons the update: once aborted, the state is not committed, subscribers are not notified and the returned promise rejects with an AbortError
+ * @property {boolean} [history=true] - With history enabled, whether this update can be undone. An update left out of history replaces the current state in it instead, so undo() goes back to the state before both
+ * @property {*} [initial] - Reserved for future use
+ */
+
+/**
+ * Retry policy for asynchronous mutators.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} [count=0] - Maximum number of retries after the first attempt
+ * @property {number} [delay=100] - Base delay in milliseconds between attempts
+ * @property {string|Function} [backoff='exponential'] - 'fixed', 'linear', 'exponential', or a function (attempt, delay) => milliseconds
+ * @property {Function} [retryIf] - Predicate (error, attempt) => boolean deciding whether a failed attempt is retried. By default everything but aborts is retried
+ */
+
+/**
+ * State mutation function that transforms the current state.
+ *
+ * @typedef {Function} MutatorFunction
+ * @param {*} currentState - The current state value
+ * @param {AbortSignal} [signal] - The signal passed via SetConfig, if any, so the mutator can cancel its own work
+ * @returns {*|Promise<*>} The new state value, or a Promise resolving to the new state
+ */
+
+/**
+ * Listener receiving the changes made by a draft update.
+ *
+ * @typedef {Function} PatchListener
+ * @param {Array<Object>} patches - RFC 6902 operations turning the state the mutator received into the committed one
+ * @param {Array<Object>} inversePatches - RFC 6902 operations undoing them
+ */
+
+/**
+ * Middleware wrapping the commit of updates, added with `use()`.
+ *
+ * @typedef {Function} Middleware
+ * @param {MiddlewareContext} context - The update being committed, or the failure being reported
+ * @param {Function} next - Passes the update on to the next middleware and eventually commits it, returning the committed state or UNCHANGED
+ * @returns {*} Ignored
+ */
+
+/**
+ * Update passed to middleware.
+ *
+ * @typedef {Object} MiddlewareContext
+ * @property {Understate} store - The instance being updated
+ * @property {MutatorFunction} mutator - The mutator passed to set()
+ * @property {SetConfig} config - The config passed to set()
+ * @property {*} previous - The state before the update
+ * @property {*} state - The state about to be committed; assign to it to commit something else. Undefined for failures
+ * @property {Error} [error] - Why the update failed, when reporting a failure
+ * @property {string} [travel] - 'undo' or 'redo' when the state is restored from the history rather than set; mutator is then undefined and config empty
+ * @property {Understate} [parent] - The combined store passing its new state on to the instance, when the instance is one of its children; mutator is then undefined and config empty
+ */
+
+/**
+ * Subscription callback function invoked after state updates.
+ *
+ * @typedef {Function} SubscriptionCallback
+ * @param {*} newState - The updated state value
+ * @param {string} [stateId] - The ID of the new state (if indexing is enabled)
+ */
+
+/**
+ * Object returned from subscription with unsubscribe capability.
+ *
+ * @typedef {Object} SubscriptionPointer
+ * @property {Function} unsubscribe - Method to cancel the subscription
+ * @property {Function} set - Inherited set method from Understate instance
+ * @property {Function} get - Inherited get method from Understate instance
+ * @property {Function} subscribe - Inherited subscribe method from Understate instance
+ */
+
+/**
+ * Subscribable view of part of the state, returned by `select()`.
+ *
+ * @typedef {Object} SelectorView
+ * @property {Function} get - Returns a Promise resolving to the selected value
+ * @property {Function} peek - Returns the selected value synchronously
+ * @property {Function} subscribe - Subscribes a callback (selected, previousSelected) invoked only when the selected value changes; returns a SubscriptionPointer
+ * @property {Function} unsubscribe - Detaches the view and all of its subscribers from the instance
+ * @property {Function} error - Returns the error the selector threw when last run, or undefined if it succeeded
+ */
+
+/**
+ * Store-like view of the value at a path, returned by `at()`. Besides the methods
+ * of a SelectorView, it can update that value.
+ *
+ * @typedef {SelectorView} Lens
+ * @property {Function} set - Updates the value at the path like Understate.set(), resolving to the new value at the path
+ * @property {Function} s - Updates the value at the path and returns the lens for chaining
+ * @property {Function} at - Creates a lens for a path relative to this one
+ */
+
+/**
+ * Definition of a finite state machine, passed to `Understate.machine()`.
+ *
+ * @typedef {Object} MachineDefinition
+ * @property {string} initial - Name of the state the machine starts in
+ * @property {*} [context] - The initial context
+ * @property {Object<string, {entry: (Function|undefined), exit: (Function|undefined)}>} states - The states by name, with optional entry and exit actions called as (context, event, machine)
+ * @property {Object<string, Object<string, (string|Object|Array)>>} [transitions={}] - For each state, the transitions by event type: a target state name, a { target, guard, update } object, or a list of them tried in order
+ * @property {Object<string, Function>} [guards={}] - Named guards, called as (context, event) and returning whether a transition may be taken
+ */
+
+/**
+ * What validateEmail() and normalizeEmail() accept besides plain ASCII addresses.
+ *
+ * @typedef {Object} EmailOptions
+ * @property {boolean} [unicode=false] - Accept non-ASCII local parts (SMTPUTF8, RFC 6531) and internationalized domain names, checked in their Punycode form once mapped as by UTS #46 (compatibility forms replaced, lowercased). Labels already starting with 'xn--' must hold valid Punycode
+ * @property {boolean} [lengthLimits=false] - Enforce the RFC 5321 limits: 64 octets for the local part, 253 for the domain and 254 for the address
+ * @property {boolean} [quoted=false] - Accept quoted local parts, such as "john doe"@example.com
+ * @property {boolean} [ipLiteral=false] - Accept IP addresses as the domain, such as user@[192.0.2.1] or user@[IPv6:2001:db8::1]
+ * @property {boolean} [detailed=false] - Make validateEmail() return an EmailValidation instead of a boolean
+ * @property {Array<string>} [domains=EMAIL_DOMAINS] - Domains suggested in detailed mode when the address's domain is at most two typos away from one of them
+ */
+
+/**
+ * Result of validateEmail() in detailed mode.
+ *
+ * @typedef {Object} EmailValidation
+ * @property {boolean} valid - Whether the address is valid
+ * @property {string|undefined} reason - Why it is not: 'missingAt', 'emptyLocalPart', 'emptyDomain', 'leadingDot', 'trailingDot', 'consecutiveDots', 'invalidCharacter', 'quotedNotAllowed', 'unterminatedQuote', 'addressLiteralNotAllowed', 'invalidAddressLiteral', 'labelHyphen', 'labelTooLong', 'invalidPunycode', 'localPartTooLong', 'domainTooLong' or 'addressTooLong'
+ * @property {number|undefined} position - Index in the address of the offending character, or of the start of the offending part
+ * @property {string|undefined} suggestion - The address with its domain corrected, when it looks like a typo of a known domain
+ */
+
+/**
+ * Validates a form field.
+ *
+ * @typedef {Function} Validator
+ * @param {*} value - The field's value
+ * @param {Object<string, *>} values - The values of all fields
+ * @returns {string|undefined|Promise<string|undefined>} An error message, or nothing when the value is valid
+ * @property {Array<string>} [fields] - Other fields the validator reads, so it runs again when they change
+ */
+
+/**
+ * State of a form created by `createForm()`.
+ *
+ * @typedef {Object} FormState
+ * @property {Object<string, *>} values - The value of each field
+ * @property {Object<string, boolean>} dirty - Whether each field differs from its initial value
+ * @property {Object<string, boolean>} touched - Whether each field was touched, or the form submitted
+ * @property {Object<string, string>} errors - Error message of each invalid field
+ * @property {string|undefined} formError - Error message of the form-level validator
+ * @property {Object<string, boolean>} validating - Fields whose asynchronous validators are pending
+ * @property {boolean} valid - Whether the validations run so far found no errors
+ * @property {number} submitCount - How many times submitting was attempted
+ * @property {string} submitStatus - 'idle', 'submitting', 'invalid', 'succeeded' or 'failed'
+ * @property {*} submitError - What the last submission failed with
+ */
+
+/**
+ * A form created by `createForm()`.
+ *
+ * @typedef {Object} Form
+ * @property {Understate} store - The instance holding the FormState
+ * @property {Function} peek - Returns the current FormState
+ * @property {Function} subscribe - Subscribes to the FormState, like Understate.subscribe()
+ * @property {Function} setValue - (name, value) => Promise<boolean>; sets a field and resolves to whether the validations it triggered passed
+ * @property {Function} setValues - (values) => Promise<boolean>; sets several fields at once
+ * @property {Function} touch - (name) => Promise; marks a field as touched
+ * @property {Function} validate - ([name]) => Promise<boolean>; validates one field, or every field, and the form
+ * @property {Function} reset - ([values]) => Promise; restores the initial values, optionally replacing some of them first, and clears every flag and error
+ * @property {Function} submit - (onSubmit) => Promise<boolean>; touches and validates every field, then calls onSubmit with the values if they are valid. Resolves to whether onSubmit was called, and rejects if it fails
+ */
+
+/**
+ * Options of `Understate.resource()`.
+ *
+ * @typedef {Object} ResourceOptions
+ * @property {Function} [key] - Computes the cache key of a load's arguments. By default, their JSON
+ * @property {number} [staleTime=0] - How many milliseconds data stays fresh. Until then, loading the same arguments returns the cached data without fetching
+ * @property {boolean} [staleWhileRevalidate=true] - Whether stale data stays in the state while it is fetched again. Otherwise the status goes back to 'loading' and the data is cleared
+ */
+
+/**
+ * An adapter created by `createEntityAdapter()`. Every mutator builder returns a
+ * mutator for `set()` taking a collection `{ ids, entities }` and returning the next one.
+ *
+ * @typedef {Object} EntityAdapter
+ * @property {Function} getInitialState - ([extra]) => state; an empty collection, with the properties of extra
+ * @property {Function} addOne - (entity) => mutator; adds a record, unless one has its id
+ * @property {Function} addMany - (entities) => mutator; adds the records whose ids are not taken
+ * @property {Function} upsertOne - (entity) => mutator; adds a record, or merges it shallowly into the one with its id
+ * @property {Function} upsertMany - (entities) => mutator; upserts several records
+ * @property {Function} updateOne - ({ id, changes }) => mutator; merges changes shallowly into a record, if it exists. The changes may change its id
+ * @property {Function} updateMany - (updates) => mutator; updates several records
+ * @property {Function} removeOne - (id) => mutator; removes a record
+ * @property {Function} removeMany - (ids) => mutator; removes several records
+ * @property {Function} removeAll - () => mutator; removes every record
+ * @property {Function} setAll - (entities) => mutator; replaces every record
+ * @property {Function} getSelectors - ([selectState]) => EntitySelectors; selectors reading the collection from the state selectState returns it from. By default the state is the collection
+ */
+
+/**
+ * Selectors created by `EntityAdapter.getSelectors()`, usable with `select()`.
+ *
+ * @typedef {Object} EntitySelectors
+ * @property {Function} selectIds - (state) => Array; the ids, in order
+ * @property {Function} selectEntities - (state) => Object; the records by id
+ * @property {Function} selectAll - (state) => Array; the records in order, the same array until the ids or records change
+ * @property {Function} selectTotal - (state) => number; how many records there are
+ * @property {Function} selectById - (state, id) => Object|undefined; the record with that id
+ */
+
+/**
+ * The subset of JSON Schema states can be checked against. Other keywords are ignored.
+ *
+ * @typedef {Object} Schema
+ * @property {string|Array<string>} [type] - 'string', 'number', 'integer', 'boolean', 'object', 'array' or 'null', or a list of them
+ * @property {Array} [enum] - The allowed values, compared deeply
+ * @property {number} [minimum] - Smallest allowed number
+ * @property {number} [maximum] - Largest allowed number
+ * @property {number} [exclusiveMinimum] - Numbers must be greater than this
+ * @property {number} [exclusiveMaximum] - Numbers must be less than this
+ * @property {number} [minLength] - Shortest allowed string, in code points
+ * @property {number} [maxLength] - Longest allowed string, in code points
+ * @property {string|RegExp} [pattern] - Strings must match this regular expression
+ * @property {Object<string, Schema>} [properties] - Schemas of an object's properties
+ * @property {Array<string>} [required] - Properties an object must have
+ * @property {boolean|Schema} [additionalProperties=true] - Whether, or how, an object may have properties not listed in properties
+ * @property {Schema} [items] - Schema of every item of an array
+ * @property {number} [minItems] - Fewest items allowed in an array
+ * @property {number} [maxItems] - Most items allowed in an array
+ */
+
+/**
+ * A plugin, registered with `Understate.plugin()` or passed to the constructor.
+ *
+ * @typedef {Object} PluginDefinition
+ * @property {string} name - Unique name of the plugin
+ * @property {Function} [data] - Called with the store when the plugin is installed, returning the plugin's private data for that store
+ * @property {Object<string, Function>} [methods] - Methods added to the store, each called with the plugin's PluginAPI followed by its arguments
+ * @property {Object<string, Function>} [hooks] - Lifecycle hooks, each called with the plugin's PluginAPI followed by the event's arguments: construct, beforeSet, afterSet, subscribe, unsubscribe, index, dispose
+ */
+
+/**
+ * First argument of every method and hook of a plugin.
+ *
+ * @typedef {Object} PluginAPI
+ * @property {Understate} store - The store the plugin is installed on
+ * @property {Object} data - The plugin's private data for that store
+ */
+
+//=============================================================================
+// Core Constructor
+//=============================================================================
+
+/**
+ * Creates a new Understate state management instance.
+ *
+ * Understate provides a simple but powerful way to manage state with support for:
+ * - Synchronous and asynchronous state updates
+ * - State indexing and historical state retrieval
+ * - Subscription-based reactivity
+ * - Method chaining for fluent APIs
+ *
+ * The initial state can also be computed lazily, by passing a function called on first
+ * access, or loaded asynchronously, by passing a Promise or a function returning one.
+ * Until it has loaded the state is undefined, and set(), batch() and get() wait for it.
+ *
+ * @class Understate
+ * @param {UnderstateConfig} [config={}] - Configuration object with optional properties: initial (any - the starting state value, or a function or Promise producing it), index (boolean - enables automatic state indexing), asynchronous (boolean - enables async mutator support)
+ * @returns {Understate} A new Understate instance with methods: set(), s(), batch(), get(), peek(), getSnapshot(), ready(), subscribe(), select(), use(), id(), undo() and redo()
+ * @throws {TypeError} If config parameter is not an object or null
+ * @throws {TypeError} If index parameter is not a boolean when provided
+ * @throws {TypeError} If asynchronous parameter is not a boolean when provided
+ * @throws {TypeError} If queue parameter is not a boolean when provided
+ * @throws {TypeError} If concurrency parameter is not a known policy when provided
+ * @throws {TypeError} If equals parameter is not a known equality check or a function when provided
+ * @throws {TypeError} If draft parameter is not a boolean when provided
+ * @throws {TypeError} If onPatches parameter is not a function when provided
+ * @throws {TypeError} If strict parameter is neither a boolean nor an options object when provided
+ * @throws {TypeError} If history parameter is not a positive integer or Infinity when provided
+ * @throws {TypeError} If initial does not match the schema. A lazy or asynchronous initial state is checked once it is in place instead, and fails the load with a ValidationError
+ *
+ * @example
+ * // Create a simple state manager
+ * const counter = new Understate({ initial: 0 });
+ *
+ * @example
+ * // Create with indexing enabled
+ * const history = new Understate({
+ *   initial: { value: 0 },
+ *   index: true
+ * });
+ *
+ * @example
+ * // Create with asynchronous updates
+ * const asyncState = new Understate({
+ *   initial: null,
+ *   asynchronous: true
+ * });
+ *
+ * @example
+ * // Create with queued updates so overlapping async mutators never see stale state
+ * const queued = new Understate({
+ *   initial: [],
+ *   asynchronous: true,
+ *   queue: true
+ * });
+ *
+ * @example
+ * // Create a typeahead store that only ever commits the most recent search
+ * const results = new Understate({
+ *   initial: [],
+ *   asynchronous: true,
+ *   concurrency: 'takeLatest'
+ * });
+ *
+ * @example
+ * // Create a store whose mutators edit a draft and which reports every change as JSON Patch
+ * const todos = new Understate({
+ *   initial: { items: [] },
+ *   draft: true,
+ *   onPatches: (patches, inversePatches) => socket.send(JSON.stringify(patches))
+ * });
+ *
+ * @example
+ * // Catch impure mutators during development
+ * const store = new Understate({
+ *   initial: { items: [] },
+ *   strict: process.env.NODE_ENV !== 'production' && { determinism: true }
+ * });
+ *
+ * @example
+ * // Load the initial state from storage, queueing updates until it is in place
+ * const settings = new Understate({ initial: () => storage.load('settings') });
+ * settings.set(s => ({ ...s, theme: 'dark' })); // Applied to the loaded settings
+ * settings.ready().then(render);
+ *
+ * @example
+ * // Keep the last 100 edits for undo and redo
+ * const editor = new Understate({ initial: { text: '' }, history: 100 });
+ *
+ * @example
+ * // Refuse malformed states before subscribers see them
+ * const user = new Understate({
+ *   initial: { name: 'Ada', age: 36 },
+ *   schema: {
+ *     type: 'object',
+ *     required: ['name'],
+ *     properties: {
+ *       name: { type: 'string', minLength: 1 },
+ *       age: { type: 'integer', minimum: 0 }
+ *     }
+ *   }
+ * });
+ */
+export const Understate = function({
+    initial = undefined,
+    index = false,
+    asynchronous = false,
+    queue = false,
+    concurrency = undefined,
+    equals = undefined,
+    draft = false,
+    onPatches = undefined,
+    strict = false,
+    plugins = [],
+    schema = undefined,
+    history = undefined
+} = {}) {
+    // Validate constructor parameters
+    if (arguments.length > 0 && arguments[0] !== undefined && arguments[0] !== null) {
+        if (typeof arguments[0] !== 'object' || Array.isArray(arguments[0])) {
+            throw new TypeError('Understate(): config parameter must be an object, received ' + typeof arguments[0]);
+        }
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('index')) {
+        if (typeof index !== 'boolean') {
+            throw new TypeError('Understate(): index parameter must be a boolean, received ' + typeof index);
+        }
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('asynchronous')) {
+        if (typeof asynchronous !== 'boolean') {
+            throw new TypeError('Understate(): asynchronous parameter must be a boolean, received ' + typeof asynchronous);
+        }
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('queue')) {
+        if (typeof queue !== 'boolean') {
+            throw new TypeError('Understate(): queue parameter must be a boolean, received ' + typeof queue);
+        }
+    }
+
+    if (concurrency !== undefined && CONCURRENCY_POLICIES.indexOf(concurrency) === -1) {
+        throw new TypeError('Understate(): concurrency parameter must be one of ' + CONCURRENCY_POLICIES.join(', ') + ', received ' + concurrency);
+    }
+
+    if (equals !== undefined && EQUALITY_CHECKS.indexOf(equals) === -1 && typeof equals !== 'function') {
+        throw new TypeError('Understate(): equals parameter must be one of ' + EQUALITY_CHECKS.join(', ') + ' or a function, received ' + equals);
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('draft')) {
+        if (typeof draft !== 'boolean') {
+            throw new TypeError('Understate(): draft parameter must be a boolean, received ' + typeof draft);
+        }
+    }
+
+    if (onPatches !== undefined && typeof onPatches !== 'function') {
+        throw new TypeError('Understate(): onPatches parameter must be a function, received ' + typeof onPatches);
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('strict')) {
+        if (typeof strict !== 'boolean' && (!strict || typeof strict !== 'object' || Array.isArray(strict))) {
+            throw new TypeError('Understate(): strict parameter must be a boolean or an options object, received ' + typeof strict);
+        }
+        if (typeof strict === 'object' && strict.determinism !== undefined && typeof strict.determinism !== 'boolean') {
+            throw new TypeError('Understate(): strict.determinism must be a boolean when provided, received ' + typeof strict.determinism);
+        }
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('plugins')) {
+        if (!Array.isArray(plugins)) {
+            throw new TypeError('Understate(): plugins parameter must be an array, received ' + typeof plugins);
+        }
+        plugins.forEach(plugin => validatePlugin(plugin, 'Understate()'));
+    }
+
+    if (arguments.length > 0 && arguments[0] && arguments[0].hasOwnProperty('schema') && schema !== undefined) {
+        validateSchema(schema);
+    }
+
+    if (history !== undefined && (typeof history !== 'number' || history < 1 || (history !== Infinity && !Number.isInteger(history)))) {
+        throw new TypeError('Understate(): history parameter must be a positive integer or Infinity, received ' + history);
+    }
+
+    // A function is called on first access, and a Promise, or a function returning one, loads the state asynchronously
+    const deferred = typeof initial === 'function' || Boolean(initial && typeof initial.then === 'function');
+
+    // A deferred initial state is checked once it is in place, failing the load if it does not match
+    if (schema !== undefined && !deferred) {
+        const violations = matchSchema(schema, initial, '', []);
+        if (violations.length > 0) {
+            throw new TypeError('Understate(): initial state does not match the schema - ' + describeViolations(violations));
+        }
+    }
+
+    try {
+        /** @private @type {*} */
+        let _state = deferred ? undefined : initial;
+
+        /** @private @type {string} */
+        let _id;
+
+        /** @private */
+        this._getState = () => {
+            if (this._loading && this._loading.load) {
+                this._initialize();
+            }
+            return _state;
+        };
+
+        /** @private */
+        this._setState = _ => _state = _;
+
+        /** @private */
+        this._getId = () => _id;
+
+        /** @private */
+        this._setId = _ => _id = _;
+
+        this._setId(generateId(this._getState()));
+
+        /** @private @type {boolean} */
+        this._index = !!index;
+
+        /** @private @type {boolean} */
+        this._asynchronous = !!asynchronous;
+
+        /** @private @type {boolean} */
+        this._queue = !!queue;
+
+        /** @private @type {string|undefined} */
+        this._concurrency = concurrency !== undefined ? concurrency : (this._queue ? 'takeEvery' : undefined);
+
+        /** @private @type {Set<AbortController>} */
+        this._inflight = new Set();
+
+        /** @private @type {Function|undefined} */
+        this._equals = equals !== undefined ? resolveEquality(equals) : undefined;
+
+        /** @private @type {boolean} */
+        this._draft = !!draft;
+
+        /** @private @type {PatchListener|undefined} */
+        this._onPatches = onPatches;
+
+        /** @private @type {{determinism: boolean}|undefined} */
+        this._strict = strict ? { determinism: !!strict.determinism } : undefined;
+
+        /** @private @type {Schema|undefined} */
+        this._schema = schema;
+
+        /** @private @type {{load: Function}|{promise: Promise}|undefined} */
+        this._loading = deferred ? { load: typeof initial === 'function' ? initial : () => initial } : undefined;
+
+        /** @private @type {Promise|undefined} */
+        this._ready = undefined;
+
+        /** @private @type {{depth: number, past: Array<string>, future: Array<string>, states: Map<string, *>}|undefined} */
+        this._history = history !== undefined ? { depth: history, past: [], future: [], states: new Map() } : undefined;
+
+        if (this._strict && !deferred) {
+            deepFreeze(this._getState());
+        }
+
+        /** @private @type {{confirmed: *, layers: Array<MutatorFunction>, log: Array<MutatorFunction>, starts: Map<MutatorFunction, number>}|undefined} */
+        this._optimistic = undefined;
+
+        /** @private @type {{state: *, id: string, changed: boolean, index: boolean, record: boolean, error: (Error|undefined)}|undefined} */
+        this._batch = undefined;
+
+        /** @private @type {{state: *, id: string}|undefined} */
+        this._snapshot = undefined;
+
+        /** @private @type {number} */
+        this._pending = 0;
+
+        /** @private @type {Promise<void>} */
+        this._tail = Promise.resolve();
+
+        /** @private @type {Set<SubscriptionCallback>} */
+        this._subscriptions = new Set();
+
+        /** @private @type {Map<string, *>} */
+        this._indexed = new Map();
+
+        /** @private @type {Array<Understate>} */
+        this._sources = [];
+
+        /** @private @type {Set<Understate>} */
+        this._dependents = new Set();
+
+        /** @private @type {number} */
+        this._rank = 0;
+
+        /** @private @type {Function|undefined} */
+        this._compute = undefined;
+
+        /** @private @type {Object<string, Understate>|undefined} */
+        this._children = undefined;
+
+        /** @private @type {Error|undefined} */
+        this._error = undefined;
+
+        /** @private @type {Array<Middleware>} */
+        this._middleware = [];
+
+        /** @private @type {Array<{plugin: PluginDefinition, api: PluginAPI}>} */
+        this._plugins = [];
+
+        const registered = arguments[0] && arguments[0][INTERNAL] ? [] : PLUGINS;
+        registered.concat(plugins).forEach(plugin => {
+            const installed = this._plugins.find(entry => entry.plugin.name === plugin.name);
+            if (installed && installed.plugin !== plugin) {
+                throw new Error(`plugin "${plugin.name}" is installed more than once`);
+            }
+            if (!installed) {
+                this._install(plugin);
+            }
+        });
+
+        // Plugins hear of the instance before any other hook fires
+        this._plugins.forEach(({ plugin, api }) => {
+            if (plugin.hooks && plugin.hooks.construct) {
+                plugin.hooks.construct.call(this, api, arguments[0] || {});
+            }
+        });
+
+        if (this._index && !deferred) {
+            this._indexState(this._getId(), this._getState());
+        }
+        if (this._history && !deferred) {
+            this._remember(this._getId(), this._getState());
+        }
+
+        // A Promise is already loading, so it is awaited right away
+        if (deferred && typeof initial !== 'function') {
+            this._initialize();
+        }
+
+        return this;
+    } catch (error) {
+        throw new Error(`Understate(): Failed to initialize instance - ${error.message}`);
+    }
+};
+
+//=============================================================================
+// State Management Methods
+//=============================================================================
+
+/**
+ * Updates the current state by applying a mutator function.
+ *
+ * This is the primary method for modifying state. It applies the mutator function
+ * to the current state, updates internal state, notifies subscribers, and optionally
+ * indexes the new state.
+ *
+ * With queueing enabled (via config.queue or the instance default), the mutator is
+ * not invoked until every previously queued update has committed, so overlapping
+ * asynchronous mutators each receive the state produced by the one before them.
+ * The concurrency policy (via config.concurrency or the instance default) can
+ * instead keep only the latest update ('takeLatest'), aborting the pending ones,
+ * or ignore new updates while one is pending ('exhaust'); either way the dropped
+ * updates reject with an AbortError. Asynchronous mutators always receive a
+ * signal that is aborted when their update is dropped.
+ *
+ * An optimistic state (via config.optimistic) is committed and broadcast before the
+ * asynchronous mutator runs. While it is pending, mutators receive the confirmed state
+ * beneath the optimistic values, and what they return is shown with the optimistic
+ * values re-applied on top. Should the mutator reject or be aborted, the optimistic
+ * value is dropped: the store returns to the pre-optimistic state plus any updates
+ * committed in between, and notifies subscribers again. Should it resolve, the
+ * synchronous updates committed in between are replayed on top of its result, so
+ * they are not lost to a value computed before them.
+ *
+ * A rejected asynchronous mutator can be retried (via config.retry), each retry
+ * receiving the state as it is at that point, and every attempt can be given a time
+ * limit (via config.timeout). An attempt that runs out of time rejects with a
+ * TimeoutError, which is what the returned promise rejects with if it is not retried.
+ *
+ * With an equality check (via config.equals or the instance default), a result equal
+ * to the current state is not committed: no ID is generated, nothing is indexed, no
+ * subscriber is notified, and the returned promise resolves to UNCHANGED.
+ *
+ * In draft mode (via config.draft or the instance default), the mutator receives a
+ * mutable draft of the state and may simply modify it; see `produce()`. Once such an
+ * update commits, the onPatches listeners receive the JSON Patch operations describing
+ * what the mutator changed in the state it was given, along with their inverse.
+ *
+ * In strict mode (via the constructor), every committed state is deep-frozen and a
+ * mutator that modifies the state it was passed fails with a StrictModeError naming
+ * the mutator and the place set() was called from. With strict.determinism, each
+ * synchronous mutator is also run a second time and fails the same way if the two
+ * results differ. Nothing is committed when a mutator fails these checks.
+ *
+ * @memberof Understate
+ * @method set
+ * @param {MutatorFunction} mutator - Function to transform the current state. Receives the current state as a parameter and should return the new state value (or a Promise resolving to the new state for async operations)
+ * @param {SetConfig} [config={}] - Configuration options for this update. Optional object with properties: index (boolean), asynchronous (boolean), queue (boolean), concurrency (string), optimistic (any), retry (number|RetryPolicy), timeout (number), equals (string|Function), draft (boolean), onPatches (Function), signal (AbortSignal), history (boolean)
+ * @returns {Promise<*>} Promise that resolves to the new state value, or to UNCHANGED when an equality check found nothing to commit. If indexing is enabled (via config.index or instance default), the promise callback also receives the state ID as a second parameter
+ * @throws {TypeError} If mutator is not a function
+ * @throws {TypeError} If config is not an object when provided
+ * @throws {TypeError} If config.index is not a boolean when provided
+ * @throws {TypeError} If config.asynchronous is not a boolean when provided
+ * @throws {TypeError} If config.queue is not a boolean when provided
+ * @throws {TypeError} If config.signal is not an AbortSignal when provided
+ * @throws {TypeError} If config.concurrency is not a known policy when provided
+ * @throws {TypeError} If config.retry is not a valid retry policy when provided
+ * @throws {TypeError} If config.timeout is not a positive number when provided
+ * @throws {TypeError} If config.equals is not a known equality check or a function when provided
+ * @throws {TypeError} If config.draft is not a boolean when provided
+ * @throws {TypeError} If config.onPatches is not a function when provided
+ * @throws {TypeError} If config.history is not a boolean when provided
+ * @throws {Error} If mutator throws an error
+ * @throws {Error} If a synchronous mutator breaks strict mode, with name 'StrictModeError'
+ * @throws {Error} If the instance is a derived store, which is read-only
+ * @throws {Error} If the instance is a machine, which only changes state through send()
+ * @throws {TypeError} If the instance is a combined store and the new state is not an object of its children's states
+ * @throws {Error} If a middleware added with use() throws; the update rejects with that error as is
+ * @throws {Error} If the new state does not match the instance's schema, with name 'ValidationError' and an errors property listing each failing path
+ * @throws {Error} If called from the combine function of a store derived from this one, with name 'CycleError'
+ * @throws {Error} If state update fails
+ *
+ * @example
+ * // Synchronous update
+ * state.set(currentValue => currentValue + 1)
+ *   .then(newValue => console.log(newValue));
+ *
+ * @example
+ * // Asynchronous update
+ * state.set(async currentValue => {
+ *   const data = await fetchData();
+ *   return data;
+ * }, { asynchronous: true });
+ *
+ * @example
+ * // Update with indexing
+ * state.set(val => val * 2, { index: true })
+ *   .then((newValue, stateId) => console.log(stateId));
+ *
+ * @example
+ * // Queued updates: the second mutator receives the result of the first
+ * state.set(async list => [...list, await fetchItem(1)], { asynchronous: true, queue: true });
+ * state.set(async list => [...list, await fetchItem(2)], { asynchronous: true, queue: true });
+ *
+ * @example
+ * // Cancellable update: the mutator forwards the signal to its own request
+ * const controller = new AbortController();
+ * state.set((current, signal) => search(query, { signal }), { asynchronous: true, signal: controller.signal });
+ * controller.abort(); // The promise rejects with an AbortError and nothing is committed
+ *
+ * @example
+ * // Optimistic update: the new todo shows up at once and disappears again if saving fails
+ * todos.set(
+ *   list => api.save(todo).then(saved => [...list, saved]),
+ *   { optimistic: list => [...list, todo] }
+ * );
+ *
+ * @example
+ * // Retry a flaky request up to 3 times, 200ms, 400ms then 800ms apart, giving each attempt 5 seconds
+ * state.set(current => api.load(), {
+ *   asynchronous: true,
+ *   retry: { count: 3, delay: 200, backoff: 'exponential' },
+ *   timeout: 5000
+ * });
+ *
+ * @example
+ * // Draft update: modify the state in place and receive the change as JSON Patch
+ * state.set(draft => { draft.todos[0].done = true; }, {
+ *   draft: true,
+ *   onPatches: patches => console.log(patches) // [{ op: 'replace', path: '/todos/0/done', value: true }]
+ * });
+ */
+Understate.prototype.set = function(mutator, config = {}) {
+    // Validate mutator parameter
+    if (mutator === null || mutator === undefined) {
+        throw new TypeError('set(): mutator parameter is required, received ' + mutator);
+    }
+    if (typeof mutator !== 'function') {
+        throw new TypeError('set(): mutator must be a function, received ' + typeof mutator);
+    }
+
+    // Validate config parameter
+    if (config !== null && config !== undefined) {
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new TypeError('set(): config parameter must be an object, received ' + typeof config);
+        }
+    }
+
+    if (this._compute && !this._children) {
+        throw new Error('set(): Derived stores are read-only; update one of their sources instead');
+    }
+    if (this._machine && !this._machine.sending) {
+        throw new Error('set(): Machines only change state through send()');
+    }
+
+    // A derived store whose combine function updates its own sources would never settle
+    const computing = propagation.computing;
+    if (computing && dependsOn(computing, this)) {
+        throw createError('CycleError', 'set(): Cycle detected - a derived store updated one of its own sources while being recomputed');
+    }
+
+    try {
+        config = Object.assign({ initial: undefined, asynchronous: undefined }, config);
+    } catch (error) {
+        throw new Error(`set(): Failed to process config parameter - ${error.message}`);
+    }
+
+    const {
+        index: configIndex,
+        asynchronous: configAsync,
+        queue: configQueue,
+        concurrency: configConcurrency,
+        optimistic,
+        retry,
+        timeout,
+        equals,
+        draft: configDraft,
+        onPatches,
+        signal,
+        history: configHistory
+    } = config;
+
+    // Validate index if provided
+    if (configIndex !== undefined && configIndex !== null && typeof configIndex !== 'boolean') {
+        throw new TypeError('set(): config.index must be a boolean when provided, received ' + typeof configIndex);
+    }
+
+    // Validate asynchronous if provided
+    if (configAsync !== undefined && configAsync !== null && typeof configAsync !== 'boolean') {
+        throw new TypeError('set(): config.asynchronous must be a boolean when provided, received ' + typeof configAsync);
+    }
+
+    // Validate queue if provided
+    if (configQueue !== undefined && configQueue !== null && typeof configQueue !== 'boolean') {
+        throw new TypeError('set(): config.queue must be a boolean when provided, received ' + typeof configQueue);
+    }
+
+    // Validate signal if provided
+    if (signal !== undefined && signal !== null) {
+        if (typeof signal !== 'object' || typeof signal.addEventListener !== 'function' || typeof signal.aborted !== 'boolean') {
+            throw new TypeError('set(): config.signal must be an AbortSignal when provided, received ' + typeof signal);
+        }
+    }
+
+    // Validate concurrency if provided
+    if (configConcurrency !== undefined && configConcurrency !== null && CONCURRENCY_POLICIES.indexOf(configConcurrency) === -1) {
+        throw new TypeError('set(): config.concurrency must be one of ' + CONCURRENCY_POLICIES.join(', ') + ' when provided, received ' + configConcurrency);
+    }
+
+    const retryPolicy = retry !== undefined && retry !== null ? normalizeRetry(retry) : undefined;
+
+    // Validate timeout if provided
+    if (timeout !== undefined && timeout !== null) {
+        if (typeof timeout !== 'number' || isNaN(timeout) || timeout <= 0) {
+            throw new TypeError('set(): config.timeout must be a positive number when provided, received ' + timeout);
+        }
+    }
+
+    // Validate equals if provided
+    if (equals !== undefined && equals !== null && EQUALITY_CHECKS.indexOf(equals) === -1 && typeof equals !== 'function') {
+        throw new TypeError('set(): config.equals must be one of ' + EQUALITY_CHECKS.join(', ') + ' or a function when provided, received ' + equals);
+    }
+
+    // Validate draft if provided
+    if (configDraft !== undefined && configDraft !== null && typeof configDraft !== 'boolean') {
+        throw new TypeError('set(): config.draft must be a boolean when provided, received ' + typeof configDraft);
+    }
+
+    // Validate onPatches if provided
+    if (onPatches !== undefined && onPatches !== null && typeof onPatches !== 'function') {
+        throw new TypeError('set(): config.onPatches must be a function when provided, received ' + typeof onPatches);
+    }
+
+    // Validate history if provided
+    if (configHistory !== undefined && configHistory !== null && typeof configHistory !== 'boolean') {
+        throw new TypeError('set(): config.history must be a boolean when provided, received ' + typeof configHistory);
+    }
+
+    // Updates made while the initial state loads are applied to it once it has loaded, in order
+    this._getState();
+    if (this._loading) {
+        return this._afterLoading(() => this.set(mutator, config));
+    }
+
+    const index = configIndex;
+    const asynchronous = configAsync;
+    const queue = configQueue;
+    const concurrency = configConcurrency;
+
+    const self = this;
+
+    // An optimistic update is always followed by an asynchronous mutator
+    const hasOptimistic = optimistic !== undefined;
+    const shouldUseAsync = hasOptimistic || (asynchronous !== undefined ? asynchronous : self._asynchronous);
+    const shouldIndex = index !== undefined ? index : self._index;
+    const comparator = equals !== undefined && equals !== null ? resolveEquality(equals) : self._equals;
+    const shouldDraft = configDraft !== undefined && configDraft !== null ? configDraft : self._draft;
+    const shouldRecord = configHistory !== false;
+    const strict = self._strict;
+    const callSite = strict ? captureCallSite() : undefined;
+
+    // Draft mutators run through produce(); the patches of the attempt that commits are kept
+    var recorded;
+    const run = !shouldDraft ? mutator : (current, abortSignal) => {
+        const record = produced => {
+            recorded = produced;
+            return produced[0];
+        };
+        const produced = produce(current, mutator, abortSignal);
+        return typeof produced.then === 'function' ? produced.then(record) : record(produced);
+    };
+    const reportPatches = () => {
+        if (!recorded || recorded[1].length === 0) {
+            return;
+        }
+        [self._onPatches, onPatches].forEach(listener => {
+            if (typeof listener !== 'function') {
+                return;
+            }
+            try {
+                listener.call(self, recorded[1], recorded[2]);
+            } catch (error) {
+                // Log but don't fail, as the update has already been committed
+                console.error(`set(): Patch listener error - ${error.message}`);
+            }
+        });
+    };
+
+    // A per-call policy wins over a per-call queue flag, which wins over the instance default
+    var policy;
+    if (concurrency !== undefined && concurrency !== null) {
+        policy = concurrency;
+    } else if (queue !== undefined && queue !== null) {
+        policy = queue ? 'takeEvery' : undefined;
+    } else {
+        policy = self._concurrency;
+    }
+
+    if (policy === 'exhaust' && self._inflight.size > 0) {
+        return Promise.reject(createError('AbortError', 'set(): Update was ignored because another update is still pending'));
+    }
+    if (policy === 'takeLatest') {
+        self._inflight.forEach(pending => pending.abort('superseded'));
+    }
+
+    // Middleware wraps every commit; whatever is thrown while committing rejects the update as is
+    var commitError;
+    const intercept = (state, core) => {
+        try {
+            return self._intercept({ store: self, mutator, config, previous: self._getState(), state, error: undefined }, core);
+        } catch (error) {
+            commitError = error;
+            self._failBatch(error);
+            throw error;
+        }
+    };
+
+    // Middleware also observes every failed update
+    const fail = failure => {
+        self._failBatch(failure);
+        try {
+            self._intercept({ store: self, mutator, config, previous: self._getState(), state: undefined, error: failure }, () => undefined);
+        } catch (error) {
+            // Log but don't fail, as the update has already failed
+            console.error(`set(): Middleware error while handling a failed update - ${error.message}`);
+        }
+    };
+
+    // A result equal to the current state is a no-op: no new ID, no index entry, no notifications
+    const commit = value => intercept(value, context => {
+        self._validate(context.state);
+        // A synchronous update is replayed on the result of the optimistic updates still pending
+        const next = self._reconcile(context.state, shouldUseAsync ? undefined : current => run(current, signal));
+        if (comparator && comparator(self._getState(), next)) {
+            return [UNCHANGED];
+        }
+        const committed = self._commit(next, shouldIndex, shouldRecord);
+        reportPatches();
+        return committed;
+    });
+
+    const update = () => {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError(signal));
+        }
+
+        // An optimistic value is committed right away and settled once the real mutator finishes
+        var optimisticLayer;
+        try {
+            optimisticLayer = hasOptimistic ? self._beginOptimistic(optimistic, shouldIndex, shouldRecord) : undefined;
+        } catch (error) {
+            fail(error);
+            return Promise.reject(error);
+        }
+        const rollback = () => {
+            if (optimisticLayer) {
+                self._settleOptimistic(optimisticLayer, shouldIndex, false);
+            }
+        };
+
+        // Validate state before calling mutator. While optimistic updates are pending,
+        // mutators work on the confirmed state beneath them
+        var currentState;
+        try {
+            currentState = self._optimistic ? self._optimistic.confirmed : self._getState();
+        } catch (error) {
+            throw new Error(`set(): Failed to get current state - ${error.message}`);
+        }
+
+        // Strict mode compares against a copy to notice in-place changes the freeze cannot prevent
+        const pristine = strict ? cloneState(currentState) : undefined;
+        const violation = kind => createStrictModeError(kind, describeCall(mutator, callSite));
+
+        // Asynchronous updates get their own controller so a newer update can supersede
+        // them; aborting the caller's signal is forwarded to it
+        const controller = shouldUseAsync ? new AbortController() : undefined;
+        const forward = () => controller.abort(signal.reason);
+        const release = () => {
+            self._inflight.delete(controller);
+            if (signal) {
+                signal.removeEventListener('abort', forward);
+            }
+        };
+        if (controller) {
+            self._inflight.add(controller);
+            if (signal) {
+                signal.addEventListener('abort', forward);
+            }
+        }
+
+        var newState;
+        var failure;
+        try {
+            newState = [run(currentState, controller ? controller.signal : signal)];
+            if (strict && !shouldUseAsync) {
+                if (!deepEqual(pristine, currentState)) {
+                    failure = violation('mutation');
+                } else if (strict.determinism && !deepEqual(newState[0], run(currentState, signal))) {
+                    failure = violation('nondeterminism');
+                }
+            }
+        } catch (error) {
+            failure = strict && isFrozenWrite(error)
+                ? violation('mutation')
+                : new Error(`set(): Mutator function threw an error - ${error.message}`);
+        }
+        if (failure) {
+            if (controller) {
+                release();
+            }
+            rollback();
+            fail(failure);
+            throw failure;
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                if (shouldUseAsync) {
+                    // Validate that newState[0] is a Promise
+                    if (!newState[0] || typeof newState[0].then !== 'function') {
+                        release();
+                        rollback();
+                        const invalid = new TypeError('set(): In asynchronous mode, mutator must return a Promise, received ' + typeof newState[0]);
+                        fail(invalid);
+                        return reject(invalid);
+                    }
+                    const onAbort = () => {
+                        release();
+                        rollback();
+                        reject(createAbortError(controller.signal));
+                    };
+                    controller.signal.addEventListener('abort', onAbort);
+                    // Retries call the mutator again with the state as it is by then
+                    const retryAttempt = () => run(self._optimistic ? self._optimistic.confirmed : self._getState(), controller.signal);
+                    const settled = retryPolicy || timeout ? withRetry(newState[0], retryAttempt, retryPolicy, timeout, controller.signal) : newState[0];
+                    return settled.then(resolvedState => {
+                        controller.signal.removeEventListener('abort', onAbort);
+                        release();
+                        // An aborted update must never reach the state or its subscribers
+                        if (controller.signal.aborted) {
+                            return reject(createAbortError(controller.signal));
+                        }
+                        if (strict && !deepEqual(pristine, currentState)) {
+                            rollback();
+                            const mutated = violation('mutation');
+                            fail(mutated);
+                            return reject(mutated);
+                        }
+                        try {
+                            if (optimisticLayer) {
+                                var settling = true;
+                                const settledArgs = intercept(resolvedState, context => {
+                                    self._validate(context.state);
+                                    settling = false;
+                                    return self._settleOptimistic(optimisticLayer, shouldIndex, true, context.state);
+                                });
+                                if (settling) {
+                                    // Vetoed by middleware: the optimistic value goes as well
+                                    rollback();
+                                } else if (settledArgs) {
+                                    reportPatches();
+                                }
+                                return resolve.apply(self, settledArgs);
+                            }
+                            return resolve.apply(self, commit(resolvedState));
+                        } catch (error) {
+                            if (error === commitError) {
+                                rollback();
+                                return reject(error);
+                            }
+                            return reject(new Error(`set(): Failed to update state asynchronously - ${error.message}`));
+                        }
+                    }).catch(error => {
+                        controller.signal.removeEventListener('abort', onAbort);
+                        release();
+                        rollback();
+                        var rejection;
+                        if (error && error.name === 'TimeoutError') {
+                            rejection = error;
+                        } else if (strict && isFrozenWrite(error)) {
+                            rejection = violation('mutation');
+                        } else {
+                            rejection = new Error(`set(): Asynchronous mutator rejected - ${error.message || error}`);
+                        }
+                        fail(rejection);
+                        return reject(rejection);
+                    });
+                } else {
+                    return resolve.apply(self, commit(newState[0]));
+                }
+            } catch (error) {
+                if (error === commitError || (error.message && error.message.startsWith('set():'))) {
+                    return reject(error);
+                }
+                return reject(new Error(`set(): Unexpected error during state update - ${error.message}`));
+            }
+        });
+    };
+
+    // An update started inside a batch that commits later keeps the batch open until it settles
+    const deferred = shouldUseAsync || (policy === 'takeEvery' && self._pending > 0);
+    const result = policy === 'takeEvery' ? self._enqueue(update) : update();
+    if (self._batch && deferred) {
+        const pending = self._batch.pending;
+        const settle = () => {
+            pending.delete(result);
+        };
+        pending.add(result);
+        result.then(settle, settle);
+    }
+    return result;
+};
+
+/**
+ * Runs an update after every previously queued update has committed.
+ *
+ * When nothing is pending the update runs immediately, so a queued synchronous
+ * mutator still commits before `set()` returns. Otherwise it is chained onto the
+ * tail of the queue and only invoked once the preceding update has settled,
+ * whether that update resolved or rejected.
+ *
+ * @memberof Understate
+ * @method _enqueue
+ * @param {Function} update - Function that applies a mutator and returns the Promise from the commit
+ * @returns {Promise<*>} Promise settling with the result of the update once it reaches the front of the queue
+ * @private
+ */
+Understate.prototype._enqueue = function(update) {
+    const self = this;
+    const result = self._pending === 0 ? update() : self._tail.then(() => update());
+    const settle = () => {
+        self._pending--;
+    };
+
+    self._pending++;
+    self._tail = result.then(settle, settle);
+    return result;
+};
+
+/**
+ * Commits a new state: stores it, generates a new ID, optionally indexes it and
+ * notifies every subscriber. Inside a batch only the state is stored; the rest
+ * happens once when the batch completes. In strict mode the state is deep-frozen first.
+ * A combined store passes the new state on to its children before storing it.
+ *
+ * @memberof Understate
+ * @method _commit
+ * @param {*} value - The new state value
+ * @param {boolean} shouldIndex - Whether to index the new state under its ID
+ * @param {boolean} [record=true] - Whether the new state is a step of the history, rather than replacing the current one
+ * @returns {Array} Arguments passed to subscribers: the new state, followed by its ID when indexed, or [UNCHANGED] if a child of a combined store vetoed its state
+ * @throws {Error} If a child of a combined store rejects its state
+ * @private
+ */
+Understate.prototype._commit = function(value, shouldIndex, record = true) {
+    const self = this;
+    if (!self._children) {
+        return self._store(value, shouldIndex, record);
+    }
+
+    // A combined store commits to its children first, and is only recomputed from them once it has committed too
+    const committed = hold(() => self._distribute(value, commit => self._store(commit(), shouldIndex, record)));
+    return committed || [UNCHANGED];
+};
+
+/**
+ * Stores a new state and publishes it, or only stores it inside a batch. In strict
+ * mode the state is deep-frozen first.
+ *
+ * @memberof Understate
+ * @method _store
+ * @param {*} value - The new state value
+ * @param {boolean} shouldIndex - Whether to index the new state under its ID
+ * @param {boolean} [record=true] - Whether the new state is a step of the history, rather than replacing the current one
+ * @returns {Array} Arguments passed to subscribers: the new state, followed by its ID when indexed
+ * @private
+ */
+Understate.prototype._store = function(value, shouldIndex, record = true) {
+    const self = this;
+    if (self._strict) {
+        deepFreeze(value);
+    }
+    self._setState(value);
+
+    if (self._batch) {
+        self._batch.changed = true;
+        self._batch.index = self._batch.index || !!shouldIndex;
+        self._batch.record = self._batch.record || record;
+        return [value];
+    }
+    return self._publish(shouldIndex, record);
+};
+
+/**
+ * Generates a new ID for the current state, optionally indexes it, records it in the
+ * history, recomputes the stores derived from it and notifies every subscriber.
+ *
+ * @memberof Understate
+ * @method _publish
+ * @param {boolean} shouldIndex - Whether to index the current state under its new ID
+ * @param {boolean} [record=true] - Whether the current state is a step of the history, rather than replacing the previous one
+ * @returns {Array} Arguments passed to subscribers: the current state, followed by its ID when indexed
+ * @private
+ */
+Understate.prototype._publish = function(shouldIndex, record = true) {
+    const self = this;
+    const value = self._getState();
+    const previousId = self._getId();
+
+    self._setId(generateId(value));
+
+    const resultArgs = [value];
+    if (shouldIndex) {
+        const stateId = self._getId();
+        self._indexState(stateId, value);
+        resultArgs.push(stateId);
+    }
+
+    if (self._history) {
+        self._record(previousId, record);
+    }
+    return self._notify(resultArgs);
+};
+
+/**
+ * Recomputes the stores derived from the instance and notifies every subscriber.
+ *
+ * @memberof Understate
+ * @method _notify
+ * @param {Array} resultArgs - Arguments passed to subscribers
+ * @returns {Array} The same arguments
+ * @private
+ */
+Understate.prototype._notify = function(resultArgs) {
+    const self = this;
+    propagate(self, () => self._deliver(resultArgs));
+    return resultArgs;
+};
+
+/**
+ * Calls every subscriber of the instance. A subscriber that throws is logged and
+ * does not keep the others from being called.
+ *
+ * @memberof Understate
+ * @method _deliver
+ * @param {Array} resultArgs - Arguments passed to subscribers
+ * @private
+ */
+Understate.prototype._deliver = function(resultArgs) {
+    const self = this;
+    self._subscriptions.forEach(sub => {
+        try {
+            sub.apply(self, resultArgs);
+        } catch (error) {
+            // Log but don't fail if a subscription throws
+            console.error(`set(): Subscription callback error - ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Checks a new state against the instance's schema, if it has one.
+ *
+ * @memberof Understate
+ * @method _validate
+ * @param {*} state - The state about to be committed
+ * @param {string} [subject] - What is checked, for the error message. Defaults to the new state of set()
+ * @throws {Error} If the state does not match the schema, with name 'ValidationError' and an errors property listing every violation as {path, message}, path being a JSON Pointer
+ * @private
+ */
+Understate.prototype._validate = function(state, subject) {
+    if (!this._schema) {
+        return;
+    }
+    const errors = matchSchema(this._schema, state, '', []);
+    if (errors.length > 0) {
+        throw createValidationError(errors, subject);
+    }
+};
+
+/**
+ * Stores a state in the index under its ID and tells plugins about it.
+ *
+ * @memberof Understate
+ * @method _indexState
+ * @param {string} id - The state's ID
+ * @param {*} state - The state to index
+ * @private
+ */
+Understate.prototype._indexState = function(id, state) {
+    this._indexed.set(id, state);
+    this._emit('index', id, state);
+};
+
+/**
+ * Puts the initial state in place, calling the function it was given as. Either way
+ * the state is checked against the schema first. A synchronous result is stored as
+ * the instance had been created with it. A Promise is awaited, then committed like
+ * any update, so it is frozen in strict mode and subscribers and derived stores
+ * receive it; until then `_loading.promise` is pending, which updates wait on. A
+ * function that throws, a Promise that rejects, or a state the schema refuses fails
+ * the load and the state stays undefined.
+ *
+ * @memberof Understate
+ * @method _initialize
+ * @private
+ */
+Understate.prototype._initialize = function() {
+    const self = this;
+    const load = self._loading.load;
+    self._loading = undefined;
+
+    var value;
+    try {
+        value = load();
+        if (!value || typeof value.then !== 'function') {
+            self._validate(value, 'Understate(): Initial state');
+        }
+    } catch (error) {
+        value = Promise.reject(error);
+    }
+
+    if (!value || typeof value.then !== 'function') {
+        if (self._strict) {
+            deepFreeze(value);
+        }
+        self._setState(value);
+        if (self._index) {
+            self._indexState(self._getId(), value);
+        }
+        if (self._history) {
+            self._remember(self._getId(), value);
+        }
+        return;
+    }
+
+    const promise = Promise.resolve(value).then(resolved => {
+        self._loading = undefined;
+        self._validate(resolved, 'Understate(): Initial state');
+        self._commit(resolved, self._index, false);
+    }, error => {
+        self._loading = undefined;
+        throw error;
+    });
+    // Failures reach callers through ready() and the updates that waited
+    promise.catch(() => {});
+    self._loading = { promise };
+    self._ready = promise;
+};
+
+/**
+ * Runs a call that waited for the initial state to load once loading is over. It
+ * runs whether or not loading succeeded: after a failure the state is undefined,
+ * and calls apply to it, those made while loading as well as later ones. Only
+ * `ready()` rejects with the error.
+ *
+ * @memberof Understate
+ * @method _afterLoading
+ * @param {Function} call - The call to run
+ * @returns {Promise<*>} Promise settling as the call does
+ * @private
+ */
+Understate.prototype._afterLoading = function(call) {
+    return this._loading.promise.then(call, call);
+};
+
+/**
+ * Marks the running batch, if any, as failed so it rolls back when it completes.
+ *
+ * @memberof Understate
+ * @method _failBatch
+ * @param {Error} error - The error that caused the failure
+ * @private
+ */
+Understate.prototype._failBatch = function(error) {
+    if (this._batch && !this._batch.error) {
+        this._batch.error = error;
+    }
+};
+
+/**
+ * Makes a store join a running batch, so the states committed to it are held and
+ * rolled back with those of the store running the batch. Used for the children of
+ * a combined store; a store already running a batch of its own stays in it.
+ *
+ * @function enlist
+ * @param {Object} batch - The running batch
+ * @param {Understate} store - The store joining it
+ * @private
+ */
+const enlist = function(batch, store) {
+    if (store._batch) {
+        return;
+    }
+    store._batch = {
+        state: store._getState(),
+        id: store._getId(),
+        changed: false,
+        index: false,
+        record: false,
+        error: undefined,
+        pending: batch.pending,
+        members: batch.members
+    };
+    batch.members.push(store);
+};
+
+/**
+ * Applies an optimistic layer to a state. A layer that throws is skipped rather
+ * than breaking reconciliation.
+ *
+ * @function applyLayer
+ * @param {*} state - The state to apply the layer to
+ * @param {MutatorFunction} layer - The optimistic mutator
+ * @returns {*} The resulting state
+ * @private
+ */
+const applyLayer = function(state, layer) {
+    try {
+        return layer(state);
+    } catch (error) {
+        return state;
+    }
+};
+
+/**
+ * Records a new confirmed state and returns the state to commit: the confirmed
+ * state with every pending optimistic layer applied on top of it.
+ *
+ * While layers are pending, the update that produced the confirmed state is logged
+ * when it can be replayed, so the optimistic updates begun before it can apply it
+ * again on top of their own result when they settle.
+ *
+ * @memberof Understate
+ * @method _reconcile
+ * @param {*} confirmed - The state without any optimistic values
+ * @param {MutatorFunction} [replay] - Redoes the update that produced confirmed on another state
+ * @returns {*} The state subscribers should see
+ * @private
+ */
+Understate.prototype._reconcile = function(confirmed, replay) {
+    const optimistic = this._optimistic;
+    if (!optimistic) {
+        return confirmed;
+    }
+    if (optimistic.layers.length === 0) {
+        this._optimistic = undefined;
+        return confirmed;
+    }
+    if (replay) {
+        optimistic.log.push(replay);
+    }
+    optimistic.confirmed = this._strict ? deepFreeze(confirmed) : confirmed;
+    return optimistic.layers.reduce(applyLayer, confirmed);
+};
+
+/**
+ * Commits an optimistic value as a layer on top of the confirmed state.
+ *
+ * @memberof Understate
+ * @method _beginOptimistic
+ * @param {*|MutatorFunction} optimistic - The optimistic state, or a mutator computing it from the current state
+ * @param {boolean} shouldIndex - Whether to index the optimistic state
+ * @param {boolean} record - Whether the optimistic state is a step of the history
+ * @returns {MutatorFunction} The layer, used to settle the optimistic update later
+ * @throws {Error} If the optimistic state does not match the schema, with name 'ValidationError'
+ * @private
+ */
+Understate.prototype._beginOptimistic = function(optimistic, shouldIndex, record) {
+    const self = this;
+    if (!self._optimistic) {
+        self._optimistic = { confirmed: self._getState(), layers: [], log: [], starts: new Map() };
+    }
+
+    // Wrapped so the same function passed twice still makes two layers
+    const layer = typeof optimistic === 'function' ? state => optimistic(state) : () => optimistic;
+    const layers = self._optimistic.layers;
+    layers.push(layer);
+    self._optimistic.starts.set(layer, self._optimistic.log.length);
+    const next = self._reconcile(self._optimistic.confirmed);
+    try {
+        self._validate(next);
+    } catch (error) {
+        layers.pop();
+        if (layers.length === 0) {
+            self._optimistic = undefined;
+        }
+        throw error;
+    }
+    self._commit(next, shouldIndex, record);
+    return layer;
+};
+
+/**
+ * Removes a pending optimistic layer and commits the reconciled state, built
+ * either from the confirmed result of the real mutator or, on failure, from the
+ * confirmed state as it stands (which includes any updates made in the meantime).
+ * On success, the synchronous updates committed since the optimistic update began
+ * are replayed, in order, on top of the result; a replayed update that throws is
+ * skipped. Asynchronous results committed in the meantime are not replayed, and
+ * the settled result replaces them.
+ *
+ * @memberof Understate
+ * @method _settleOptimistic
+ * @param {MutatorFunction} layer - The layer returned by _beginOptimistic
+ * @param {boolean} shouldIndex - Whether to index the reconciled state
+ * @param {boolean} succeeded - Whether the real mutator resolved
+ * @param {*} [value] - The resolved state when succeeded is true
+ * @returns {Array|undefined} Arguments passed to subscribers, or undefined if the layer was already settled
+ * @private
+ */
+Understate.prototype._settleOptimistic = function(layer, shouldIndex, succeeded, value) {
+    const self = this;
+    const optimistic = self._optimistic;
+    const position = optimistic ? optimistic.layers.indexOf(layer) : -1;
+    if (position === -1) {
+        return undefined;
+    }
+
+    optimistic.layers.splice(position, 1);
+    const confirmed = succeeded ? optimistic.log.slice(optimistic.starts.get(layer)).reduce(applyLayer, value) : optimistic.confirmed;
+    optimistic.starts.delete(layer);
+    // The settled state takes the place of the optimistic one in the history
+    return self._commit(self._reconcile(confirmed), shouldIndex, false);
+};
+
+/**
+ * Updates the current state and returns the Understate instance for method chaining.
+ *
+ * This is a convenience method that combines `set()` with fluent interface support.
+ * Useful for chaining multiple operations together. Updates abandoned through
+ * config.signal are dropped silently, since no promise is handed back to observe them.
+ *
+ * @memberof Understate
+ * @method s
+ * @param {MutatorFunction} mutator - Function to transform the current state. Receives the current state as a parameter and should return the new state value
+ * @param {SetConfig} [config={}] - Configuration options for this update. Optional object with properties: index (boolean), asynchronous (boolean), queue (boolean), signal (AbortSignal), history (boolean)
+ * @returns {Understate} The Understate instance (this) to enable method chaining with other instance methods
+ * @throws {TypeError} If mutator is not a function
+ * @throws {TypeError} If config is not an object when provided
+ * @throws {Error} If set() throws an error
+ *
+ * @example
+ * // Chain multiple updates
+ * state.s(val => val + 1)
+ *      .s(val => val * 2)
+ *      .get().then(result => console.log(result));
+ */
+Understate.prototype.s = function(mutator, config = {}) {
+    // Validate mutator parameter
+    if (mutator === null || mutator === undefined) {
+        throw new TypeError('s(): mutator parameter is required, received ' + mutator);
+    }
+    if (typeof mutator !== 'function') {
+        throw new TypeError('s(): mutator must be a function, received ' + typeof mutator);
+    }
+
+    // Validate config parameter
+    if (config !== null && config !== undefined) {
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new TypeError('s(): config parameter must be an object, received ' + typeof config);
+        }
+    }
+
+    try {
+        this.set(mutator, config).catch(error => {
+            // Aborting is deliberate, so there is nobody left to report it to
+            if (!error || error.name !== 'AbortError') {
+                throw error;
+            }
+        });
+    } catch (error) {
+        throw new Error(`s(): Failed to update state - ${error.message}`);
+    }
+
+    return this;
+};
+
+/**
+ * Runs several updates as a single unit.
+ *
+ * Every `set()` made while `fn` runs is applied to the state right away, but
+ * subscribers are only notified once, with the final state, and only one new ID
+ * is generated (and indexed, if any of the updates asked for indexing). If `fn`
+ * or any mutator called inside it throws, or an asynchronous mutator it waits on
+ * rejects, the whole batch rolls back to the state and ID it started from and
+ * nobody is notified.
+ *
+ * `fn` may return a Promise, in which case the batch stays open until it settles.
+ * Updates started inside `fn` that commit later, such as asynchronous mutators
+ * or updates queued behind pending ones, keep the batch open as well, even when
+ * `fn` does not wait for them, and roll it back if they fail.
+ * A batch started while another one is running joins the outer batch. In a batch of
+ * a combined store, the children its updates reach join the batch as well: they
+ * are notified once it completes, and roll back with it.
+ *
+ * @memberof Understate
+ * @method batch
+ * @param {Function} fn - Function performing the updates. Receives the Understate instance as its parameter
+ * @returns {Promise<*>} Promise that resolves to the final state once the batch has been committed, or rejects if it was rolled back
+ * @throws {TypeError} If fn is not a function
+ *
+ * @example
+ * // Subscribers are notified once, with { count: 2, total: 10 }
+ * state.batch(() => {
+ *   state.set(s => ({ ...s, count: s.count + 1 }));
+ *   state.set(s => ({ ...s, count: s.count + 1, total: 10 }));
+ * });
+ */
+Understate.prototype.batch = function(fn) {
+    // Validate fn parameter
+    if (typeof fn !== 'function') {
+        throw new TypeError('batch(): fn must be a function, received ' + typeof fn);
+    }
+
+    // A batch started while the initial state loads runs once it has loaded
+    this._getState();
+    if (this._loading) {
+        return this._afterLoading(() => this.batch(fn));
+    }
+
+    const self = this;
+    const outer = !self._batch;
+
+    if (outer) {
+        self._batch = {
+            state: self._getState(),
+            id: self._getId(),
+            changed: false,
+            index: false,
+            record: false,
+            error: undefined,
+            pending: new Set(),
+            members: []
+        };
+    }
+
+    const batch = self._batch;
+    const complete = () => {
+        if (!outer) {
+            if (batch.error) {
+                throw batch.error;
+            }
+            return self._getState();
+        }
+
+        self._batch = undefined;
+        const members = batch.members.map(member => {
+            const joined = member._batch;
+            member._batch = undefined;
+            return [member, joined];
+        });
+
+        const failed = members.reduce((error, [, joined]) => error || joined.error, batch.error);
+        if (failed) {
+            [[self, batch]].concat(members).forEach(([store, started]) => {
+                store._setState(started.state);
+                store._setId(started.id);
+            });
+            throw new Error(`batch(): Transaction rolled back - ${failed.message}`);
+        }
+
+        // The children of a combined store that joined the batch publish first, so the root is recomputed once
+        return hold(() => {
+            members.forEach(([member, joined]) => {
+                if (joined.changed && !(member._equals && member._equals(joined.state, member._getState()))) {
+                    member._publish(joined.index, joined.record);
+                }
+            });
+            const unchanged = !batch.changed || (self._equals && self._equals(batch.state, self._getState()));
+            return unchanged ? self._getState() : self._publish(batch.index, batch.record)[0];
+        });
+    };
+    // Updates started inside the batch that have not committed yet, including ones
+    // nobody awaited, are waited for so they join the batch rather than follow it
+    const drain = () => {
+        if (batch.pending.size === 0) {
+            return complete();
+        }
+        const ignore = () => undefined;
+        return Promise.all(Array.from(batch.pending, pending => pending.then(ignore, ignore))).then(drain);
+    };
+
+    var result;
+    try {
+        result = fn(self);
+    } catch (error) {
+        self._failBatch(error);
+        return new Promise(resolve => resolve(drain()));
+    }
+
+    if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).then(drain, error => {
+            self._failBatch(error);
+            return drain();
+        });
+    }
+    return new Promise(resolve => resolve(drain()));
+};
+
+/**
+ * Alias of `batch()`.
+ *
+ * @memberof Understate
+ * @method transaction
+ * @param {Function} fn - Function performing the updates. Receives the Understate instance as its parameter
+ * @returns {Promise<*>} Promise that resolves to the final state once the transaction has been committed, or rejects if it was rolled back
+ * @throws {TypeError} If fn is not a function
+ */
+Understate.prototype.transaction = function(fn) {
+    return this.batch(fn);
+};
+
+/**
+ * Adds middleware wrapping the commit of every `set()` call.
+ *
+ * Middleware is a function `(context, next)` called once an update has a result,
+ * right before it would be committed. The context holds the store, the mutator and
+ * config passed to `set()`, the previous state and the proposed state. Middleware can:
+ *
+ * - inspect the update, and replace `context.state` to transform the result
+ * - call `next()` to pass the update on, which returns the committed state (or
+ *   UNCHANGED), so code after it runs once the state has been committed
+ * - veto the update by not calling `next()`, in which case `set()` resolves to UNCHANGED
+ * - throw, in which case nothing is committed and `set()` rejects with that error
+ *
+ * When an update fails instead (its mutator throws or rejects, or it times out),
+ * middleware is called with `context.error` set so it can observe the failure;
+ * calling `next()` then passes it on. States restored by `undo()` and `redo()` go
+ * through middleware as well, with `context.travel` set. Middleware runs synchronously, in the order it
+ * was added, the first being the outermost. Aborted updates never reach it. A `next()`
+ * called after the middleware has returned, e.g. after an `await`, throws and commits
+ * nothing: the update has already resolved as vetoed.
+ *
+ * @memberof Understate
+ * @method use
+ * @param {Middleware} middleware - The middleware to add
+ * @returns {Understate} The Understate instance (this) to enable method chaining
+ * @throws {TypeError} If middleware is not a function
+ *
+ * @example
+ * // Log every update
+ * state.use((context, next) => {
+ *   if (context.error) {
+ *     console.error('Update failed:', context.error);
+ *     return next();
+ *   }
+ *   console.log('Before:', context.previous);
+ *   const committed = next();
+ *   console.log('After:', committed);
+ * });
+ *
+ * @example
+ * // Clamp values, and refuse invalid ones
+ * counter.use((context, next) => {
+ *   if (typeof context.state !== 'number') throw new TypeError('Not a number');
+ *   context.state = Math.max(0, context.state);
+ *   return next();
+ * });
+ */
+Understate.prototype.use = function(middleware) {
+    if (typeof middleware !== 'function') {
+        throw new TypeError('use(): middleware must be a function, received ' + typeof middleware);
+    }
+
+    this._middleware.push(middleware);
+    return this;
+};
+
+/**
+ * Runs the middleware chain around the commit of an update.
+ *
+ * @memberof Understate
+ * @method _intercept
+ * @param {MiddlewareContext} context - The update, shared by every middleware
+ * @param {Function} core - Commits the update described by the context, returning the arguments passed to subscribers
+ * @returns {Array|undefined} What core returned, or [UNCHANGED] if a middleware vetoed the update
+ * @throws {Error} If a middleware throws, or calls next() more than once. Calling next() once the chain has returned throws to the middleware instead, and commits nothing
+ * @private
+ */
+Understate.prototype._intercept = function(context, core) {
+    const self = this;
+    const middleware = self._middleware;
+
+    if (middleware.length === 0) {
+        return core(context);
+    }
+
+    // next() returns the committed state whatever the inner middleware returns
+    var result = [UNCHANGED];
+    var settled = false;
+    const dispatch = position => {
+        if (position === middleware.length) {
+            result = core(context);
+            return;
+        }
+        var called = false;
+        middleware[position].call(self, context, () => {
+            // The update has already resolved, as vetoed, so committing now would contradict it
+            if (settled) {
+                throw new Error('use(): next() must be called synchronously');
+            }
+            if (called) {
+                throw new Error('use(): next() was called more than once by the same middleware');
+            }
+            called = true;
+            dispatch(position + 1);
+            return result && result[0];
+        });
+    };
+
+    try {
+        dispatch(0);
+    } finally {
+        settled = true;
+    }
+    return result;
+};
+
+/**
+ * Retrieves the current state or a previously indexed state by ID.
+ *
+ * When called without arguments, returns the current state and its ID.
+ * When called with a state ID, returns the indexed state for that ID.
+ *
+ * @memberof Understate
+ * @method get
+ * @param {string|boolean} [id=false] - The ID string of a previously indexed state to retrieve, or false/undefined to retrieve the current state. Must be a non-empty string when provided
+ * @returns {Promise<*>} Promise that resolves to the requested state value. When retrieving current state (no id), the promise callback receives both the state value and current state ID as parameters
+ * @throws {TypeError} If id is provided but is not a string or boolean
+ * @throws {Error} If state retrieval fails
+ *
+ * @example
+ * // Get current state
+ * state.get().then(currentValue => console.log(currentValue));
+ *
+ * @example
+ * // Get indexed state by ID
+ * state.get('384756201938475')
+ *   .then(historicalValue => console.log(historicalValue));
+ */
+Understate.prototype.get = function(id = false) {
+    // Validate id parameter
+    if (id !== false && id !== null && id !== undefined) {
+        if (typeof id !== 'string' && typeof id !== 'boolean') {
+            throw new TypeError('get(): id parameter must be a string or false, received ' + typeof id);
+        }
+        if (typeof id === 'string' && id.length === 0) {
+            throw new TypeError('get(): id parameter cannot be an empty string');
+        }
+    }
+
+    // The current state is only resolved once the initial state has loaded
+    const current = id === false || id === undefined || id === null;
+    this._getState();
+    if (current && this._loading) {
+        return this._afterLoading(() => this._getState());
+    }
+
+    return new Promise(resolve => resolve(this._lookup(id)));
+};
+
+/**
+ * Looks up the current state, or an indexed state by ID. Shared by `get()`, which
+ * rejects with the errors it throws, and `peek()`, which throws them as they are.
+ *
+ * @memberof Understate
+ * @method _lookup
+ * @param {string|boolean} id - The ID of an indexed state, or false/null/undefined for the current state
+ * @returns {*} The requested state value
+ * @throws {Error} If the state cannot be read, indexed storage is unavailable or no state was indexed under the ID
+ * @private
+ */
+Understate.prototype._lookup = function(id) {
+    // Get current state, which also indexes a lazy initial state
+    var state;
+    try {
+        state = this._getState();
+    } catch (error) {
+        throw new Error(`get(): Failed to retrieve state - ${error.message}`);
+    }
+    if (id === false || id === undefined || id === null) {
+        return state;
+    }
+
+    // Get indexed state by ID
+    if (!this._indexed || typeof this._indexed.get !== 'function') {
+        throw new Error('get(): Indexed storage is not available. Ensure indexing is enabled.');
+    }
+
+    if (!this._indexed.has(id)) {
+        throw new Error(`get(): No state found for id "${id}". State may not have been indexed.`);
+    }
+
+    return this._indexed.get(id);
+};
+
+/**
+ * Synchronously retrieves the current state or a previously indexed state by ID.
+ *
+ * The synchronous counterpart of `get()`, for places that cannot wait for a
+ * Promise such as render functions and getters. Where `get(id)` rejects,
+ * `peek(id)` throws the same error, so both can be handled alike.
+ *
+ * @memberof Understate
+ * @method peek
+ * @param {string|boolean} [id=false] - The ID string of a previously indexed state to retrieve, or false/undefined to retrieve the current state. Must be a non-empty string when provided
+ * @returns {*} The requested state value
+ * @throws {TypeError} If id is provided but is not a string or boolean
+ * @throws {Error} The error get() rejects with, such as when no state was indexed under the given ID
+ *
+ * @example
+ * // Read the current state during render
+ * const count = counter.peek();
+ *
+ * @example
+ * // Read an indexed state
+ * const previous = counter.peek(previousId);
+ */
+Understate.prototype.peek = function(id = false) {
+    // Validate id parameter
+    if (id !== false && id !== null && id !== undefined) {
+        if (typeof id !== 'string' && typeof id !== 'boolean') {
+            throw new TypeError('peek(): id parameter must be a string or false, received ' + typeof id);
+        }
+        if (typeof id === 'string' && id.length === 0) {
+            throw new TypeError('peek(): id parameter cannot be an empty string');
+        }
+    }
+
+    return this._lookup(id);
+};
+
+/**
+ * Returns a snapshot of the current state and its ID.
+ *
+ * The same frozen object is returned until the state changes, so snapshots can be
+ * compared by reference (as `useSyncExternalStore` does).
+ *
+ * @memberof Understate
+ * @method getSnapshot
+ * @returns {{state: *, id: string}} The current state and its ID
+ *
+ * @example
+ * const { state, id } = counter.getSnapshot();
+ */
+Understate.prototype.getSnapshot = function() {
+    const state = this._getState();
+    const id = this._getId();
+    if (!this._snapshot || this._snapshot.state !== state || this._snapshot.id !== id) {
+        this._snapshot = Object.freeze({ state, id });
+    }
+    return this._snapshot;
+};
+
+/**
+ * Waits for the initial state to be in place.
+ *
+ * An instance created with a Promise as its initial state, or a function returning
+ * one, has an undefined state until the Promise resolves. Meanwhile set(), batch()
+ * and get() wait for it, and peek() returns undefined. A lazy initial state is
+ * computed by this call if it has not been yet.
+ *
+ * @memberof Understate
+ * @method ready
+ * @returns {Promise<*>} Resolves to the current state once the initial state is in place, which is right away unless it is loading. Rejects with what loading it failed with, including a ValidationError when the loaded state does not match the schema; the state then stays undefined, and the updates that waited apply to it like later ones
+ *
+ * @example
+ * const user = new Understate({ initial: () => api.getUser(42) });
+ * await user.ready();
+ * render(user.peek());
+ */
+Understate.prototype.ready = function() {
+    const self = this;
+    self._getState();
+    return self._ready ? self._ready.then(() => self._getState()) : Promise.resolve(self._getState());
+};
+
+//=============================================================================
+// Subscription Management Methods
+//=============================================================================
+
+/**
+ * Subscribes to state updates with a callback function.
+ *
+ * The subscription callback will be invoked whenever the state is updated via `set()`.
+ * Returns a subscription pointer object with an `unsubscribe()` method to cancel
+ * the subscription.
+ *
+ * @memberof Understate
+ * @method subscribe
+ * @param {SubscriptionCallback} subscription - Callback function to be invoked after each state update. Receives the new state value as the first parameter, and optionally the state ID as the second parameter if indexing is enabled
+ * @returns {SubscriptionPointer} A subscription pointer object that inherits all Understate methods and includes an unsubscribe() method to cancel the subscription. This enables nested subscriptions and chaining
+ * @throws {TypeError} If subscription is not a function
+ * @throws {TypeError} If subscription is null or undefined
+ * @throws {Error} If subscription setup fails
+ *
+ * @example
+ * // Simple subscription
+ * const sub = state.subscribe(newValue => {
+ *   console.log('State changed to:', newValue);
+ * });
+ *
+ * // Later: unsubscribe
+ * sub.unsubscribe();
+ *
+ * @example
+ * // Subscription with indexing
+ * const sub = state.subscribe((newValue, stateId) => {
+ *   console.log('State:', newValue, 'ID:', stateId);
+ * });
+ *
+ * @example
+ * // Nested subscriptions with parent unsubscribe
+ * const parent = state.subscribe(val => console.log('parent', val));
+ * const child = parent.subscribe(val => console.log('child', val));
+ * child.unsubscribe(true); // Unsubscribes both child and parent
+ */
+Understate.prototype.subscribe = function(subscription) {
+    // Validate subscription parameter
+    if (subscription === null || subscription === undefined) {
+        throw new TypeError('subscribe(): subscription parameter is required, received ' + subscription);
+    }
+    if (typeof subscription !== 'function') {
+        throw new TypeError('subscribe(): subscription must be a function, received ' + typeof subscription);
+    }
+
+    try {
+        const original = this;
+
+        if (!original._subscriptions || typeof original._subscriptions.add !== 'function') {
+            throw new Error('subscribe(): Subscriptions set is not properly initialized');
+        }
+
+        original._subscriptions.add(subscription);
+        if (typeof original._emit === 'function') {
+            original._emit('subscribe', subscription);
+        }
+        const pointer = Object.create(original);
+
+        /**
+         * Unsubscribes the callback from state updates.
+         *
+         * @param {boolean|number} [unsubscribeParents=false] - If true, unsubscribes parent subscriptions too. If a number, unsubscribes that many levels of parent subscriptions (must be a non-negative integer)
+         * @returns {Understate} The original Understate instance to enable further operations
+         * @throws {TypeError} If unsubscribeParents is not a boolean or number when provided
+         * @throws {RangeError} If unsubscribeParents is a negative number
+         */
+        pointer.unsubscribe = (unsubscribeParents = false) => {
+            // Validate unsubscribeParents parameter
+            if (unsubscribeParents !== false && unsubscribeParents !== null && unsubscribeParents !== undefined) {
+                if (typeof unsubscribeParents !== 'boolean' && typeof unsubscribeParents !== 'number') {
+                    throw new TypeError('unsubscribe(): unsubscribeParents must be a boolean or number, received ' + typeof unsubscribeParents);
+                }
+                if (typeof unsubscribeParents === 'number') {
+                    if (isNaN(unsubscribeParents)) {
+                        throw new TypeError('unsubscribe(): unsubscribeParents number cannot be NaN');
+                    }
+                    if (unsubscribeParents < 0) {
+                        throw new RangeError('unsubscribe(): unsubscribeParents must be a non-negative number, received ' + unsubscribeParents);
+                    }
+                    if (!Number.isInteger(unsubscribeParents)) {
+                        throw new TypeError('unsubscribe(): unsubscribeParents must be an integer when provided as a number, received ' + unsubscribeParents);
+                    }
+                }
+            }
+
+            try {
+                if (!original._subscriptions || typeof original._subscriptions.delete !== 'function') {
+                    throw new Error('unsubscribe(): Subscriptions set is not properly initialized');
+                }
+
+                if (original._subscriptions.delete(subscription) && typeof original._emit === 'function') {
+                    original._emit('unsubscribe', subscription);
+                }
+
+                if (unsubscribeParents) {
+                    if (typeof original.unsubscribe === 'function') {
+                        if (typeof unsubscribeParents === 'number') {
+                            return original.unsubscribe(unsubscribeParents - 1);
+                        }
+                        return original.unsubscribe(unsubscribeParents);
+                    }
+                }
+                return original;
+            } catch (error) {
+                throw new Error(`unsubscribe(): Failed to unsubscribe - ${error.message}`);
+            }
+        };
+        return pointer;
+    } catch (error) {
+        throw new Error(`subscribe(): Failed to create subscription - ${error.message}`);
+    }
+};
+
+/**
+ * Creates a view of part of the state that only notifies its subscribers when
+ * that part changes.
+ *
+ * The selector is memoized: it records which properties of the state it reads and
+ * is only run again once one of them holds a different value, so an expensive
+ * selector costs nothing on unrelated updates and keeps returning the same result.
+ * A recomputed result that is equal to the previous one (by identity unless an
+ * equality check is given) does not notify subscribers either. Selectors receive a
+ * read-only view of the state and must not modify it.
+ *
+ * The view offers `get()`, `peek()` and `subscribe()` for the selected value, and
+ * `unsubscribe()` to detach it from the instance. Subscription pointers returned by
+ * the view behave like those returned by `subscribe()`. The view is itself a
+ * subscriber of the instance, so plugins see it come and go.
+ *
+ * A selector that throws while the state is updated leaves the view with its
+ * previous value and does not notify its subscribers; the error is logged and
+ * returned by `error()` until the selector runs successfully again. `peek()` and
+ * `get()` run the selector if the state changed, so they throw or reject with it.
+ *
+ * @memberof Understate
+ * @method select
+ * @param {Function} selector - Function computing the selected value from the state
+ * @param {string|Function} [equals='identity'] - When a recomputed value counts as unchanged: 'identity', 'shallow', 'deep', or a comparator (previous, next) => boolean
+ * @returns {SelectorView} The view of the selected value
+ * @throws {TypeError} If selector is not a function
+ * @throws {TypeError} If equals is not a known equality check or a function when provided
+ * @throws {Error} If the selector throws when first run
  *
  * @example
- * // Synchronous update
- * state.set(currentValue => currentValue + 1)
- *   .then(newValue => console.log(newValue));
+ * // Only re-render the name when the name changes
+ * const name = state.select(s => s.user.name);
+ * name.subscribe(value => render(value));
  *
  * @example
- * // Asynchronous update
- * state.set(async currentValue => {
- *   const data = await fetchData();
- *   return data;
- * }, { asynchronous: true });
+ * // An expensive derived list, recomputed only when the todos change
+ * const done = state.select(s => s.todos.filter(todo => todo.done), 'shallow');
+ * done.peek(); // The done todos
+ * done.unsubscribe(); // Detach the view once it is no longer needed
+ */
+Understate.prototype.select = function(selector, equals = 'identity') {
+    if (typeof selector !== 'function') {
+        throw new TypeError('select(): selector must be a function, received ' + typeof selector);
+    }
+    if (EQUALITY_CHECKS.indexOf(equals) === -1 && typeof equals !== 'function') {
+        throw new TypeError('select(): equals must be one of ' + EQUALITY_CHECKS.join(', ') + ' or a function, received ' + equals);
+    }
+
+    const original = this;
+    const comparator = resolveEquality(equals);
+    const memoized = memoizeSelector(selector);
+
+    var current;
+    var failure;
+    const read = () => {
+        var next;
+        try {
+            next = memoized(original._getState());
+        } catch (error) {
+            failure = error;
+            throw error;
+        }
+        failure = undefined;
+        if (!comparator(current, next)) {
+            current = next;
+        }
+        return current;
+    };
+
+    try {
+        current = memoized(original._getState());
+    } catch (error) {
+        throw new Error(`select(): Selector threw an error - ${error.message}`);
+    }
+
+    const view = {
+        /** @private @type {Set<Function>} */
+        _subscriptions: new Set(),
+
+        get() {
+            return new Promise(resolve => resolve(read()));
+        },
+
+        peek() {
+            return read();
+        },
+
+        subscribe(subscription) {
+            return Understate.prototype.subscribe.call(this, subscription);
+        },
+
+        unsubscribe() {
+            link.unsubscribe();
+            view._subscriptions.clear();
+            return original;
+        },
+
+        error() {
+            return failure;
+        }
+    };
+
+    const listener = () => {
+        const previous = current;
+        var next;
+        try {
+            next = read();
+        } catch (error) {
+            // Log but don't fail, as the update has already been committed
+            console.error(`select(): Selector threw an error - ${error.message}`);
+            return;
+        }
+        if (Object.is(next, previous)) {
+            return;
+        }
+        view._subscriptions.forEach(sub => {
+            try {
+                sub.call(view, next, previous);
+            } catch (error) {
+                // Log but don't fail if a subscription throws
+                console.error(`select(): Subscription callback error - ${error.message}`);
+            }
+        });
+    };
+    // Subscribed like any other callback, so plugin hooks see the view as well
+    const link = original.subscribe(listener);
+
+    return view;
+};
+
+/**
+ * Creates a lens: a store-like view of the value at a path inside the state.
+ *
+ * Updates through the lens write the new value back into the instance, copying only
+ * the objects and arrays along the path, and the lens only notifies its subscribers
+ * when the value at its path changes. Missing objects along the path are created on
+ * the first update. In draft mode, mutators receive a draft of the value at the path
+ * and the patches reported by the instance carry full paths.
+ *
+ * @memberof Understate
+ * @method at
+ * @param {string|Array<string|number>} path - A dot path ('user.profile.email'), an array of keys (['todos', 0]) or a JSON Pointer ('/todos/0')
+ * @returns {Lens} The lens
+ * @throws {TypeError} If path is not a valid path
+ *
+ * @example
+ * const email = profile.at('user.profile.email');
+ * email.subscribe(value => console.log('Email is now', value));
+ * email.set(() => 'ada@example.com'); // Copies user and profile, shares everything else
+ *
+ * @example
+ * // Lenses compose, and accept JSON Pointers
+ * const firstTodo = store.at('/todos/0');
+ * firstTodo.at('done').set(done => !done);
+ */
+Understate.prototype.at = function(path) {
+    const original = this;
+    const segments = parsePath(path, 'at');
+    const parentPath = segments.slice(0, -1);
+    const key = segments[segments.length - 1];
+    const lens = original.select(state => readPath(state, segments));
+
+    // Mutators of the instance wrapping those of the lens
+    const plain = mutator => (state, signal) => {
+        const value = mutator(readPath(state, segments), signal);
+        if (value && typeof value.then === 'function') {
+            // The rest of the state may have changed in the meantime
+            return value.then(resolved => writePath(original._getState(), segments, resolved));
+        }
+        return writePath(state, segments, value);
+    };
+    const drafted = mutator => (draft, signal) => {
+        const assign = value => {
+            if (value === undefined) {
+                return undefined;
+            }
+            if (segments.length === 0) {
+                return value;
+            }
+            var parent = draft;
+            parentPath.forEach((segment, position) => {
+                if (parent[segment] === null || typeof parent[segment] !== 'object') {
+                    parent[segment] = /^\d+$/.test(segments[position + 1]) ? [] : {};
+                }
+                parent = parent[segment];
+            });
+            parent[key] = value;
+            return undefined;
+        };
+        const value = mutator(readPath(draft, segments), signal);
+        return value && typeof value.then === 'function' ? value.then(assign) : assign(value);
+    };
+
+    /**
+     * Updates the value at the lens path.
+     *
+     * @param {MutatorFunction} mutator - Receives the value at the path and returns its new value
+     * @param {SetConfig} [config={}] - Configuration options, as for Understate.set()
+     * @returns {Promise<*>} Promise resolving to the new value at the path, or to UNCHANGED
+     */
+    lens.set = (mutator, config = {}) => {
+        if (typeof mutator !== 'function') {
+            throw new TypeError('set(): mutator must be a function, received ' + typeof mutator);
+        }
+        const shouldDraft = config && config.draft !== undefined && config.draft !== null ? config.draft : original._draft;
+        return original.set(shouldDraft ? drafted(mutator) : plain(mutator), config)
+            .then(state => state === UNCHANGED ? UNCHANGED : readPath(state, segments));
+    };
+
+    /**
+     * Updates the value at the lens path and returns the lens for chaining.
+     *
+     * @param {MutatorFunction} mutator - Receives the value at the path and returns its new value
+     * @param {SetConfig} [config={}] - Configuration options, as for Understate.set()
+     * @returns {Lens} The lens
+     */
+    lens.s = (mutator, config = {}) => {
+        lens.set(mutator, config).catch(error => {
+            if (!error || error.name !== 'AbortError') {
+                throw error;
+            }
+        });
+        return lens;
+    };
+
+    /**
+     * Creates a lens for a path relative to this one.
+     *
+     * @param {string|Array<string|number>} subpath - Path relative to the lens
+     * @returns {Lens} The nested lens
+     */
+    lens.at = subpath => original.at(segments.concat(parsePath(subpath, 'at')));
+
+    return lens;
+};
+
+//=============================================================================
+// Utility Methods
+//=============================================================================
+
+/**
+ * Returns the current state ID and optionally indexes the current state.
+ *
+ * Each state update generates a new unique ID. This method retrieves that ID
+ * and can optionally save the current state to the index for later retrieval.
+ *
+ * @memberof Understate
+ * @method id
+ * @param {boolean} [index=false] - If true, saves the current state to the index with its ID for later retrieval via get(). If false/undefined, only returns the ID without indexing
+ * @returns {string} A 15-character unique identifier string representing the current state
+ * @throws {TypeError} If index parameter is not a boolean when provided
+ * @throws {Error} If id retrieval fails
+ *
+ * @example
+ * // Get current state ID
+ * const currentId = state.id();
+ *
+ * @example
+ * // Get ID and index current state
+ * const currentId = state.id(true);
+ * // Later retrieve this state
+ * state.get(currentId).then(historicalState => console.log(historicalState));
+ */
+Understate.prototype.id = function(index = false) {
+    // Validate index parameter
+    if (index !== null && index !== undefined && typeof index !== 'boolean') {
+        throw new TypeError('id(): index parameter must be a boolean, received ' + typeof index);
+    }
+
+    try {
+        const currentId = this._getId();
+        if (!currentId) {
+            throw new Error('id(): Instance ID is not initialized');
+        }
+
+        if (index) {
+            if (!this._indexed || typeof this._indexed.set !== 'function') {
+                throw new Error('id(): Indexed storage is not available');
+            }
+            const currentState = this._getState();
+            this._indexState(currentId, currentState);
+        }
+        return currentId;
+    } catch (error) {
+        throw new Error(`id(): Failed to retrieve or index id - ${error.message}`);
+    }
+};
+
+//=============================================================================
+// History Methods
+//=============================================================================
+
+/**
+ * Restores the state before the last update, with the ID it had. Subscribers and
+ * derived stores are notified as for any update. No mutator runs, but the restored
+ * state goes through middleware, with `context.travel` set to 'undo' or 'redo', and
+ * is checked against the schema. Middleware can veto it, leaving the history as it
+ * was. A state middleware replaces is committed under a new ID in place of the
+ * restored step, as an update made with `{ history: false }` would be.
+ *
+ * Requires the history option. Every update becomes a step that can be undone,
+ * except those made with `{ history: false }`, which replace the current step
+ * instead. A new update discards the steps that were undone.
+ *
+ * @memberof Understate
+ * @method undo
+ * @returns {Promise<*|Symbol>} Resolves to the restored state, or to UNCHANGED if there is nothing to undo or middleware vetoed it. Rejects if middleware throws or the schema refuses the state
+ * @throws {Error} If the instance was created without the history option
+ * @throws {Error} If the instance is a derived store or a machine, or a batch is running
+ *
+ * @example
+ * const editor = new Understate({ initial: '', history: 50 });
+ * await editor.set(() => 'Hello');
+ * await editor.set(() => 'Hello World');
+ * await editor.undo(); // 'Hello'
+ * await editor.redo(); // 'Hello World'
+ */
+Understate.prototype.undo = function() {
+    const history = this._requireHistory('undo()');
+    return this._travel(history.past, history.future, 'undo');
+};
+
+/**
+ * Restores the state the last undo() left, with the ID it had. See undo().
+ *
+ * @memberof Understate
+ * @method redo
+ * @returns {Promise<*|Symbol>} Resolves to the restored state, or to UNCHANGED if there is nothing to redo or middleware vetoed it. Rejects if middleware throws or the schema refuses the state
+ * @throws {Error} If the instance was created without the history option
+ * @throws {Error} If the instance is a derived store or a machine, or a batch is running
+ */
+Understate.prototype.redo = function() {
+    const history = this._requireHistory('redo()');
+    return this._travel(history.future, history.past, 'redo');
+};
+
+/**
+ * Tells whether undo() would restore a state.
+ *
+ * @memberof Understate
+ * @method canUndo
+ * @returns {boolean} True if the instance has history and there is a step to undo
+ */
+Understate.prototype.canUndo = function() {
+    return Boolean(this._history && this._history.past.length > 0);
+};
+
+/**
+ * Tells whether redo() would restore a state.
+ *
+ * @memberof Understate
+ * @method canRedo
+ * @returns {boolean} True if the instance has history and there is an undone step to redo
+ */
+Understate.prototype.canRedo = function() {
+    return Boolean(this._history && this._history.future.length > 0);
+};
+
+/**
+ * Checks that the instance can travel through its history.
+ *
+ * @memberof Understate
+ * @method _requireHistory
+ * @param {string} method - Name of the public method, used to prefix error messages
+ * @returns {{depth: number, past: Array<string>, future: Array<string>, states: Map<string, *>}} The history
+ * @throws {Error} If the instance has no history, is a derived store or a machine, or a batch is running
+ * @private
+ */
+Understate.prototype._requireHistory = function(method) {
+    if (!this._history) {
+        throw new Error(`${method}: History is not enabled; set the history option to the number of states to keep`);
+    }
+    if (this._compute && !this._children) {
+        throw new Error(`${method}: Derived stores are read-only; undo the updates of their sources instead`);
+    }
+    if (this._machine) {
+        throw new Error(`${method}: Machines only change state through send()`);
+    }
+    if (this._batch) {
+        throw new Error(`${method}: Cannot travel through history inside a batch`);
+    }
+    return this._history;
+};
+
+/**
+ * Restores the state last pushed on one history stack through the middleware, and
+ * pushes the current state's ID on the other once it commits.
+ *
+ * @memberof Understate
+ * @method _travel
+ * @param {Array<string>} from - IDs of the states to restore, the last one first
+ * @param {Array<string>} to - IDs of the states to return to afterwards
+ * @param {string} direction - 'undo' or 'redo', passed to middleware as context.travel
+ * @returns {Promise<*|Symbol>} Resolves to the restored state, or to UNCHANGED if from is empty or middleware vetoed it
+ * @private
+ */
+Understate.prototype._travel = function(from, to, direction) {
+    const self = this;
+    if (from.length === 0) {
+        return Promise.resolve(UNCHANGED);
+    }
+
+    const id = from[from.length - 1];
+    const snapshot = self._history.states.get(id);
+    const restore = value => {
+        from.pop();
+        to.push(self._getId());
+        if (value !== snapshot) {
+            // The replacement takes the place of the restored step
+            self._setId(id);
+            return self._store(value, self._index, false);
+        }
+        self._setState(value);
+        self._setId(id);
+        return self._notify(self._index ? [value, id] : [value]);
+    };
+
+    const context = { store: self, mutator: undefined, config: {}, previous: self._getState(), state: snapshot, error: undefined, travel: direction };
+    return new Promise(resolve => resolve(self._intercept(context, ({ state }) => {
+        self._validate(state, `${direction}(): Restored state`);
+        if (!self._children) {
+            return restore(state);
+        }
+        // A combined store restores the states of its children first, as _commit() does,
+        // and keeps the snapshot unless they changed what they were given
+        const restored = hold(() => self._distribute(state, commit => {
+            const combined = commit();
+            return restore(state === snapshot && shallowEqual(combined, snapshot) ? snapshot : combined);
+        }));
+        return restored || [UNCHANGED];
+    })[0]));
+};
+
+/**
+ * Records the current state in the history after a commit.
+ *
+ * @memberof Understate
+ * @method _record
+ * @param {string} previousId - The ID of the state before the commit
+ * @param {boolean} record - Whether the commit is a new step, rather than replacing the previous state
+ * @private
+ */
+Understate.prototype._record = function(previousId, record) {
+    const history = this._history;
+    this._remember(this._getId(), this._getState());
+
+    if (!record) {
+        this._forget(previousId);
+        return;
+    }
+    history.past.push(previousId);
+    // A new step discards the undone ones, and the oldest beyond the depth
+    history.future.splice(0).forEach(id => this._forget(id));
+    history.past.splice(0, Math.max(0, history.past.length - history.depth)).forEach(id => this._forget(id));
+};
+
+/**
+ * Keeps a state for the history. History states are kept apart from the index, so
+ * get(id) only finds the states indexed on purpose.
+ *
+ * @memberof Understate
+ * @method _remember
+ * @param {string} id - The state's ID
+ * @param {*} state - The state
+ * @private
+ */
+Understate.prototype._remember = function(id, state) {
+    this._history.states.set(id, state);
+};
+
+/**
+ * Drops a state from the history once it no longer refers to it.
+ *
+ * @memberof Understate
+ * @method _forget
+ * @param {string} id - The state's ID
+ * @private
+ */
+Understate.prototype._forget = function(id) {
+    this._history.states.delete(id);
+};
+
+//=============================================================================
+// Plugin Methods
+//=============================================================================
+
+/**
+ * Registers a plugin applied to every instance created afterwards with
+ * `new Understate()`. Stores created by derive(), combine(), machine(), resource()
+ * and createForm() are left out; all but createForm() take a `plugins` option in
+ * their config for the plugins they should have.
+ * Unregistering the plugin stops it from being installed on new instances, while
+ * those it was installed on keep it.
+ *
+ * A plugin has a unique name and may add methods to instances, hook into their
+ * lifecycle, and keep private data per instance. `data(store)` creates that data
+ * when the plugin is installed on a store; it is passed, along with the store, as
+ * the first argument (`api`) of every method and hook of the plugin and is not
+ * reachable from anywhere else.
+ *
+ * Hooks:
+ * - `construct(api, config)` - once the instance is set up, with the constructor config,
+ *   before any other hook
+ * - `beforeSet(api, context)` - before an update commits; may change `context.state`,
+ *   return false to veto the update, or throw to fail it (see `use()`)
+ * - `afterSet(api, state, context)` - after an update committed a new state
+ * - `subscribe(api, callback)` / `unsubscribe(api, callback)` - as subscriptions come and go
+ * - `index(api, id, state)` - when a state is indexed
+ * - `dispose(api)` - when the instance is disposed
+ *
+ * Errors thrown by construct fail the constructor and those thrown by beforeSet fail
+ * the update; errors thrown by the other hooks are logged and otherwise ignored.
+ *
+ * @memberof Understate
+ * @method plugin
+ * @static
+ * @param {PluginDefinition} plugin - The plugin to register
+ * @returns {Function} Unregisters the plugin
+ * @throws {TypeError} If the plugin is malformed
+ * @throws {Error} If a plugin with the same name is already registered
+ *
+ * @example
+ * // Count the updates of every store
+ * Understate.plugin({
+ *   name: 'counter',
+ *   data: () => ({ updates: 0 }),
+ *   methods: {
+ *     updates: api => api.data.updates
+ *   },
+ *   hooks: {
+ *     afterSet: api => { api.data.updates += 1; }
+ *   }
+ * });
+ * const store = new Understate({ initial: 0 });
+ * store.set(n => n + 1).then(() => store.updates()); // 1
  *
  * @example
- * // Update with indexing
- * state.set(val => val * 2, { index: true })
- *   .then((newValue, stateId) => console.log(stateId));
+ * // Register a plugin for a while only
+ * const unregister = Understate.plugin(devtools);
+ * // ...
+ * unregister();
  */
-Understate.prototype.set = function(mutator, config = {}) {
-    // Validate mutator parameter
-    if (mutator === null || mutator === undefined) {
-        throw new TypeError('set(): mutator parameter is required, received ' + mutator);
+Understate.plugin = function(plugin) {
+    validatePlugin(plugin, 'plugin()');
+    if (PLUGINS.some(registered => registered.name === plugin.name)) {
+        throw new Error(`plugin(): A plugin named "${plugin.name}" is already registered`);
     }
-    if (typeof mutator !== 'function') {
-        throw new TypeError('set(): mutator must be a function, received ' + typeof mutator);
+
+    PLUGINS.push(plugin);
+    return () => {
+        const position = PLUGINS.indexOf(plugin);
+        if (position !== -1) {
+            PLUGINS.splice(position, 1);
+        }
+    };
+};
+
+/**
+ * Installs a plugin on this instance: creates its private data, adds its methods and
+ * wires its beforeSet and afterSet hooks in as middleware.
+ *
+ * @memberof Understate
+ * @method _install
+ * @param {PluginDefinition} plugin - The plugin to install
+ * @throws {Error} If one of the plugin's methods would replace an existing property
+ * @private
+ */
+Understate.prototype._install = function(plugin) {
+    const self = this;
+    const api = { store: self, data: plugin.data ? plugin.data(self) : {} };
+    const methods = plugin.methods || {};
+    const hooks = plugin.hooks || {};
+
+    Object.keys(methods).forEach(name => {
+        if (name in self) {
+            throw new Error(`plugin "${plugin.name}" cannot add method "${name}", which already exists`);
+        }
+        self[name] = function() {
+            return methods[name].apply(self, [api].concat(Array.prototype.slice.call(arguments)));
+        };
+    });
+
+    if (hooks.beforeSet || hooks.afterSet) {
+        self._middleware.push((context, next) => {
+            if (context.error) {
+                return next();
+            }
+            if (hooks.beforeSet && hooks.beforeSet.call(self, api, context) === false) {
+                return;
+            }
+            const committed = next();
+            if (hooks.afterSet && committed !== UNCHANGED) {
+                try {
+                    hooks.afterSet.call(self, api, committed, context);
+                } catch (error) {
+                    console.error(`set(): Plugin "${plugin.name}" afterSet hook error - ${error.message}`);
+                }
+            }
+        });
     }
 
-    // Validate config parameter
-    if (config !== null && config !== undefined) {
-        if (typeof config !== 'object' || Array.isArray(config)) {
-            throw new TypeError('set(): config parameter must be an object, received ' + typeof config);
+    self._plugins.push({ plugin, api });
+};
+
+/**
+ * Calls a lifecycle hook of every plugin installed on this instance, logging errors.
+ *
+ * @memberof Understate
+ * @method _emit
+ * @param {string} hook - Name of the hook
+ * @param {...*} args - Arguments passed to the hook after the plugin's api
+ * @private
+ */
+Understate.prototype._emit = function(hook) {
+    const self = this;
+    const args = Array.prototype.slice.call(arguments, 1);
+
+    self._plugins.forEach(({ plugin, api }) => {
+        if (!plugin.hooks || !plugin.hooks[hook]) {
+            return;
+        }
+        try {
+            plugin.hooks[hook].apply(self, [api].concat(args));
+        } catch (error) {
+            console.error(`${hook}(): Plugin "${plugin.name}" hook error - ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Releases the instance: runs the dispose hooks of its plugins, aborts its in-flight
+ * asynchronous mutators, drops its subscriptions and detaches it from the stores it
+ * is derived from, so it can be garbage collected.
+ *
+ * The state remains readable, but the instance should not be used after disposal.
+ *
+ * @memberof Understate
+ * @method dispose
+ * @returns {undefined}
+ *
+ * @example
+ * const visible = Understate.derive([todos], list => list.filter(todo => !todo.done));
+ * // ...
+ * visible.dispose(); // todos no longer recomputes visible
+ */
+Understate.prototype.dispose = function() {
+    const self = this;
+
+    self._emit('dispose');
+    self._inflight.forEach(controller => controller.abort('disposed'));
+    self._inflight.clear();
+    self._subscriptions.clear();
+    self._sources.forEach(source => source._dependents.delete(self));
+};
+
+//=============================================================================
+// Composition Methods
+//=============================================================================
+
+/**
+ * Creates a read-only store whose state is computed from the states of other stores.
+ *
+ * The derived state is recomputed synchronously whenever one of the sources commits.
+ * Propagation is glitch-free: in dependency graphs where several paths lead to the
+ * same derived store (A feeding B and C, which both feed D), every derived store is
+ * recomputed once per commit, after all of its sources are up to date, and subscribers
+ * are only notified once every derived store has been recomputed.
+ *
+ * Derived stores support everything but updates: `get()`, `peek()`, `subscribe()`,
+ * `select()` and can themselves be sources of other derived stores. A combine
+ * function that updates one of its own sources, directly or further upstream, is a
+ * cycle and fails with a CycleError.
+ *
+ * A recomputation that fails, because combine threw or because of a cycle, leaves
+ * the derived store with its previous state. The error is then available from
+ * `error()` until a later recomputation succeeds, and subscribers are notified
+ * with the previous state so they can check it. The source update itself has
+ * already been committed and still resolves.
+ *
+ * @memberof Understate
+ * @method derive
+ * @static
+ * @param {Array<Understate>} sources - The stores to derive from
+ * @param {Function} combine - Function receiving the state of each source, in order, and returning the derived state
+ * @param {UnderstateConfig} [config={}] - Configuration of the derived store. Only index, equals, strict and plugins apply
+ * @returns {Understate} The derived store
+ * @throws {TypeError} If sources is not a non-empty array of Understate instances
+ * @throws {TypeError} If combine is not a function
+ * @throws {TypeError} If config sets initial, which is computed instead
+ * @throws {Error} If combine throws when first run
+ *
+ * @example
+ * const todos = new Understate({ initial: [] });
+ * const filter = new Understate({ initial: 'all' });
+ * const visible = Understate.derive([todos, filter], (list, show) =>
+ *   show === 'all' ? list : list.filter(todo => todo.done === (show === 'done'))
+ * );
+ * visible.subscribe(render);
+ */
+Understate.derive = function(sources, combine, config = {}) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new TypeError('derive(): sources must be a non-empty array of Understate instances');
+    }
+    sources.forEach((source, position) => {
+        if (!(source instanceof Understate)) {
+            throw new TypeError('derive(): sources[' + position + '] must be an Understate instance, received ' + typeof source);
         }
+    });
+    if (typeof combine !== 'function') {
+        throw new TypeError('derive(): combine must be a function, received ' + typeof combine);
+    }
+    if (config && config.hasOwnProperty('initial')) {
+        throw new TypeError('derive(): The initial state of a derived store is computed and cannot be configured');
     }
 
+    const compute = () => combine.apply(undefined, sources.map(source => source._getState()));
+
+    var initial;
     try {
-        config = Object.assign({ initial: undefined, asynchronous: undefined }, config);
+        initial = compute();
     } catch (error) {
-        throw new Error(`set(): Failed to process config parameter - ${error.message}`);
+        throw new Error(`derive(): Combine function threw an error - ${error.message}`);
     }
 
-    const { index: configIndex, asynchronous: configAsync } = config;
+    // Passed as a function so a computed function is stored as is, and evaluated at once
+    const derived = new Understate(Object.assign({}, config, { initial: () => initial, [INTERNAL]: true }));
+    derived._getState();
 
-    // Validate index if provided
-    if (configIndex !== undefined && configIndex !== null && typeof configIndex !== 'boolean') {
-        throw new TypeError('set(): config.index must be a boolean when provided, received ' + typeof configIndex);
+    /** @private @type {Function} */
+    derived._compute = compute;
+
+    /** @private @type {Array<Understate>} */
+    derived._sources = sources.slice();
+
+    /** @private @type {number} */
+    derived._rank = 1 + Math.max.apply(Math, sources.map(source => source._rank));
+
+    sources.forEach(source => source._dependents.add(derived));
+    return derived;
+};
+
+/**
+ * Creates a root store whose state is an object holding the states of several
+ * child stores under their keys.
+ *
+ * Commits of the children propagate to the root, which is recomputed (once, however
+ * many children changed) and generates its own ID and index entries from the
+ * combined state. Updating the root fans out: every child whose key holds a new
+ * value commits it, keys left out keep their child's state, and the root and its
+ * dependents are recomputed once all of them have committed. Each child takes its
+ * value through its own middleware, plugin hooks, schema and equality check, and
+ * the children only commit once all of them have accepted their value. The root compares its
+ * states shallowly by default, so a result holding the same child states is a no-op.
+ *
+ * @memberof Understate
+ * @method combine
+ * @static
+ * @param {Object<string, Understate>} children - The child stores, by key
+ * @param {UnderstateConfig} [config={}] - Configuration of the root store, as for the constructor except initial
+ * @returns {Understate} The root store
+ * @throws {TypeError} If children is not a non-empty object of Understate instances
+ * @throws {TypeError} If config sets initial, which is computed instead
+ *
+ * @example
+ * const todos = new Understate({ initial: [] });
+ * const user = new Understate({ initial: null });
+ * const root = Understate.combine({ todos, user }, { index: true });
+ *
+ * root.subscribe(state => localStorage.setItem('app', JSON.stringify(state)));
+ * todos.set(list => [...list, 'Write docs']); // The root is notified too
+ * root.set(() => JSON.parse(localStorage.getItem('app'))); // Hydrates every child
+ */
+Understate.combine = function(children, config = {}) {
+    if (!children || typeof children !== 'object' || Array.isArray(children) || Object.keys(children).length === 0) {
+        throw new TypeError('combine(): children must be a non-empty object of Understate instances');
+    }
+    const keys = Object.keys(children);
+    keys.forEach(key => {
+        if (!(children[key] instanceof Understate)) {
+            throw new TypeError('combine(): children.' + key + ' must be an Understate instance, received ' + typeof children[key]);
+        }
+    });
+    if (config && config.hasOwnProperty('initial')) {
+        throw new TypeError('combine(): The initial state of a combined store is computed and cannot be configured');
     }
 
-    // Validate asynchronous if provided
-    if (configAsync !== undefined && configAsync !== null && typeof configAsync !== 'boolean') {
-        throw new TypeError('set(): config.asynchronous must be a boolean when provided, received ' + typeof configAsync);
+    const compute = () => keys.reduce((state, key) => {
+        state[key] = children[key]._getState();
+        return state;
+    }, {});
+
+    const root = new Understate(Object.assign({ equals: 'shallow' }, config, { initial: compute(), [INTERNAL]: true }));
+
+    /** @private @type {Function} */
+    root._compute = compute;
+
+    /** @private @type {Object<string, Understate>} */
+    root._children = Object.assign({}, children);
+
+    /** @private @type {Array<Understate>} */
+    root._sources = keys.map(key => children[key]);
+
+    /** @private @type {number} */
+    root._rank = 1 + Math.max.apply(Math, root._sources.map(child => child._rank));
+
+    root._sources.forEach(child => child._dependents.add(root));
+    return root;
+};
+
+/**
+ * Passes a new state of a combined store on to its children, each child whose
+ * value changed taking it through its own update path: its middleware and plugin
+ * hooks, its schema and its equality check. Each child's middleware wraps the next
+ * one's, and the children only commit once all of them have accepted their value,
+ * so a root update lands on every child or on none. Runs under a hold, so the
+ * stores depending on the children are recomputed once every child has committed.
+ *
+ * Inside a batch of the root, the children join it: the states committed to them
+ * are only published once it completes, and rolled back with it.
+ *
+ * @memberof Understate
+ * @method _distribute
+ * @param {Object} value - The new combined state
+ * @param {Function} proceed - Called once every child accepted its value, with a function committing them all and returning the combined state. What it returns is returned
+ * @param {Object} [batch] - The batch of the root the children join, if any
+ * @returns {*} What proceed returned, or undefined if a child's middleware vetoed its value
+ * @throws {TypeError} If value is not an object, has unknown keys or changes a derived child or a machine
+ * @throws {Error} If a child's middleware throws, or its value does not match its schema
+ * @private
+ */
+Understate.prototype._distribute = function(value, proceed, batch = this._batch) {
+    const self = this;
+    const children = self._children;
+    const keys = Object.keys(children);
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TypeError('set(): The state of a combined store must be an object, received ' + (Array.isArray(value) ? 'array' : typeof value));
     }
+    Object.keys(value).forEach(key => {
+        if (!children.hasOwnProperty(key)) {
+            throw new TypeError(`set(): "${key}" is not a child of this combined store`);
+        }
+    });
 
-    const index = configIndex;
-    const asynchronous = configAsync;
+    const changed = keys.filter(key => value.hasOwnProperty(key) && !Object.is(children[key]._getState(), value[key]));
+    changed.forEach(key => {
+        if (children[key]._compute && !children[key]._children) {
+            throw new TypeError(`set(): Cannot update "${key}", as derived stores are read-only`);
+        }
+        if (children[key]._machine) {
+            throw new TypeError(`set(): Cannot update "${key}", as machines only change state through send()`);
+        }
+    });
+
+    const commits = [];
+    const commit = () => {
+        commits.forEach(call => call());
+        return keys.reduce((state, key) => {
+            state[key] = children[key]._getState();
+            return state;
+        }, {});
+    };
+
+    const admit = position => {
+        if (position === changed.length) {
+            return proceed(commit);
+        }
+        const key = changed[position];
+        const child = children[key];
+
+        var outcome;
+        const context = { store: child, mutator: undefined, config: {}, previous: child._getState(), state: value[key], error: undefined, parent: self };
+        child._intercept(context, ({ state }) => {
+            child._validate(state, `set(): New state of "${key}"`);
+            if (child._equals && child._equals(child._getState(), state)) {
+                outcome = admit(position + 1);
+                return [UNCHANGED];
+            }
+
+            // Committed once the remaining children have accepted their value too
+            var committed = [UNCHANGED];
+            const stage = resolve => {
+                commits.push(() => {
+                    if (batch) {
+                        enlist(batch, child);
+                    }
+                    committed = child._store(resolve(), child._index);
+                });
+                return admit(position + 1);
+            };
+            outcome = child._children ? child._distribute(state, stage, batch) : stage(() => state);
+            return committed;
+        });
+        return outcome;
+    };
+
+    return admit(0);
+};
+
+/**
+ * Returns the error of the last recomputation of a derived or combined store, or
+ * `undefined` if it succeeded. When a combine function throws, or updates one of
+ * its own sources (a CycleError), the store keeps its previous state and its
+ * subscribers are notified with it; this tells them why it is out of date. The
+ * error is cleared by the next recomputation that succeeds.
+ *
+ * Always `undefined` for stores that are not derived.
+ *
+ * @memberof Understate
+ * @method error
+ * @returns {Error|undefined} The error thrown while recomputing, as is
+ *
+ * @example
+ * const total = Understate.derive([cart], items => items.reduce(sum, 0));
+ * total.subscribe(value => {
+ *   if (total.error()) {
+ *     showWarning(total.error().message);
+ *   }
+ *   render(value);
+ * });
+ */
+Understate.prototype.error = function() {
+    return this._error;
+};
 
+/**
+ * Recomputes the state of a derived store from its sources and commits it, unless
+ * the equality check of the store finds it unchanged. A combine function that
+ * throws leaves the state as it was: the error is stored for `error()`, logged,
+ * and subscribers are notified with the previous state.
+ *
+ * @memberof Understate
+ * @method _recompute
+ * @private
+ */
+Understate.prototype._recompute = function() {
     const self = this;
+    const current = () => self._index ? [self._getState(), self._getId()] : [self._getState()];
 
-    // Validate state before calling mutator
-    var currentState;
+    var next;
     try {
-        currentState = self._getState();
+        next = self._compute();
     } catch (error) {
-        throw new Error(`set(): Failed to get current state - ${error.message}`);
+        self._error = error;
+        // Log but don't fail, as the source update has already been committed
+        console.error(`derive(): Combine function threw an error - ${error.message}`);
+        // Dependents have nothing new to recompute, so only the subscribers hear of it
+        const args = current();
+        propagation.notifications.push(() => self._deliver(args));
+        return;
     }
+    const recovered = self._error !== undefined;
+    self._error = undefined;
 
-    var newState;
-    try {
-        newState = [mutator(currentState)];
-    } catch (error) {
-        throw new Error(`set(): Mutator function threw an error - ${error.message}`);
+    // A combined store that already holds its children's states has nothing to commit
+    const unchanged = self._children ? shallowEqual(self._getState(), next) : self._equals && self._equals(self._getState(), next);
+    if (unchanged) {
+        if (recovered) {
+            const args = current();
+            propagation.notifications.push(() => self._deliver(args));
+        }
+        return;
     }
+    self._commit(next, self._index);
+};
 
-    const shouldUseAsync = asynchronous !== undefined ? asynchronous : self._asynchronous;
-    const shouldIndex = index !== undefined ? index : self._index;
+//=============================================================================
+// State Machines
+//=============================================================================
 
-    return new Promise((resolve, reject) => {
-        try {
-            if (shouldUseAsync) {
-                // Validate that newState[0] is a Promise
-                if (!newState[0] || typeof newState[0].then !== 'function') {
-                    return reject(new TypeError('set(): In asynchronous mode, mutator must return a Promise, received ' + typeof newState[0]));
-                }
-                return newState[0].then(resolvedState => {
-                    try {
-                        this._setState(resolvedState);
-                        this._setId(generateId(self._getState()));
-
-                        const resultArgs = [resolvedState];
-                        if (shouldIndex) {
-                            const stateId = self._getId();
-                            self._indexed.set(stateId, resolvedState);
-                            resultArgs.push(stateId);
-                        }
+/**
+ * Creates a store modelling a finite state machine with context. Its state is
+ * `{ value, context }`: the name of the current state, and data that transitions
+ * can update. The state only changes through `send(event)`, which follows the
+ * transitions declared for the current state, so the store can never end up in a
+ * combination the machine does not allow.
+ *
+ * A transition names the target state, or is an object with any of:
+ * - `target` - The state to go to. Without it the state stays the same and only the context changes
+ * - `guard` - Name of a guard, or a function `(context, event) => boolean`, that must pass for the transition to be taken
+ * - `update` - `(context, event) => context`, computing the next context
+ *
+ * An event may list several transitions; the first one whose guard passes is taken.
+ * Once a transition with a target commits, the exit action of the state left and the
+ * entry action of the state entered run, in that order, with the new context and
+ * the event. Actions are for side effects and may send further events.
+ *
+ * @memberof Understate
+ * @method machine
+ * @static
+ * @param {MachineDefinition} definition - The states, transitions and guards
+ * @param {UnderstateConfig} [config={}] - Configuration of the store. initial, asynchronous, queue and concurrency do not apply
+ * @returns {Understate} The store, with send() and can() methods
+ * @throws {TypeError} If the definition is malformed, e.g. a transition targets an unknown state or names an unknown guard
+ * @throws {TypeError} If config sets initial, asynchronous, queue or concurrency
+ *
+ * @example
+ * const request = Understate.machine({
+ *   initial: 'idle',
+ *   context: { data: null, error: null, retries: 0 },
+ *   states: {
+ *     idle: {},
+ *     loading: { entry: (context, event, machine) => api.load().then(
+ *       data => machine.send({ type: 'RESOLVE', data }),
+ *       error => machine.send({ type: 'REJECT', error })
+ *     ) },
+ *     success: {},
+ *     failure: {}
+ *   },
+ *   transitions: {
+ *     idle: { FETCH: 'loading' },
+ *     loading: {
+ *       RESOLVE: { target: 'success', update: (context, event) => ({ ...context, data: event.data }) },
+ *       REJECT: { target: 'failure', update: (context, event) => ({ ...context, error: event.error }) }
+ *     },
+ *     failure: {
+ *       RETRY: { target: 'loading', guard: 'canRetry', update: context => ({ ...context, retries: context.retries + 1 }) }
+ *     }
+ *   },
+ *   guards: {
+ *     canRetry: context => context.retries < 3
+ *   }
+ * });
+ *
+ * request.send('FETCH');
+ * request.peek().value; // 'loading'
+ */
+Understate.machine = function(definition, config = {}) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new TypeError('machine(): definition must be an object, received ' + typeof definition);
+    }
+    const { initial, context, states, transitions = {}, guards = {} } = definition;
 
-                        self._subscriptions.forEach(sub => {
-                            try {
-                                sub.apply(self, resultArgs);
-                            } catch (error) {
-                                // Log but don't fail if a subscription throws
-                                console.error(`set(): Subscription callback error - ${error.message}`);
-                            }
-                        });
-                        return resolve.apply(self, resultArgs);
-                    } catch (error) {
-                        return reject(new Error(`set(): Failed to update state asynchronously - ${error.message}`));
-                    }
-                }).catch(error => {
-                    return reject(new Error(`set(): Asynchronous mutator rejected - ${error.message || error}`));
-                });
-            } else {
-                this._setState(newState[0]);
-                this._setId(generateId(self._getState()));
-
-                const resultArgs = [newState[0]];
-                if (shouldIndex) {
-                    const stateId = self._getId();
-                    self._indexed.set(stateId, newState[0]);
-                    resultArgs.push(stateId);
+    if (!states || typeof states !== 'object' || Array.isArray(states) || Object.keys(states).length === 0) {
+        throw new TypeError('machine(): states must be a non-empty object');
+    }
+    Object.keys(states).forEach(name => {
+        const state = states[name];
+        if (!state || typeof state !== 'object') {
+            throw new TypeError(`machine(): states.${name} must be an object, received ${typeof state}`);
+        }
+        ['entry', 'exit'].forEach(action => {
+            if (state[action] !== undefined && typeof state[action] !== 'function') {
+                throw new TypeError(`machine(): states.${name}.${action} must be a function, received ${typeof state[action]}`);
+            }
+        });
+    });
+    if (!states.hasOwnProperty(initial)) {
+        throw new TypeError(`machine(): initial must name one of the states, received ${initial}`);
+    }
+    if (!guards || typeof guards !== 'object') {
+        throw new TypeError('machine(): guards must be an object, received ' + typeof guards);
+    }
+    Object.keys(guards).forEach(name => {
+        if (typeof guards[name] !== 'function') {
+            throw new TypeError(`machine(): guards.${name} must be a function, received ${typeof guards[name]}`);
+        }
+    });
+
+    // Transitions are normalized to lists of { target, guard, update }
+    if (!transitions || typeof transitions !== 'object') {
+        throw new TypeError('machine(): transitions must be an object, received ' + typeof transitions);
+    }
+    const table = {};
+    Object.keys(transitions).forEach(from => {
+        if (!states.hasOwnProperty(from)) {
+            throw new TypeError(`machine(): transitions.${from} does not match any state`);
+        }
+        table[from] = {};
+        Object.keys(transitions[from] || {}).forEach(type => {
+            const where = `transitions.${from}.${type}`;
+            table[from][type] = [].concat(transitions[from][type]).map(transition => {
+                const normalized = typeof transition === 'string' ? { target: transition } : transition;
+                if (!normalized || typeof normalized !== 'object') {
+                    throw new TypeError(`machine(): ${where} must be a state name or a transition object, received ${typeof transition}`);
+                }
+                if (normalized.target !== undefined && !states.hasOwnProperty(normalized.target)) {
+                    throw new TypeError(`machine(): ${where} targets unknown state "${normalized.target}"`);
+                }
+                if (typeof normalized.guard === 'string' && !guards.hasOwnProperty(normalized.guard)) {
+                    throw new TypeError(`machine(): ${where} uses unknown guard "${normalized.guard}"`);
                 }
+                if (normalized.guard !== undefined && typeof normalized.guard !== 'string' && typeof normalized.guard !== 'function') {
+                    throw new TypeError(`machine(): ${where}.guard must be a guard name or a function, received ${typeof normalized.guard}`);
+                }
+                if (normalized.update !== undefined && typeof normalized.update !== 'function') {
+                    throw new TypeError(`machine(): ${where}.update must be a function, received ${typeof normalized.update}`);
+                }
+                return normalized;
+            });
+        });
+    });
 
-                self._subscriptions.forEach(sub => {
-                    try {
-                        sub.apply(self, resultArgs);
-                    } catch (error) {
-                        // Log but don't fail if a subscription throws
-                        console.error(`set(): Subscription callback error - ${error.message}`);
-                    }
-                });
-                return resolve.apply(self, resultArgs);
+    ['initial', 'asynchronous', 'queue', 'concurrency'].forEach(option => {
+        if (config && config.hasOwnProperty(option)) {
+            throw new TypeError(`machine(): The ${option} option does not apply to machines`);
+        }
+    });
+
+    const machine = new Understate(Object.assign({}, config, { initial: { value: initial, context }, [INTERNAL]: true }));
+
+    /** @private @type {{sending: boolean}} */
+    machine._machine = { sending: false };
+
+    // The transition each send() is committing, found by its mutator
+    const taken = new WeakMap();
+
+    const normalize = (event, method) => {
+        const normalized = typeof event === 'string' ? { type: event } : event;
+        if (!normalized || typeof normalized !== 'object' || typeof normalized.type !== 'string') {
+            throw new TypeError(`${method}: event must be a string or an object with a string type, received ${typeof event}`);
+        }
+        return normalized;
+    };
+    const select = (state, event) => {
+        const candidates = table[state.value] && table[state.value][event.type];
+        if (!candidates) {
+            return undefined;
+        }
+        const passes = transition => {
+            const guard = typeof transition.guard === 'string' ? guards[transition.guard] : transition.guard;
+            return !guard || guard(state.context, event);
+        };
+        return candidates.find(passes) || null;
+    };
+
+    // Actions run once the transition has committed
+    machine.use((context, next) => {
+        const transition = taken.get(context.mutator);
+        const committed = next();
+        if (!transition || transition.target === undefined || committed === UNCHANGED || context.error) {
+            return;
+        }
+        [states[context.previous.value].exit, states[transition.target].entry].forEach(action => {
+            if (!action) {
+                return;
             }
-        } catch (error) {
-            if (error.message && error.message.startsWith('set():')) {
-                return reject(error);
+            try {
+                action.call(machine, committed.context, transition.event, machine);
+            } catch (error) {
+                // Log but don't fail, as the transition has already been committed
+                console.error(`send(): Action threw an error - ${error.message}`);
             }
-            return reject(new Error(`set(): Unexpected error during state update - ${error.message}`));
-        }
+        });
     });
+
+    /**
+     * Sends an event to the machine, taking the first transition declared for it from
+     * the current state whose guard passes.
+     *
+     * @param {string|Object} event - The event type, or an object with a type and any payload
+     * @returns {Promise<Object|Symbol>} Resolves to the new state, or to UNCHANGED if every guard failed
+     */
+    machine.send = function(event) {
+        const normalized = normalize(event, 'send()');
+        const current = machine.peek();
+        const transition = select(current, normalized);
+        if (transition === undefined) {
+            return Promise.reject(createError(
+                'TransitionError',
+                `send(): State "${current.value}" has no transition for event "${normalized.type}"`,
+                { state: current.value, event: normalized }
+            ));
+        }
+        if (transition === null) {
+            return Promise.resolve(UNCHANGED);
+        }
+
+        const step = state => ({
+            value: transition.target !== undefined ? transition.target : state.value,
+            context: transition.update ? transition.update(state.context, normalized) : state.context
+        });
+        taken.set(step, { target: transition.target, event: normalized });
+
+        machine._machine.sending = true;
+        try {
+            return machine.set(step);
+        } finally {
+            machine._machine.sending = false;
+        }
+    };
+
+    /**
+     * Tells whether an event would be accepted in the current state.
+     *
+     * @param {string|Object} event - The event type, or an object with a type and any payload
+     * @returns {boolean} True if a transition is declared for it and its guard passes
+     */
+    machine.can = function(event) {
+        return Boolean(select(machine.peek(), normalize(event, 'can()')));
+    };
+
+    return machine;
 };
 
+//=============================================================================
+// Resources
+//=============================================================================
+
 /**
- * Updates the current state and returns the Understate instance for method chaining.
+ * Creates a store for data loaded asynchronously, such as API responses. Its state is
+ * `{ status, data, error, updatedAt, fetching, args }` for the arguments last loaded:
+ * - `status` - 'idle' before the first load, 'loading' while there is no data to show, then 'success' or 'error'
+ * - `data` - The last data fetched. A failed request keeps it, so it can still be shown next to the error
+ * - `error` - What the last request failed with, or null
+ * - `updatedAt` - When the data was fetched, in milliseconds since the epoch, or null
+ * - `fetching` - Whether a request is pending, including background revalidations
+ * - `args` - The arguments the state is for
  *
- * This is a convenience method that combines `set()` with fluent interface support.
- * Useful for chaining multiple operations together.
+ * Results are cached by key, computed from the arguments. Loading the same arguments
+ * again returns the cached data while it is fresh, shares the pending request if there
+ * is one, and otherwise fetches them again. With staleWhileRevalidate, the stale data
+ * stays in the state while it is revalidated. When requests for the same arguments
+ * overlap, only the latest one settles the state.
  *
  * @memberof Understate
- * @method s
- * @param {MutatorFunction} mutator - Function to transform the current state. Receives the current state as a parameter and should return the new state value
- * @param {SetConfig} [config={}] - Configuration options for this update. Optional object with properties: index (boolean), asynchronous (boolean)
- * @returns {Understate} The Understate instance (this) to enable method chaining with other instance methods
- * @throws {TypeError} If mutator is not a function
- * @throws {TypeError} If config is not an object when provided
- * @throws {Error} If set() throws an error
+ * @method resource
+ * @static
+ * @param {Function} fetcher - Loads the data, `(...args) => data | Promise`
+ * @param {ResourceOptions} [options={}] - How results are cached and revalidated
+ * @param {UnderstateConfig} [config={}] - Configuration of the store. initial, asynchronous, queue and concurrency do not apply
+ * @returns {Understate} The store, with load(), refetch(), invalidate() and isStale() methods
+ * @throws {TypeError} If fetcher is not a function, or an option is invalid
+ * @throws {TypeError} If config sets initial, asynchronous, queue or concurrency
  *
  * @example
- * // Chain multiple updates
- * state.s(val => val + 1)
- *      .s(val => val * 2)
- *      .get().then(result => console.log(result));
+ * const user = Understate.resource(id => api.getUser(id), { staleTime: 30000 });
+ *
+ * user.subscribe(({ status, data, error }) => render(status, data, error));
+ *
+ * await user.load(42);   // Fetches user 42
+ * await user.load(42);   // Served from the cache for 30 seconds
+ * await user.load(7);    // Switches to user 7, fetching it
+ * api.rename(7, 'Ada').then(() => user.invalidate(7)); // Revalidates user 7
  */
-Understate.prototype.s = function(mutator, config = {}) {
-    // Validate mutator parameter
-    if (mutator === null || mutator === undefined) {
-        throw new TypeError('s(): mutator parameter is required, received ' + mutator);
+Understate.resource = function(fetcher, options = {}, config = {}) {
+    if (typeof fetcher !== 'function') {
+        throw new TypeError('resource(): fetcher must be a function, received ' + typeof fetcher);
     }
-    if (typeof mutator !== 'function') {
-        throw new TypeError('s(): mutator must be a function, received ' + typeof mutator);
+    if (!options || typeof options !== 'object') {
+        throw new TypeError('resource(): options must be an object, received ' + typeof options);
     }
+    const { key = (...args) => JSON.stringify(args), staleTime = 0, staleWhileRevalidate = true } = options;
 
-    // Validate config parameter
-    if (config !== null && config !== undefined) {
-        if (typeof config !== 'object' || Array.isArray(config)) {
-            throw new TypeError('s(): config parameter must be an object, received ' + typeof config);
+    if (typeof key !== 'function') {
+        throw new TypeError('resource(): key must be a function, received ' + typeof key);
+    }
+    if (typeof staleTime !== 'number' || isNaN(staleTime) || staleTime < 0) {
+        throw new TypeError('resource(): staleTime must be a non-negative number, received ' + staleTime);
+    }
+    if (typeof staleWhileRevalidate !== 'boolean') {
+        throw new TypeError('resource(): staleWhileRevalidate must be a boolean, received ' + typeof staleWhileRevalidate);
+    }
+    ['initial', 'asynchronous', 'queue', 'concurrency'].forEach(option => {
+        if (config && config.hasOwnProperty(option)) {
+            throw new TypeError(`resource(): The ${option} option does not apply to resources`);
+        }
+    });
+
+    const blank = args => ({ status: 'idle', data: undefined, error: null, updatedAt: null, fetching: false, args });
+    const resource = new Understate(Object.assign({}, config, { initial: blank([]), [INTERNAL]: true }));
+
+    // Entries by key: the state of those arguments, their pending request, and how many
+    // times they were invalidated, in total and before the data was requested
+    const cache = new Map();
+    var current;
+
+    const entryFor = args => {
+        const id = key(...args);
+        if (!cache.has(id)) {
+            cache.set(id, { key: id, args, state: blank(args), ticket: null, generation: 0, fetched: 0 });
+        }
+        return cache.get(id);
+    };
+    const show = entry => resource.peek() === entry.state ? Promise.resolve(entry.state) : resource.set(() => entry.state);
+    const update = (entry, changes) => {
+        entry.state = Object.assign({}, entry.state, changes);
+        return entry.key === current ? show(entry) : Promise.resolve(entry.state);
+    };
+    const isFresh = entry => entry.state.status === 'success' && entry.fetched === entry.generation &&
+        Date.now() - entry.state.updatedAt < staleTime;
+
+    const request = entry => {
+        const ticket = { generation: entry.generation };
+        entry.ticket = ticket;
+        const revalidating = staleWhileRevalidate && entry.state.updatedAt !== null;
+        const started = update(entry, revalidating ? { fetching: true } : { status: 'loading', data: undefined, error: null, fetching: true });
+        const pending = new Promise(resolve => resolve(fetcher(...entry.args)));
+
+        // Responses to superseded requests still settle their own promise, but not the state
+        const settle = changes => {
+            if (entry.ticket !== ticket) {
+                return Promise.resolve();
+            }
+            entry.ticket = null;
+            return update(entry, Object.assign({ fetching: false }, changes));
+        };
+        ticket.promise = Promise.all([pending, started]).then(
+            ([data]) => {
+                if (entry.ticket === ticket) {
+                    entry.fetched = ticket.generation;
+                }
+                return settle({ status: 'success', data, error: null, updatedAt: Date.now() }).then(() => data);
+            },
+            error => settle({ status: 'error', error }).then(() => {
+                throw error;
+            })
+        );
+        return ticket.promise;
+    };
+
+    /**
+     * Loads the data for some arguments and makes them the ones the state is for.
+     * Fresh cached data is returned as is, and a pending request for the same
+     * arguments is shared.
+     *
+     * @param {...*} args - Arguments for the fetcher
+     * @returns {Promise<*>} Resolves to the data, or rejects with what the fetcher failed with
+     */
+    resource.load = function(...args) {
+        const entry = entryFor(args);
+        current = entry.key;
+        if (entry.ticket) {
+            return Promise.all([entry.ticket.promise, show(entry)]).then(([data]) => data);
         }
-    }
+        if (isFresh(entry)) {
+            return show(entry).then(() => entry.state.data);
+        }
+        return request(entry);
+    };
 
-    try {
-        this.set(mutator, config);
-    } catch (error) {
-        throw new Error(`s(): Failed to update state - ${error.message}`);
-    }
+    /**
+     * Fetches the arguments the state is for again, even if their data is fresh.
+     *
+     * @returns {Promise<*>} Resolves to the data, or rejects with what the fetcher failed with
+     */
+    resource.refetch = function() {
+        return current === undefined ? resource.load() : request(cache.get(current));
+    };
 
-    return this;
+    /**
+     * Marks cached data as stale. The arguments the state is for are revalidated
+     * right away, others the next time they are loaded.
+     *
+     * @param {...*} [args] - Arguments whose data is stale. Without any, all data is
+     * @returns {Promise<undefined>} Resolves once the revalidation settles. Failures are only recorded in the state
+     */
+    resource.invalidate = function(...args) {
+        const entries = args.length === 0 ? Array.from(cache.values()) : [cache.get(key(...args))].filter(Boolean);
+        entries.forEach(entry => {
+            entry.generation++;
+        });
+        const shown = entries.find(entry => entry.key === current);
+        return shown ? request(shown).then(() => undefined, () => undefined) : Promise.resolve();
+    };
+
+    /**
+     * Tells whether the data for some arguments would be fetched again when loaded.
+     *
+     * @param {...*} [args] - The arguments. Without any, those the state is for
+     * @returns {boolean} True if there is no fresh data for them
+     */
+    resource.isStale = function(...args) {
+        const entry = cache.get(args.length === 0 ? current : key(...args));
+        return !entry || !isFresh(entry);
+    };
+
+    return resource;
 };
 
+//=============================================================================
+// Entity Adapters
+//=============================================================================
+
 /**
- * Retrieves the current state or a previously indexed state by ID.
+ * Creates an adapter for collections of records kept normalized as `{ ids, entities }`:
+ * the ids in order, and the records by id. Lookups by id take constant time and
+ * updating a record copies neither the other records nor, unless the order changes,
+ * the ids.
  *
- * When called without arguments, returns the current state and its ID.
- * When called with a state ID, returns the indexed state for that ID.
+ * The adapter provides mutator builders, whose results are passed to `set()`, and
+ * selectors. Mutators return the state as is when they change nothing, so they
+ * work with the `equals` option. With a sortComparer the ids are kept sorted by it;
+ * otherwise records keep the order they were added in.
  *
- * @memberof Understate
- * @method get
- * @param {string|boolean} [id=false] - The ID string of a previously indexed state to retrieve, or false/undefined to retrieve the current state. Must be a non-empty string when provided
- * @returns {Promise<*>} Promise that resolves to the requested state value. When retrieving current state (no id), the promise callback receives both the state value and current state ID as parameters
- * @throws {TypeError} If id is provided but is not a string or boolean
- * @throws {Error} If state retrieval fails
+ * @function createEntityAdapter
+ * @param {Object} [options={}] - The adapter's options
+ * @param {Function} [options.selectId] - Returns the id of a record, a string or number. By default, record.id
+ * @param {Function} [options.sortComparer] - Compares two records to keep the ids sorted, like Array.prototype.sort()
+ * @returns {EntityAdapter} The adapter
+ * @throws {TypeError} If selectId is not a function, or sortComparer is neither a function nor undefined
+ * @public
  *
  * @example
- * // Get current state
- * state.get().then(currentValue => console.log(currentValue));
+ * const todos = createEntityAdapter({ sortComparer: (a, b) => a.title.localeCompare(b.title) });
+ * const store = new Understate({ initial: todos.getInitialState({ filter: 'all' }) });
+ * const { selectAll, selectById } = todos.getSelectors();
  *
- * @example
- * // Get indexed state by ID
- * state.get('384756201938475')
- *   .then(historicalValue => console.log(historicalValue));
+ * store.set(todos.addMany([{ id: 1, title: 'Write docs' }, { id: 2, title: 'Buy milk' }]));
+ * store.set(todos.updateOne({ id: 1, changes: { done: true } }));
+ * selectAll(store.peek()); // [{ id: 2, title: 'Buy milk' }, { id: 1, title: 'Write docs', done: true }]
  */
-Understate.prototype.get = function(id = false) {
-    // Validate id parameter
-    if (id !== false && id !== null && id !== undefined) {
-        if (typeof id !== 'string' && typeof id !== 'boolean') {
-            throw new TypeError('get(): id parameter must be a string or false, received ' + typeof id);
+export const createEntityAdapter = function({ selectId = entity => entity.id, sortComparer = undefined } = {}) {
+    if (typeof selectId !== 'function') {
+        throw new TypeError('createEntityAdapter(): selectId must be a function, received ' + typeof selectId);
+    }
+    if (sortComparer !== undefined && typeof sortComparer !== 'function') {
+        throw new TypeError('createEntityAdapter(): sortComparer must be a function when provided, received ' + typeof sortComparer);
+    }
+
+    const has = (entities, id) => Object.prototype.hasOwnProperty.call(entities, id);
+    // Records are keyed by the string form of their id, so 1 and '1' are the same record
+    const same = (a, b) => String(a) === String(b);
+
+    // Ids are read when a mutator is built, so malformed records fail at the call site
+    const idOf = (entity, method) => {
+        if (!entity || typeof entity !== 'object') {
+            throw new TypeError(`${method}: entities must be objects, received ${entity === null ? 'null' : typeof entity}`);
         }
-        if (typeof id === 'string' && id.length === 0) {
-            throw new TypeError('get(): id parameter cannot be an empty string');
+        const id = selectId(entity);
+        if (typeof id !== 'string' && typeof id !== 'number') {
+            throw new TypeError(`${method}: selectId must return a string or a number, received ${typeof id}`);
         }
-    }
+        return id;
+    };
+    const list = (entities, method) => {
+        if (!Array.isArray(entities)) {
+            throw new TypeError(`${method}: entities must be an array, received ${typeof entities}`);
+        }
+        return entities.map(entity => [idOf(entity, method), entity]);
+    };
+    const idList = (ids, method) => {
+        if (!Array.isArray(ids)) {
+            throw new TypeError(`${method}: ids must be an array, received ${typeof ids}`);
+        }
+        return ids;
+    };
+    const updateList = (updates, method) => {
+        if (!Array.isArray(updates)) {
+            throw new TypeError(`${method}: updates must be an array, received ${typeof updates}`);
+        }
+        updates.forEach(update => {
+            if (!update || (typeof update.id !== 'string' && typeof update.id !== 'number') || !update.changes || typeof update.changes !== 'object') {
+                throw new TypeError(`${method}: updates must be objects of the form { id, changes }`);
+            }
+        });
+        return updates;
+    };
 
-    return new Promise((resolve, reject) => {
-        try {
-            // Get current state
-            if (id === false || id === undefined || id === null) {
-                const state = this._getState();
-                return resolve(state);
+    const finish = (state, ids, entities, reorder) => Object.assign({}, state, {
+        ids: sortComparer && reorder ? ids.slice().sort((a, b) => sortComparer(entities[a], entities[b])) : ids,
+        entities
+    });
+
+    const add = pairs => state => {
+        const entities = Object.assign({}, state.entities);
+        const added = [];
+        pairs.forEach(([id, entity]) => {
+            if (!has(entities, id)) {
+                entities[id] = entity;
+                added.push(id);
             }
+        });
+        return added.length === 0 ? state : finish(state, state.ids.concat(added), entities, true);
+    };
 
-            // Get indexed state by ID
-            if (!this._indexed || typeof this._indexed.get !== 'function') {
-                return reject(new Error('get(): Indexed storage is not available. Ensure indexing is enabled.'));
+    const upsert = pairs => state => {
+        if (pairs.length === 0) {
+            return state;
+        }
+        const entities = Object.assign({}, state.entities);
+        const added = [];
+        pairs.forEach(([id, entity]) => {
+            if (has(entities, id)) {
+                entities[id] = Object.assign({}, entities[id], entity);
+            } else {
+                entities[id] = entity;
+                added.push(id);
             }
+        });
+        return finish(state, added.length > 0 ? state.ids.concat(added) : state.ids, entities, true);
+    };
 
-            if (!this._indexed.has(id)) {
-                return reject(new Error(`get(): No state found for id "${id}". State may not have been indexed.`));
+    const update = updates => state => {
+        const applicable = updates.filter(({ id }) => has(state.entities, id));
+        if (applicable.length === 0) {
+            return state;
+        }
+        const entities = Object.assign({}, state.entities);
+        let ids = state.ids;
+        applicable.forEach(({ id, changes }) => {
+            const updated = Object.assign({}, entities[id], changes);
+            const newId = selectId(updated);
+            entities[id] = updated;
+            // Changing the id moves the record, keeping its place and replacing any record with the new id
+            if (!same(newId, id)) {
+                delete entities[id];
+                entities[newId] = updated;
+                ids = ids.filter(existing => !same(existing, newId)).map(existing => same(existing, id) ? newId : existing);
             }
+        });
+        return finish(state, ids, entities, true);
+    };
 
-            const state = this._indexed.get(id);
-            resolve(state);
-        } catch (error) {
-            reject(new Error(`get(): Failed to retrieve state - ${error.message}`));
+    const remove = ids => state => {
+        const removed = ids.filter(id => has(state.entities, id));
+        if (removed.length === 0) {
+            return state;
         }
-    });
+        const entities = Object.assign({}, state.entities);
+        removed.forEach(id => {
+            delete entities[id];
+        });
+        return finish(state, state.ids.filter(id => has(entities, id)), entities, false);
+    };
+
+    return {
+        getInitialState(extra = {}) {
+            return Object.assign({}, extra, { ids: [], entities: {} });
+        },
+
+        addOne(entity) {
+            return add([[idOf(entity, 'addOne()'), entity]]);
+        },
+
+        addMany(entities) {
+            return add(list(entities, 'addMany()'));
+        },
+
+        upsertOne(entity) {
+            return upsert([[idOf(entity, 'upsertOne()'), entity]]);
+        },
+
+        upsertMany(entities) {
+            return upsert(list(entities, 'upsertMany()'));
+        },
+
+        updateOne(change) {
+            return update(updateList([change], 'updateOne()'));
+        },
+
+        updateMany(changes) {
+            return update(updateList(changes, 'updateMany()'));
+        },
+
+        removeOne(id) {
+            return remove([id]);
+        },
+
+        removeMany(ids) {
+            return remove(idList(ids, 'removeMany()'));
+        },
+
+        removeAll() {
+            return state => state.ids.length === 0 ? state : Object.assign({}, state, { ids: [], entities: {} });
+        },
+
+        setAll(entities) {
+            const pairs = list(entities, 'setAll()');
+            return state => {
+                const next = {};
+                pairs.forEach(([id, entity]) => {
+                    next[id] = entity;
+                });
+                // A record listed twice keeps its first place and its last value
+                const ids = pairs.map(([id]) => id).filter((id, position, all) => all.findIndex(other => same(other, id)) === position);
+                return finish(state, ids, next, true);
+            };
+        },
+
+        getSelectors(selectState = state => state) {
+            if (typeof selectState !== 'function') {
+                throw new TypeError('getSelectors(): selectState must be a function, received ' + typeof selectState);
+            }
+
+            // selectAll returns the same array until the ids or the records change
+            let last;
+            const selectAll = state => {
+                const { ids, entities } = selectState(state);
+                if (!last || last.ids !== ids || last.entities !== entities) {
+                    last = { ids, entities, value: ids.map(id => entities[id]) };
+                }
+                return last.value;
+            };
+
+            return {
+                selectIds: state => selectState(state).ids,
+                selectEntities: state => selectState(state).entities,
+                selectAll,
+                selectTotal: state => selectState(state).ids.length,
+                selectById: (state, id) => {
+                    const entities = selectState(state).entities;
+                    return has(entities, id) ? entities[id] : undefined;
+                }
+            };
+        }
+    };
 };
 
 //=============================================================================
-// Subscription Management Methods
+// Forms
 //=============================================================================
 
 /**
- * Subscribes to state updates with a callback function.
- *
- * The subscription callback will be invoked whenever the state is updated via `set()`.
- * Returns a subscription pointer object with an `unsubscribe()` method to cancel
- * the subscription.
- *
- * @memberof Understate
- * @method subscribe
- * @param {SubscriptionCallback} subscription - Callback function to be invoked after each state update. Receives the new state value as the first parameter, and optionally the state ID as the second parameter if indexing is enabled
- * @returns {SubscriptionPointer} A subscription pointer object that inherits all Understate methods and includes an unsubscribe() method to cancel the subscription. This enables nested subscriptions and chaining
- * @throws {TypeError} If subscription is not a function
- * @throws {TypeError} If subscription is null or undefined
- * @throws {Error} If subscription setup fails
+ * Whether a field value counts as empty. Validators other than `required` pass empty
+ * values, so optional fields are only checked once they are filled in.
  *
- * @example
- * // Simple subscription
- * const sub = state.subscribe(newValue => {
- *   console.log('State changed to:', newValue);
- * });
+ * @function isBlank
+ * @param {*} value - The field value
+ * @returns {boolean} True for undefined, null, whitespace-only strings and empty arrays
+ * @private
+ */
+const isBlank = function(value) {
+    return value === undefined || value === null ||
+        (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Validator combinators for `createForm()`. Each returns a validator: a function
+ * receiving a field's value and all the form's values, and returning an error
+ * message, or nothing when the value is valid. Validators may also return a promise
+ * of either. Validators that read other fields list them in their `fields` property,
+ * so they run again when those fields change.
  *
- * // Later: unsubscribe
- * sub.unsubscribe();
+ * @namespace validators
+ * @public
  *
  * @example
- * // Subscription with indexing
- * const sub = state.subscribe((newValue, stateId) => {
- *   console.log('State:', newValue, 'ID:', stateId);
+ * const { required, minLength, email, matches } = validators;
+ * const form = createForm({
+ *   fields: { email: '', password: '', confirm: '' },
+ *   validators: {
+ *     email: [required(), email()],
+ *     password: [required(), minLength(8)],
+ *     confirm: matches('password', 'Passwords do not match')
+ *   }
  * });
- *
- * @example
- * // Nested subscriptions with parent unsubscribe
- * const parent = state.subscribe(val => console.log('parent', val));
- * const child = parent.subscribe(val => console.log('child', val));
- * child.unsubscribe(true); // Unsubscribes both child and parent
  */
-Understate.prototype.subscribe = function(subscription) {
-    // Validate subscription parameter
-    if (subscription === null || subscription === undefined) {
-        throw new TypeError('subscribe(): subscription parameter is required, received ' + subscription);
-    }
-    if (typeof subscription !== 'function') {
-        throw new TypeError('subscribe(): subscription must be a function, received ' + typeof subscription);
-    }
+export const validators = {
+    /**
+     * Fails empty values: undefined, null, whitespace-only strings and empty arrays.
+     *
+     * @memberof validators
+     * @param {string} [message='This field is required'] - The error message
+     * @returns {Validator} The validator
+     */
+    required(message = 'This field is required') {
+        return value => isBlank(value) ? message : undefined;
+    },
 
-    try {
-        const original = this;
+    /**
+     * Fails strings and arrays shorter than a minimum length.
+     *
+     * @memberof validators
+     * @param {number} length - The minimum length
+     * @param {string} [message] - The error message, by default "Must be at least {length} characters long"
+     * @returns {Validator} The validator
+     * @throws {TypeError} If length is not a non-negative number
+     */
+    minLength(length, message = `Must be at least ${length} characters long`) {
+        if (typeof length !== 'number' || isNaN(length) || length < 0) {
+            throw new TypeError('minLength(): length must be a non-negative number, received ' + typeof length);
+        }
+        return value => !isBlank(value) && value.length < length ? message : undefined;
+    },
 
-        if (!original._subscriptions || typeof original._subscriptions.add !== 'function') {
-            throw new Error('subscribe(): Subscriptions set is not properly initialized');
+    /**
+     * Fails values that do not match a regular expression.
+     *
+     * @memberof validators
+     * @param {RegExp} regex - The pattern values must match
+     * @param {string} [message='Invalid format'] - The error message
+     * @returns {Validator} The validator
+     * @throws {TypeError} If regex is not a RegExp
+     */
+    pattern(regex, message = 'Invalid format') {
+        if (!(regex instanceof RegExp)) {
+            throw new TypeError('pattern(): regex must be a RegExp, received ' + typeof regex);
         }
+        return value => {
+            if (isBlank(value)) {
+                return undefined;
+            }
+            // Global and sticky patterns remember where they stopped matching
+            regex.lastIndex = 0;
+            return regex.test(String(value)) ? undefined : message;
+        };
+    },
 
-        original._subscriptions.add(subscription);
-        const pointer = Object.create(original);
+    /**
+     * Fails values that are not email addresses, as checked by `validateEmail()`.
+     *
+     * @memberof validators
+     * @param {string} [message='Invalid email address'] - The error message
+     * @param {EmailOptions} [options={}] - What to accept, as passed to validateEmail()
+     * @returns {Validator} The validator
+     * @throws {TypeError} If options is not an object of boolean flags
+     */
+    email(message = 'Invalid email address', options = {}) {
+        validateEmailOptions(options, 'email()');
+        const accept = Object.assign({}, options, { detailed: false });
+        return value => !isBlank(value) && (typeof value !== 'string' || !validateEmail(value, accept)) ? message : undefined;
+    },
 
-        /**
-         * Unsubscribes the callback from state updates.
-         *
-         * @param {boolean|number} [unsubscribeParents=false] - If true, unsubscribes parent subscriptions too. If a number, unsubscribes that many levels of parent subscriptions (must be a non-negative integer)
-         * @returns {Understate} The original Understate instance to enable further operations
-         * @throws {TypeError} If unsubscribeParents is not a boolean or number when provided
-         * @throws {RangeError} If unsubscribeParents is a negative number
-         */
-        pointer.unsubscribe = (unsubscribeParents = false) => {
-            // Validate unsubscribeParents parameter
-            if (unsubscribeParents !== false && unsubscribeParents !== null && unsubscribeParents !== undefined) {
-                if (typeof unsubscribeParents !== 'boolean' && typeof unsubscribeParents !== 'number') {
-                    throw new TypeError('unsubscribe(): unsubscribeParents must be a boolean or number, received ' + typeof unsubscribeParents);
-                }
-                if (typeof unsubscribeParents === 'number') {
-                    if (isNaN(unsubscribeParents)) {
-                        throw new TypeError('unsubscribe(): unsubscribeParents number cannot be NaN');
-                    }
-                    if (unsubscribeParents < 0) {
-                        throw new RangeError('unsubscribe(): unsubscribeParents must be a non-negative number, received ' + unsubscribeParents);
-                    }
-                    if (!Number.isInteger(unsubscribeParents)) {
-                        throw new TypeError('unsubscribe(): unsubscribeParents must be an integer when provided as a number, received ' + unsubscribeParents);
-                    }
-                }
+    /**
+     * Fails values that differ from the value of another field, e.g. to confirm a password.
+     *
+     * @memberof validators
+     * @param {string} field - Name of the other field
+     * @param {string} [message] - The error message, by default "Must match {field}"
+     * @returns {Validator} The validator, which runs again whenever the other field changes
+     * @throws {TypeError} If field is not a string
+     */
+    matches(field, message = `Must match ${field}`) {
+        if (typeof field !== 'string') {
+            throw new TypeError('matches(): field must be a string, received ' + typeof field);
+        }
+        const validator = (value, values) => !isBlank(value) && !deepEqual(value, values[field]) ? message : undefined;
+        validator.fields = [field];
+        return validator;
+    },
+
+    /**
+     * Combines validators into one that runs them in order and fails with the first
+     * error. Asynchronous validators are waited for before the next one runs.
+     *
+     * @memberof validators
+     * @param {...(Validator|Array<Validator>)} list - The validators to combine
+     * @returns {Validator} The combined validator
+     * @throws {TypeError} If one of the arguments is not a validator
+     */
+    compose() {
+        const list = Array.prototype.concat.apply([], arguments);
+        list.forEach(validator => {
+            if (typeof validator !== 'function') {
+                throw new TypeError('compose(): validators must be functions, received ' + typeof validator);
             }
+        });
 
-            try {
-                if (!original._subscriptions || typeof original._subscriptions.delete !== 'function') {
-                    throw new Error('unsubscribe(): Subscriptions set is not properly initialized');
+        const composed = (value, values) => {
+            const step = position => {
+                if (position === list.length) {
+                    return undefined;
                 }
-
-                original._subscriptions.delete(subscription);
-
-                if (unsubscribeParents) {
-                    if (typeof original.unsubscribe === 'function') {
-                        if (typeof unsubscribeParents === 'number') {
-                            return original.unsubscribe(unsubscribeParents - 1);
-                        }
-                        return original.unsubscribe(unsubscribeParents);
-                    }
+                const message = list[position](value, values);
+                if (message && typeof message.then === 'function') {
+                    return message.then(resolved => resolved || step(position + 1));
                 }
-                return original;
-            } catch (error) {
-                throw new Error(`unsubscribe(): Failed to unsubscribe - ${error.message}`);
-            }
+                return message || step(position + 1);
+            };
+            return step(0);
         };
-        return pointer;
-    } catch (error) {
-        throw new Error(`subscribe(): Failed to create subscription - ${error.message}`);
+        composed.fields = list.reduce((fields, validator) => fields.concat(validator.fields || []), []);
+        return composed;
     }
 };
 
-//=============================================================================
-// Utility Methods
-//=============================================================================
-
 /**
- * Returns the current state ID and optionally indexes the current state.
+ * Creates a form: field values held in an Understate instance together with dirty
+ * and touched flags, per-field and form-level errors, pending validations and the
+ * status of submissions.
  *
- * Each state update generates a new unique ID. This method retrieves that ID
- * and can optionally save the current state to the index for later retrieval.
+ * A field is validated whenever its value changes, along with the fields whose
+ * validators depend on it and the form-level `validate` function. When an
+ * asynchronous validator is still pending as the field changes again, its result is
+ * discarded. The state only changes through the form's methods; subscribe to the
+ * form, or select parts of `form.store`, to render it.
  *
- * @memberof Understate
- * @method id
- * @param {boolean} [index=false] - If true, saves the current state to the index with its ID for later retrieval via get(). If false/undefined, only returns the ID without indexing
- * @returns {string} A 15-character unique identifier string representing the current state
- * @throws {TypeError} If index parameter is not a boolean when provided
- * @throws {Error} If id retrieval fails
+ * @function createForm
+ * @param {Object} config - The form's configuration
+ * @param {Object<string, *>} config.fields - The fields and their initial values
+ * @param {Object<string, Validator|Array<Validator>>} [config.validators={}] - Validators by field; arrays are combined with validators.compose()
+ * @param {Function} [config.validate] - Form-level validator, receiving all values and returning an error message, nothing, or a promise of either
+ * @returns {Form} The form
+ * @throws {TypeError} If fields is not an object
+ * @throws {TypeError} If validators is not an object of validators for known fields
+ * @throws {TypeError} If validate is not a function when provided
+ * @public
  *
  * @example
- * // Get current state ID
- * const currentId = state.id();
+ * const { required, email } = validators;
+ * const signup = createForm({
+ *   fields: { email: '', plan: 'free' },
+ *   validators: {
+ *     email: [required(), email(), value => api.isTaken(value).then(taken => taken ? 'Already registered' : undefined)]
+ *   }
+ * });
  *
- * @example
- * // Get ID and index current state
- * const currentId = state.id(true);
- * // Later retrieve this state
- * state.get(currentId).then(historicalState => console.log(historicalState));
+ * signup.subscribe(state => render(state));
+ * input.addEventListener('input', event => signup.setValue('email', event.target.value));
+ * input.addEventListener('blur', () => signup.touch('email'));
+ * button.addEventListener('click', () => signup.submit(values => api.register(values)));
  */
-Understate.prototype.id = function(index = false) {
-    // Validate index parameter
-    if (index !== null && index !== undefined && typeof index !== 'boolean') {
-        throw new TypeError('id(): index parameter must be a boolean, received ' + typeof index);
+export const createForm = function({ fields, validators: rules = {}, validate = undefined } = {}) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new TypeError('createForm(): fields must be an object of initial values, received ' + typeof fields);
+    }
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new TypeError('createForm(): validators must be an object, received ' + typeof rules);
+    }
+    if (validate !== undefined && typeof validate !== 'function') {
+        throw new TypeError('createForm(): validate must be a function, received ' + typeof validate);
     }
 
-    try {
-        const currentId = this._getId();
-        if (!currentId) {
-            throw new Error('id(): Instance ID is not initialized');
+    const names = Object.keys(fields);
+    const checks = {};
+    Object.keys(rules).forEach(name => {
+        if (names.indexOf(name) === -1) {
+            throw new TypeError(`createForm(): validators.${name} does not match any field`);
+        }
+        if (typeof rules[name] !== 'function' && !Array.isArray(rules[name])) {
+            throw new TypeError(`createForm(): validators.${name} must be a validator or an array of validators, received ${typeof rules[name]}`);
+        }
+        checks[name] = Array.isArray(rules[name]) ? validators.compose(rules[name]) : rules[name];
+    });
+
+    const flags = value => names.reduce((result, name) => Object.assign(result, { [name]: value }), {});
+    const blank = values => ({
+        values,
+        dirty: flags(false),
+        touched: flags(false),
+        errors: {},
+        formError: undefined,
+        validating: {},
+        valid: true,
+        submitCount: 0,
+        submitStatus: 'idle',
+        submitError: undefined
+    });
+
+    var initialValues = Object.assign({}, fields);
+    const store = new Understate({ initial: blank(initialValues), [INTERNAL]: true });
+
+    // Every update goes through here so valid always agrees with the errors
+    const update = change => store.set(state => {
+        const next = Object.assign({}, state, change(state));
+        next.valid = Object.keys(next.errors).length === 0 && next.formError === undefined;
+        return next;
+    });
+
+    const known = (name, method) => {
+        if (names.indexOf(name) === -1) {
+            throw new TypeError(`${method}: Unknown field "${name}"`);
         }
+    };
 
-        if (index) {
-            if (!this._indexed || typeof this._indexed.set !== 'function') {
-                throw new Error('id(): Indexed storage is not available');
+    // Each field, and the form as a whole, only records the result of its latest validation
+    const FORM = {};
+    const tickets = new Map();
+    const record = (key, message) => update(state => {
+        if (key === FORM) {
+            return { formError: message || undefined };
+        }
+        const errors = Object.assign({}, state.errors);
+        const validating = Object.assign({}, state.validating);
+        delete validating[key];
+        if (message) {
+            errors[key] = message;
+        } else {
+            delete errors[key];
+        }
+        return { errors, validating };
+    });
+    const run = (key, values) => {
+        const ticket = (tickets.get(key) || 0) + 1;
+        tickets.set(key, ticket);
+        const settle = message => {
+            if (tickets.get(key) === ticket) {
+                record(key, message);
             }
-            const currentState = this._getState();
-            this._indexed.set(currentId, currentState);
+            return !message;
+        };
+
+        var message;
+        try {
+            message = key === FORM ? validate(values) : checks[key](values[key], values);
+        } catch (error) {
+            return Promise.reject(new Error(`validate(): Validator of ${key === FORM ? 'the form' : `"${key}"`} threw an error - ${error.message}`));
         }
-        return currentId;
-    } catch (error) {
-        throw new Error(`id(): Failed to retrieve or index id - ${error.message}`);
-    }
+        if (!message || typeof message.then !== 'function') {
+            return Promise.resolve(settle(message));
+        }
+        if (key !== FORM) {
+            update(state => ({ validating: Object.assign({}, state.validating, { [key]: true }) }));
+        }
+        return message.then(settle, error => {
+            if (tickets.get(key) === ticket && key !== FORM) {
+                update(state => {
+                    const validating = Object.assign({}, state.validating);
+                    delete validating[key];
+                    return { validating };
+                });
+            }
+            throw new Error(`validate(): Validator of ${key === FORM ? 'the form' : `"${key}"`} rejected - ${error && error.message || error}`);
+        });
+    };
+    const validateFields = list => {
+        const values = store.peek().values;
+        const keys = list.filter(name => checks[name]).concat(validate ? [FORM] : []);
+        return Promise.all(keys.map(key => run(key, values))).then(results => results.every(Boolean));
+    };
+
+    // The fields to validate when some fields change: those and the ones depending on them
+    const affectedBy = changed => names.filter(name => changed.indexOf(name) !== -1 ||
+        (checks[name] && (checks[name].fields || []).some(field => changed.indexOf(field) !== -1)));
+
+    const form = {
+        store,
+
+        peek() {
+            return store.peek();
+        },
+
+        subscribe(callback) {
+            return store.subscribe(callback);
+        },
+
+        setValue(name, value) {
+            known(name, 'setValue()');
+            return form.setValues({ [name]: value });
+        },
+
+        setValues(values) {
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                throw new TypeError('setValues(): values must be an object, received ' + typeof values);
+            }
+            const changed = Object.keys(values);
+            changed.forEach(name => known(name, 'setValues()'));
+
+            update(state => {
+                const dirty = Object.assign({}, state.dirty);
+                changed.forEach(name => {
+                    dirty[name] = !deepEqual(values[name], initialValues[name]);
+                });
+                return { values: Object.assign({}, state.values, values), dirty };
+            });
+            return validateFields(affectedBy(changed));
+        },
+
+        touch(name) {
+            known(name, 'touch()');
+            return update(state => ({ touched: Object.assign({}, state.touched, { [name]: true }) }))
+                .then(() => undefined);
+        },
+
+        validate(name) {
+            if (name !== undefined) {
+                known(name, 'validate()');
+            }
+            return validateFields(name === undefined ? names : [name]);
+        },
+
+        reset(values) {
+            if (values !== undefined && (!values || typeof values !== 'object' || Array.isArray(values))) {
+                throw new TypeError('reset(): values must be an object, received ' + typeof values);
+            }
+            if (values) {
+                Object.keys(values).forEach(name => known(name, 'reset()'));
+                initialValues = Object.assign({}, initialValues, values);
+            }
+            // Pending validations belong to the values being discarded
+            tickets.forEach((ticket, key) => tickets.set(key, ticket + 1));
+            return store.set(() => blank(initialValues)).then(() => undefined);
+        },
+
+        submit(onSubmit) {
+            if (typeof onSubmit !== 'function') {
+                throw new TypeError('submit(): onSubmit must be a function, received ' + typeof onSubmit);
+            }
+            if (store.peek().submitStatus === 'submitting') {
+                return Promise.reject(new Error('submit(): The form is already being submitted'));
+            }
+
+            update(state => ({
+                touched: flags(true),
+                submitCount: state.submitCount + 1,
+                submitStatus: 'submitting',
+                submitError: undefined
+            }));
+            const finish = (submitStatus, submitError) => update(() => ({ submitStatus, submitError }));
+
+            return validateFields(names).then(valid => {
+                if (!valid) {
+                    return finish('invalid').then(() => false);
+                }
+                return Promise.resolve(store.peek().values).then(onSubmit).then(
+                    () => finish('succeeded').then(() => true),
+                    error => finish('failed', error).then(() => {
+                        throw error;
+                    })
+                );
+            }, error => finish('failed', error).then(() => {
+                throw error;
+            }));
+        }
+    };
+    return form;
 };
 
 //=============================================================================
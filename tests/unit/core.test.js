@@ -10,7 +10,7 @@
 
 import { test, describe } from 'node:test';
 import assert from 'node:assert/strict';
-import { Understate, generateId, validateEmail } from '../../src/index.js';
+import { Understate, UNCHANGED, produce, applyPatches, generateId, validateEmail, normalizeEmail, EMAIL_DOMAINS, createForm, validators, createEntityAdapter } from '../../src/index.js';
 
 //=============================================================================
 // Utility Function Tests
@@ -36,6 +36,36 @@ describe('generateId', () => {
   });
 });
 
+describe('normalizeEmail', () => {
+  test('should lowercase the domain and convert it to ASCII', () => {
+    assert.strictEqual(normalizeEmail('Jane.Doe@Example.COM'), 'Jane.Doe@example.com');
+    assert.strictEqual(normalizeEmail('jane@Bücher.Example'), 'jane@xn--bcher-kva.example');
+    assert.strictEqual(normalizeEmail('用户@例子.广告'), '用户@xn--fsqu00a.xn--4rr70v');
+    assert.strictEqual(normalizeEmail('user@[IPv6:2001:DB8::1]'), 'user@[ipv6:2001:db8::1]');
+  });
+
+  test('should map compatibility forms in the domain as UTS #46 does', () => {
+    assert.strictEqual(normalizeEmail('a@ＥＸＡＭＰＬＥ.com'), 'a@example.com');
+    assert.strictEqual(normalizeEmail('a@ⓔⓧⓐⓜⓟⓛⓔ.com'), 'a@example.com');
+    assert.strictEqual(normalizeEmail('a@ﬁle.Example'), 'a@file.example');
+    assert.strictEqual(normalizeEmail('a@MÜNCHEN.de'), 'a@xn--mnchen-3ya.de');
+    assert.throws(() => normalizeEmail('a@x½.com'), { reason: 'invalidCharacter', position: 3 });
+  });
+
+  test('should normalize the local part to NFC', () => {
+    assert.strictEqual(normalizeEmail('jose\u0301@example.com'), 'jos\u00e9@example.com');
+  });
+
+  test('should throw for invalid addresses', () => {
+    assert.throws(() => normalizeEmail('invalid.email'), {
+      message: /^normalizeEmail\(\): "invalid.email" is not a valid email address \(missingAt\)/,
+      reason: 'missingAt'
+    });
+    assert.throws(() => normalizeEmail('jane@bücher.de', {}), { message: /is not a valid email address/ });
+    assert.throws(() => normalizeEmail(42), { name: 'TypeError', message: /must be a string/ });
+  });
+});
+
 describe('validateEmail', () => {
   test('should return true for valid email addresses', () => {
     assert.strictEqual(validateEmail('user@example.com'), true);
@@ -58,6 +88,130 @@ describe('validateEmail', () => {
     assert.strictEqual(validateEmail(''), false);
   });
 
+  test('should keep rejecting extended addresses without options', () => {
+    assert.strictEqual(validateEmail('josé@example.com'), false);
+    assert.strictEqual(validateEmail('user@bücher.de'), false);
+    assert.strictEqual(validateEmail('"john doe"@example.com'), false);
+    assert.strictEqual(validateEmail('user@[192.0.2.1]'), false);
+    assert.strictEqual(validateEmail('a'.repeat(65) + '@example.com'), true);
+  });
+
+  test('should accept internationalized addresses with the unicode option', () => {
+    const options = { unicode: true };
+    assert.strictEqual(validateEmail('用户@例子.广告', options), true);
+    assert.strictEqual(validateEmail('josé.garcía@münchen.de', options), true);
+    assert.strictEqual(validateEmail('пользователь@пример.испытание', options), true);
+    assert.strictEqual(validateEmail('user@例子。广告', options), true);
+    assert.strictEqual(validateEmail('user@😀.example', options), false);
+    assert.strictEqual(validateEmail('user@-bücher.de', options), false);
+    assert.strictEqual(validateEmail('us er@münchen.de', options), false);
+    assert.strictEqual(validateEmail('user..name@münchen.de', options), false);
+  });
+
+  test('should enforce RFC 5321 length limits with the lengthLimits option', () => {
+    const options = { unicode: true, lengthLimits: true };
+    const domain = 'a'.repeat(63) + '.' + 'b'.repeat(63) + '.' + 'c'.repeat(63) + '.' + 'd'.repeat(56) + '.com';
+    assert.strictEqual(validateEmail('a'.repeat(64) + '@example.com', options), true);
+    assert.strictEqual(validateEmail('a'.repeat(65) + '@example.com', options), false);
+    // Non-ASCII characters count their UTF-8 octets
+    assert.strictEqual(validateEmail('é'.repeat(32) + '@example.com', options), true);
+    assert.strictEqual(validateEmail('é'.repeat(33) + '@example.com', options), false);
+    assert.strictEqual(validateEmail('a@' + domain, options), true);
+    assert.strictEqual(validateEmail('ab@' + domain, options), false);
+  });
+
+  test('should accept quoted local parts with the quoted option', () => {
+    const options = { quoted: true };
+    assert.strictEqual(validateEmail('"john doe"@example.com', options), true);
+    assert.strictEqual(validateEmail('"john..doe@home"@example.com', options), true);
+    assert.strictEqual(validateEmail('"say \\"hi\\""@example.com', options), true);
+    assert.strictEqual(validateEmail('"unterminated@example.com', options), false);
+    assert.strictEqual(validateEmail('"bad"quote"@example.com', options), false);
+    assert.strictEqual(validateEmail('"josé"@example.com', options), false);
+    assert.strictEqual(validateEmail('"josé"@example.com', { quoted: true, unicode: true }), true);
+  });
+
+  test('should accept IP literals with the ipLiteral option', () => {
+    const options = { ipLiteral: true };
+    assert.strictEqual(validateEmail('user@[192.0.2.1]', options), true);
+    assert.strictEqual(validateEmail('user@[IPv6:2001:db8::1]', options), true);
+    assert.strictEqual(validateEmail('user@[IPv6:2001:db8:0:0:0:0:0:1]', options), true);
+    assert.strictEqual(validateEmail('user@[IPv6:::ffff:192.0.2.1]', options), true);
+    assert.strictEqual(validateEmail('user@[192.0.2.256]', options), false);
+    assert.strictEqual(validateEmail('user@[192.0.2]', options), false);
+    assert.strictEqual(validateEmail('user@[2001:db8::1]', options), false);
+    assert.strictEqual(validateEmail('user@[IPv6:2001:db8::1::2]', options), false);
+    assert.strictEqual(validateEmail('user@[IPv6:1:2:3:4:5:6:7:8:9]', options), false);
+  });
+
+  test('should explain why an address is invalid in detailed mode', () => {
+    const explain = (email, options) => {
+      const { reason, position } = validateEmail(email, Object.assign({ detailed: true }, options));
+      return [reason, position];
+    };
+    assert.deepStrictEqual(explain('user.example.com'), ['missingAt', undefined]);
+    assert.deepStrictEqual(explain(''), ['missingAt', undefined]);
+    assert.deepStrictEqual(explain('@example.com'), ['emptyLocalPart', 0]);
+    assert.deepStrictEqual(explain('user@'), ['emptyDomain', 5]);
+    assert.deepStrictEqual(explain('.user@example.com'), ['leadingDot', 0]);
+    assert.deepStrictEqual(explain('user.@example.com'), ['trailingDot', 4]);
+    assert.deepStrictEqual(explain('us..er@example.com'), ['consecutiveDots', 3]);
+    assert.deepStrictEqual(explain('user@example..com'), ['consecutiveDots', 13]);
+    assert.deepStrictEqual(explain('us er@example.com'), ['invalidCharacter', 2]);
+    assert.deepStrictEqual(explain('user@exa_mple.com'), ['invalidCharacter', 8]);
+    assert.deepStrictEqual(explain('josé@example.com'), ['invalidCharacter', 3]);
+    assert.deepStrictEqual(explain('user@-example.com'), ['labelHyphen', 5]);
+    assert.deepStrictEqual(explain('user@' + 'a'.repeat(64) + '.com'), ['labelTooLong', 5]);
+    assert.deepStrictEqual(explain('"john"@example.com'), ['quotedNotAllowed', 0]);
+    assert.deepStrictEqual(explain('"john@example.com', { quoted: true }), ['unterminatedQuote', 0]);
+    assert.deepStrictEqual(explain('"jo"hn"@example.com', { quoted: true }), ['invalidCharacter', 3]);
+    assert.deepStrictEqual(explain('a@xn--zz.com', { unicode: true }), ['invalidPunycode', 2]);
+    assert.deepStrictEqual(explain('a@example.xn--a.com', { unicode: true }), ['invalidPunycode', 10]);
+    assert.deepStrictEqual(explain('a@xn--bcher-kva.de', { unicode: true }), [undefined, undefined]);
+    assert.deepStrictEqual(explain('a@XN--BCHER-KVA.de', { unicode: true }), [undefined, undefined]);
+    assert.deepStrictEqual(explain('user@[192.0.2.1]'), ['addressLiteralNotAllowed', 5]);
+    assert.deepStrictEqual(explain('user@[192.0.2.300]', { ipLiteral: true }), ['invalidAddressLiteral', 5]);
+    assert.deepStrictEqual(explain('a'.repeat(65) + '@example.com', { lengthLimits: true }), ['localPartTooLong', 0]);
+    assert.deepStrictEqual(explain('user@' + ('a'.repeat(63) + '.').repeat(4) + 'com', { lengthLimits: true }), ['domainTooLong', 5]);
+  });
+
+  test('should report valid addresses in detailed mode', () => {
+    assert.deepStrictEqual(validateEmail('user@example.com', { detailed: true }), {
+      valid: true,
+      reason: undefined,
+      position: undefined,
+      suggestion: undefined
+    });
+    assert.strictEqual(validateEmail('用户@例子.广告', { detailed: true, unicode: true }).valid, true);
+  });
+
+  test('should suggest corrections for common domain typos', () => {
+    const suggest = (email, options) => validateEmail(email, Object.assign({ detailed: true }, options)).suggestion;
+    assert.strictEqual(suggest('jane@gmial.com'), 'jane@gmail.com');
+    assert.strictEqual(suggest('jane@gmail.con'), 'jane@gmail.com');
+    assert.strictEqual(suggest('jane@hotmai.com'), 'jane@hotmail.com');
+    assert.strictEqual(suggest('jane@gmail,com'), 'jane@gmail.com');
+    assert.strictEqual(suggest('jane@Gmail.com'), undefined);
+    assert.strictEqual(suggest('jane@mail.com'), undefined);
+    assert.strictEqual(suggest('jane@x.com'), undefined);
+    assert.strictEqual(suggest('jane@example.com'), undefined);
+    assert.strictEqual(validateEmail('jane@gmial.com', { detailed: true }).valid, true);
+    assert.ok(EMAIL_DOMAINS.indexOf('gmail.com') !== -1);
+  });
+
+  test('should draw suggestions from a configurable list', () => {
+    const options = { detailed: true, domains: EMAIL_DOMAINS.concat(['acme-corp.example']) };
+    assert.strictEqual(validateEmail('jane@acme-crop.example', options).suggestion, 'jane@acme-corp.example');
+    assert.strictEqual(validateEmail('jane@gmial.com', { detailed: true, domains: [] }).suggestion, undefined);
+  });
+
+  test('should throw TypeError for invalid options', () => {
+    assert.throws(() => validateEmail('user@example.com', { detailed: 1 }), { name: 'TypeError', message: /options.detailed must be a boolean/ });
+    assert.throws(() => validateEmail('user@example.com', { domains: 'gmail.com' }), { name: 'TypeError', message: /options.domains must be an array of strings/ });
+    assert.throws(() => validateEmail('user@example.com', null), { name: 'TypeError', message: /options parameter must be an object/ });
+    assert.throws(() => validateEmail('user@example.com', { unicode: 'yes' }), { name: 'TypeError', message: /options.unicode must be a boolean/ });
+  });
+
   test('should throw TypeError when email is null', () => {
     assert.throws(
       () => validateEmail(null),
@@ -275,6 +429,138 @@ describe('Understate Constructor', () => {
   });
 });
 
+//=============================================================================
+// Lazy and Asynchronous Initial State Tests
+//=============================================================================
+
+describe('Lazy and asynchronous initial state', () => {
+  const deferred = () => {
+    var resolve, reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  test('should compute a function initial state on first access only', async () => {
+    var calls = 0;
+    const state = new Understate({ initial: () => {
+      calls++;
+      return { count: 1 };
+    } });
+    assert.strictEqual(calls, 0);
+    assert.deepStrictEqual(state.peek(), { count: 1 });
+    assert.deepStrictEqual(await state.get(), { count: 1 });
+    assert.deepStrictEqual(await state.ready(), { count: 1 });
+    assert.strictEqual(calls, 1);
+  });
+
+  test('should index and freeze a lazy initial state like a plain one', () => {
+    const state = new Understate({ initial: () => ({ items: [] }), index: true, strict: true });
+    assert.deepStrictEqual(state.peek(state.id()), { items: [] });
+    assert.ok(Object.isFrozen(state.peek()));
+  });
+
+  test('should load a Promise and notify subscribers', async () => {
+    const loading = deferred();
+    const state = new Understate({ initial: loading.promise, index: true });
+    const received = [];
+    state.subscribe(value => received.push(value));
+    assert.strictEqual(state.peek(), undefined);
+
+    loading.resolve({ name: 'Ada' });
+    assert.deepStrictEqual(await state.ready(), { name: 'Ada' });
+    assert.deepStrictEqual(received, [{ name: 'Ada' }]);
+    assert.deepStrictEqual(state.peek(state.id()), { name: 'Ada' });
+  });
+
+  test('should queue updates until an asynchronous function has loaded', async () => {
+    const loading = deferred();
+    var calls = 0;
+    const state = new Understate({ initial: () => {
+      calls++;
+      return loading.promise;
+    } });
+    const seen = [];
+    const first = state.set(value => {
+      seen.push(value);
+      return value + 1;
+    });
+    const batched = state.batch(() => state.set(value => value * 10));
+    const current = state.get();
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(seen, []);
+
+    loading.resolve(1);
+    assert.strictEqual(await first, 2);
+    assert.strictEqual(await batched, 20);
+    assert.strictEqual(await current, 20);
+    assert.deepStrictEqual(seen, [1]);
+    assert.strictEqual(await state.set(value => value + 1), 21);
+  });
+
+  test('should keep validating set() arguments synchronously while loading', () => {
+    const state = new Understate({ initial: new Promise(() => {}) });
+    assert.throws(() => state.set('value'), /set\(\): mutator must be a function/);
+  });
+
+  test('should reject ready() and apply every update to the undefined state when loading fails', async () => {
+    const state = new Understate({ initial: () => Promise.reject(new Error('Offline')) });
+    const seen = [];
+    const queued = state.set(value => {
+      seen.push(value);
+      return value;
+    });
+    const current = state.get();
+    await assert.rejects(state.ready(), /Offline/);
+    assert.strictEqual(await queued, undefined);
+    assert.strictEqual(await current, undefined);
+    assert.deepStrictEqual(seen, [undefined]);
+
+    // Updates made after the failure behave the same, so a fallback can be set
+    assert.deepStrictEqual(await state.set(() => ({ offline: true })), { offline: true });
+    await assert.rejects(state.ready(), /Offline/);
+  });
+
+  test('should check a loaded state against the schema and freeze it in strict mode', async () => {
+    const schema = { type: 'object', required: ['name'] };
+    const valid = new Understate({ initial: Promise.resolve({ name: 'Ada' }), schema, strict: true });
+    assert.deepStrictEqual(await valid.ready(), { name: 'Ada' });
+    assert.ok(Object.isFrozen(valid.peek()));
+
+    const received = [];
+    const invalid = new Understate({ initial: () => Promise.resolve({ age: 36 }), schema });
+    invalid.subscribe(value => received.push(value));
+    await assert.rejects(invalid.ready(), { name: 'ValidationError' });
+    assert.strictEqual(invalid.peek(), undefined);
+    assert.deepStrictEqual(received, []);
+  });
+
+  test('should treat a throwing initializer as a failed load', async () => {
+    const state = new Understate({ initial: () => {
+      throw new Error('Corrupt');
+    } });
+    assert.strictEqual(state.peek(), undefined);
+    await assert.rejects(state.ready(), /Corrupt/);
+  });
+
+  test('should resolve ready() at once for plain initial states', async () => {
+    const state = new Understate({ initial: 5 });
+    assert.strictEqual(await state.ready(), 5);
+  });
+
+  test('should recompute derived stores once the initial state has loaded', async () => {
+    const loading = deferred();
+    const source = new Understate({ initial: loading.promise });
+    const doubled = Understate.derive([source], value => value === undefined ? null : value * 2);
+    assert.strictEqual(doubled.peek(), null);
+    loading.resolve(4);
+    await source.ready();
+    assert.strictEqual(doubled.peek(), 8);
+  });
+});
+
 //=============================================================================
 // Set Operation Tests
 //=============================================================================
@@ -481,251 +767,2271 @@ describe('Understate.set() asynchronous', () => {
 });
 
 //=============================================================================
-// s() Method Tests (Chainable Set)
+// Queued Set Tests
 //=============================================================================
 
-describe('Understate.s()', () => {
-  test('should update state and return instance', () => {
-    const state = new Understate({ initial: 0 });
-    const result = state.s(val => val + 1);
-    assert.strictEqual(result, state);
+describe('Understate.set() queued', () => {
+  const delayed = (ms, fn) => val => new Promise(resolve => {
+    setTimeout(() => resolve(fn(val)), ms);
   });
 
-  test('should allow method chaining', async () => {
-    const state = new Understate({ initial: 1 });
-    state
-      .s(val => val + 1)
-      .s(val => val * 2)
-      .s(val => val + 3);
+  test('should invoke each mutator with the state committed by the previous one', async () => {
+    const state = new Understate({ initial: 1, asynchronous: true, queue: true });
+    const first = state.set(delayed(20, val => val + 1));
+    const second = state.set(delayed(5, val => val * 10));
+    assert.strictEqual(await first, 2);
+    assert.strictEqual(await second, 20);
+    assert.strictEqual(await state.get(), 20);
+  });
 
-    // Give time for async operations
-    await new Promise(resolve => setTimeout(resolve, 10));
-    const value = await state.get();
-    assert.strictEqual(value, 7); // ((1 + 1) * 2) + 3 = 7
+  test('should lose updates without queueing', async () => {
+    const state = new Understate({ initial: 1, asynchronous: true });
+    await Promise.all([
+      state.set(delayed(20, val => val + 1)),
+      state.set(delayed(5, val => val * 10))
+    ]);
+    assert.strictEqual(await state.get(), 2);
   });
 
-  test('should throw TypeError when mutator is not a function', () => {
+  test('should enable queueing per call via config', async () => {
+    const state = new Understate({ initial: [] });
+    const calls = [];
+    state.set(delayed(20, list => [...list, 'a']), { asynchronous: true, queue: true });
+    state.set(list => {
+      calls.push(list);
+      return [...list, 'b'];
+    }, { queue: true });
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepStrictEqual(calls, [['a']]);
+    assert.deepStrictEqual(await state.get(), ['a', 'b']);
+  });
+
+  test('should commit a queued synchronous update immediately when nothing is pending', () => {
+    const state = new Understate({ initial: 0, queue: true });
+    state.set(val => val + 1);
+    assert.strictEqual(state._getState(), 1);
+  });
+
+  test('should continue the queue after a rejected update', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true, queue: true });
+    const failing = state.set(() => Promise.reject(new Error('boom')));
+    const next = state.set(delayed(1, val => val + 1));
+    await assert.rejects(failing, { message: /Asynchronous mutator rejected - boom/ });
+    assert.strictEqual(await next, 1);
+  });
+
+  test('should throw TypeError when config.queue is not a boolean', () => {
     const state = new Understate({ initial: 0 });
     assert.throws(
-      () => state.s(42),
+      () => state.set(val => val + 1, { queue: 'yes' }),
       {
         name: 'TypeError',
-        message: /mutator must be a function/
+        message: /config.queue must be a boolean/
       }
     );
   });
 
-  test('should chain with get', async () => {
-    const state = new Understate({ initial: 10 });
-    const result = state.s(val => val * 2);
-    // Give time for async operation
-    await new Promise(resolve => setTimeout(resolve, 10));
-    const value = await result.get();
-    assert.strictEqual(value, 20);
+  test('should throw TypeError when queue option is not a boolean', () => {
+    assert.throws(
+      () => new Understate({ queue: 1 }),
+      {
+        name: 'TypeError',
+        message: /queue parameter must be a boolean/
+      }
+    );
   });
 });
 
 //=============================================================================
-// Get Operation Tests
+// Cancellable Set Tests
 //=============================================================================
 
-describe('Understate.get()', () => {
-  test('should retrieve current state', async () => {
-    const state = new Understate({ initial: 42 });
-    const value = await state.get();
-    assert.strictEqual(value, 42);
-  });
+describe('Understate.set() with signal', () => {
+  test('should not commit or notify when aborted while pending', async () => {
+    const state = new Understate({ initial: 'initial', asynchronous: true });
+    const controller = new AbortController();
+    const notified = [];
+    state.subscribe(val => notified.push(val));
 
-  test('should retrieve updated state', async () => {
-    const state = new Understate({ initial: 0 });
-    await state.set(val => val + 5);
-    const value = await state.get();
-    assert.strictEqual(value, 5);
+    const pending = state.set(
+      () => new Promise(resolve => setTimeout(() => resolve('stale'), 10)),
+      { signal: controller.signal }
+    );
+    controller.abort();
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(await state.get(), 'initial');
+    assert.deepStrictEqual(notified, []);
   });
 
-  test('should return Promise', () => {
+  test('should pass the signal to the mutator', async () => {
     const state = new Understate({ initial: 0 });
-    const result = state.get();
-    assert.ok(result instanceof Promise);
+    const controller = new AbortController();
+    let received;
+    await state.set((val, signal) => {
+      received = signal;
+      return val + 1;
+    }, { signal: controller.signal });
+    assert.strictEqual(received, controller.signal);
   });
 
-  test('should retrieve indexed state by ID', async () => {
-    const state = new Understate({ initial: 0, index: true });
-    await state.set(val => val + 1);
-    const id = state._getId();
-    await state.set(val => val + 1);
-
-    // Get the indexed state
-    const indexedValue = await state.get(id);
-    assert.strictEqual(indexedValue, 1);
+  test('should not invoke the mutator when the signal is already aborted', async () => {
+    const state = new Understate({ initial: 0 });
+    const controller = new AbortController();
+    let called = false;
+    controller.abort('gone');
+    await assert.rejects(
+      state.set(val => {
+        called = true;
+        return val + 1;
+      }, { signal: controller.signal }),
+      { name: 'AbortError', reason: 'gone' }
+    );
+    assert.strictEqual(called, false);
+    assert.strictEqual(await state.get(), 0);
   });
 
-  test('should reject when retrieving non-existent ID', () => {
-    const state = new Understate({ initial: 0, index: true });
-    assert.rejects(
-      async () => await state.get('nonexistent'),
-      {
-        name: 'Error',
-        message: /No state found for id/
-      }
-    );
+  test('should skip a queued update aborted before its turn', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true, queue: true });
+    const controller = new AbortController();
+    const first = state.set(val => new Promise(resolve => setTimeout(() => resolve(val + 1), 10)));
+    const second = state.set(val => Promise.resolve(val + 100), { signal: controller.signal });
+    controller.abort();
+    assert.strictEqual(await first, 1);
+    await assert.rejects(second, { name: 'AbortError' });
+    assert.strictEqual(await state.get(), 1);
   });
 
-  test('should throw TypeError for empty string ID', () => {
-    const state = new Understate({ initial: 0 });
-    assert.rejects(
-      async () => await state.get(''),
-      {
-        name: 'TypeError',
-        message: /id parameter cannot be an empty string/
-      }
-    );
+  test('should drop aborted updates silently from s()', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true });
+    const controller = new AbortController();
+    state.s(val => new Promise(resolve => setTimeout(() => resolve(val + 1), 5)), { signal: controller.signal });
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(await state.get(), 0);
   });
 
-  test('should throw TypeError for invalid ID type', () => {
+  test('should throw TypeError when config.signal is not an AbortSignal', () => {
     const state = new Understate({ initial: 0 });
-    assert.rejects(
-      async () => await state.get(123),
+    assert.throws(
+      () => state.set(val => val + 1, { signal: {} }),
       {
         name: 'TypeError',
-        message: /id parameter must be a string or false/
+        message: /config.signal must be an AbortSignal/
       }
     );
   });
-
-  test('should retrieve object state', async () => {
-    const obj = { name: 'test', value: 42 };
-    const state = new Understate({ initial: obj });
-    const value = await state.get();
-    assert.deepStrictEqual(value, obj);
-  });
 });
 
 //=============================================================================
-// Subscribe Tests
+// Concurrency Policy Tests
 //=============================================================================
 
-describe('Understate.subscribe()', () => {
-  test('should add subscription callback', () => {
-    const state = new Understate({ initial: 0 });
-    const callback = () => {};
-    state.subscribe(callback);
-    assert.strictEqual(state._subscriptions.size, 1);
-    assert.ok(state._subscriptions.has(callback));
+describe('Understate.set() concurrency', () => {
+  const resolveAfter = (ms, value) => () => new Promise(resolve => {
+    setTimeout(() => resolve(value), ms);
   });
 
-  test('should call subscription on state update', async () => {
-    const state = new Understate({ initial: 0 });
-    let called = false;
-    let receivedValue = null;
-
-    state.subscribe(newValue => {
-      called = true;
-      receivedValue = newValue;
-    });
+  test('should commit only the latest update with takeLatest', async () => {
+    const state = new Understate({ initial: '', asynchronous: true, concurrency: 'takeLatest' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
 
-    await state.set(val => val + 1);
+    const first = state.set(resolveAfter(5, 'a'));
+    const second = state.set(resolveAfter(15, 'ab'));
 
-    assert.strictEqual(called, true);
-    assert.strictEqual(receivedValue, 1);
+    await assert.rejects(first, { name: 'AbortError', reason: 'superseded' });
+    assert.strictEqual(await second, 'ab');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(notified, ['ab']);
   });
 
-  test('should call multiple subscriptions', async () => {
-    const state = new Understate({ initial: 0 });
-    let count1 = 0, count2 = 0;
-
-    state.subscribe(() => count1++);
-    state.subscribe(() => count2++);
-
-    await state.set(val => val + 1);
-
-    assert.strictEqual(count1, 1);
-    assert.strictEqual(count2, 1);
+  test('should abort the signal of a superseded mutator', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true, concurrency: 'takeLatest' });
+    let firstSignal;
+    const first = state.set((val, signal) => {
+      firstSignal = signal;
+      return new Promise(resolve => setTimeout(() => resolve(1), 5));
+    });
+    state.set(resolveAfter(1, 2));
+    assert.strictEqual(firstSignal.aborted, true);
+    await assert.rejects(first, { name: 'AbortError' });
   });
 
-  test('should receive state ID when indexing', async () => {
-    const state = new Understate({ initial: 0, index: true });
-    let receivedId = null;
-
-    state.subscribe((newValue, stateId) => {
-      receivedId = stateId;
+  test('should ignore new updates while one is pending with exhaust', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true, concurrency: 'exhaust' });
+    let called = false;
+    const first = state.set(resolveAfter(10, 1));
+    const second = state.set(() => {
+      called = true;
+      return Promise.resolve(2);
     });
 
-    await state.set(val => val + 1);
-
-    assert.strictEqual(typeof receivedId, 'string');
-    assert.ok(receivedId.length > 0);
+    await assert.rejects(second, { name: 'AbortError', message: /ignored/ });
+    assert.strictEqual(await first, 1);
+    assert.strictEqual(called, false);
+    assert.strictEqual(await state.set(resolveAfter(1, 3)), 3);
   });
 
-  test('should return subscription pointer', () => {
-    const state = new Understate({ initial: 0 });
-    const pointer = state.subscribe(() => {});
+  test('should commit every update in call order with takeEvery', async () => {
+    const state = new Understate({ initial: [], asynchronous: true, concurrency: 'takeEvery' });
+    const append = (ms, item) => list => new Promise(resolve => {
+      setTimeout(() => resolve([...list, item]), ms);
+    });
+    state.set(append(15, 'a'));
+    await state.set(append(1, 'b'));
+    assert.deepStrictEqual(await state.get(), ['a', 'b']);
+  });
 
-    assert.ok(pointer);
-    assert.strictEqual(typeof pointer.unsubscribe, 'function');
-    assert.strictEqual(typeof pointer.set, 'function');
-    assert.strictEqual(typeof pointer.get, 'function');
-    assert.strictEqual(typeof pointer.subscribe, 'function');
+  test('should let a per-call policy override the instance default', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true, concurrency: 'exhaust' });
+    const first = state.set(resolveAfter(10, 1));
+    const second = state.set(resolveAfter(1, 2), { concurrency: 'takeLatest' });
+    await assert.rejects(first, { name: 'AbortError' });
+    assert.strictEqual(await second, 2);
   });
 
-  test('should throw TypeError when subscription is null', () => {
-    const state = new Understate({ initial: 0 });
+  test('should throw TypeError for an unknown policy', () => {
     assert.throws(
-      () => state.subscribe(null),
+      () => new Understate({ concurrency: 'takeSome' }),
       {
         name: 'TypeError',
-        message: /subscription parameter is required/
+        message: /concurrency parameter must be one of/
       }
     );
-  });
-
-  test('should throw TypeError when subscription is undefined', () => {
     const state = new Understate({ initial: 0 });
     assert.throws(
-      () => state.subscribe(undefined),
+      () => state.set(val => val + 1, { concurrency: 'takeSome' }),
       {
         name: 'TypeError',
-        message: /subscription parameter is required/
+        message: /config.concurrency must be one of/
       }
     );
   });
+});
 
-  test('should throw TypeError when subscription is not a function', () => {
-    const state = new Understate({ initial: 0 });
-    assert.throws(
-      () => state.subscribe('not a function'),
-      {
-        name: 'TypeError',
-        message: /subscription must be a function/
+//=============================================================================
+// Optimistic Set Tests
+//=============================================================================
+
+describe('Understate.set() optimistic', () => {
+  const settleAfter = (ms, fn) => val => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      try {
+        resolve(fn(val));
+      } catch (error) {
+        reject(error);
       }
-    );
+    }, ms);
   });
 
-  test('should allow nested subscriptions', () => {
-    const state = new Understate({ initial: 0 });
-    const parent = state.subscribe(() => {});
-    const child = parent.subscribe(() => {});
+  test('should commit and broadcast the optimistic value immediately', async () => {
+    const state = new Understate({ initial: ['a'] });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
 
-    assert.strictEqual(state._subscriptions.size, 2);
-    assert.ok(child.unsubscribe);
+    const pending = state.set(
+      settleAfter(10, list => [...list, 'b (saved)']),
+      { optimistic: list => [...list, 'b'] }
+    );
+    assert.deepStrictEqual(state._getState(), ['a', 'b']);
+
+    assert.deepStrictEqual(await pending, ['a', 'b (saved)']);
+    assert.deepStrictEqual(notified, [['a', 'b'], ['a', 'b (saved)']]);
   });
 
-  test('should not fail other subscriptions if one throws', async () => {
-    const state = new Understate({ initial: 0 });
-    let called = false;
+  test('should roll back and notify again when the mutator rejects', async () => {
+    const state = new Understate({ initial: 1 });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+
+    await assert.rejects(
+      state.set(settleAfter(5, () => {
+        throw new Error('offline');
+      }), { optimistic: 2 }),
+      { message: /Asynchronous mutator rejected - offline/ }
+    );
+    assert.strictEqual(await state.get(), 1);
+    assert.deepStrictEqual(notified, [2, 1]);
+  });
 
-    state.subscribe(() => {
-      throw new Error('Subscription error');
-    });
+  test('should re-apply unrelated updates made while pending', async () => {
+    const state = new Understate({ initial: { likes: 0, views: 0 } });
+    const pending = state.set(
+      settleAfter(10, () => {
+        throw new Error('rejected');
+      }),
+      { optimistic: s => ({ ...s, likes: s.likes + 1 }) }
+    );
+    await state.set(s => ({ ...s, views: s.views + 1 }));
+    assert.deepStrictEqual(state._getState(), { likes: 1, views: 1 });
 
-    state.subscribe(() => {
+    await assert.rejects(pending);
+    assert.deepStrictEqual(await state.get(), { likes: 0, views: 1 });
+  });
+
+  test('should replay updates made while pending on the confirmed result', async () => {
+    const state = new Understate({ initial: { likes: 0, views: 0 } });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    const pending = state.set(
+      settleAfter(10, s => ({ ...s, likes: 10 })),
+      { optimistic: s => ({ ...s, likes: s.likes + 1 }) }
+    );
+    await state.set(s => ({ ...s, views: s.views + 1 }));
+    await state.set(() => ({ likes: 3, views: 3 }));
+    assert.deepStrictEqual(state._getState(), { likes: 4, views: 3 });
+
+    // The confirmed likes come first, and the later updates are applied on top of them
+    assert.deepStrictEqual(await pending, { likes: 3, views: 3 });
+    assert.deepStrictEqual(notified, [
+      { likes: 1, views: 0 },
+      { likes: 1, views: 1 },
+      { likes: 4, views: 3 },
+      { likes: 3, views: 3 }
+    ]);
+
+    const counter = new Understate({ initial: 0 });
+    const increment = counter.set(settleAfter(5, n => n + 1), { optimistic: n => n + 1 });
+    await counter.set(n => n * 10);
+    assert.strictEqual(await increment, 10);
+  });
+
+  test('should keep the confirmed result of another optimistic update', async () => {
+    const state = new Understate({ initial: [] });
+    const failing = state.set(
+      settleAfter(20, () => {
+        throw new Error('rejected');
+      }),
+      { optimistic: list => [...list, 'x'] }
+    );
+    const succeeding = state.set(
+      settleAfter(5, list => [...list, 'y']),
+      { optimistic: list => [...list, 'y?'] }
+    );
+    assert.deepStrictEqual(state._getState(), ['x', 'y?']);
+
+    await succeeding;
+    await assert.rejects(failing);
+    assert.deepStrictEqual(await state.get(), ['y']);
+  });
+
+  test('should roll back when the update is aborted', async () => {
+    const state = new Understate({ initial: 'saved' });
+    const controller = new AbortController();
+    const pending = state.set(settleAfter(10, () => 'server'), {
+      optimistic: 'draft',
+      signal: controller.signal
+    });
+    assert.strictEqual(state._getState(), 'draft');
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.strictEqual(await state.get(), 'saved');
+  });
+});
+
+//=============================================================================
+// Retry and Timeout Tests
+//=============================================================================
+
+describe('Understate.set() retry and timeout', () => {
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should retry a rejected mutator until it succeeds', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true });
+    let calls = 0;
+    const result = await state.set(val => {
+      calls++;
+      return calls < 3 ? Promise.reject(new Error('flaky')) : Promise.resolve(val + calls);
+    }, { retry: { count: 3, delay: 0 } });
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(result, 3);
+  });
+
+  test('should reject once the retries are exhausted', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true });
+    let calls = 0;
+    await assert.rejects(
+      state.set(() => {
+        calls++;
+        return Promise.reject(new Error('down'));
+      }, { retry: { count: 2, delay: 0 } }),
+      { message: /Asynchronous mutator rejected - down/ }
+    );
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(await state.get(), 0);
+  });
+
+  test('should only retry errors accepted by retryIf', async () => {
+    const state = new Understate({ initial: 0, asynchronous: true });
+    let calls = 0;
+    await assert.rejects(state.set(() => {
+      calls++;
+      return Promise.reject(new Error('fatal'));
+    }, { retry: { count: 5, delay: 0, retryIf: error => error.message !== 'fatal' } }));
+    assert.strictEqual(calls, 1);
+  });
+
+  test('should wait according to the backoff strategy', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const state = new Understate({ initial: 0, asynchronous: true });
+    const attempts = [];
+    const pending = state.set(() => {
+      attempts.push(attempts.length + 1);
+      return attempts.length < 4 ? Promise.reject(new Error('flaky')) : Promise.resolve(attempts.length);
+    }, { retry: { count: 3, delay: 100, backoff: 'exponential' } });
+
+    await flush();
+    assert.deepStrictEqual(attempts, [1]);
+    t.mock.timers.tick(99);
+    await flush();
+    assert.deepStrictEqual(attempts, [1]);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.deepStrictEqual(attempts, [1, 2]);
+    t.mock.timers.tick(200);
+    await flush();
+    assert.deepStrictEqual(attempts, [1, 2, 3]);
+    t.mock.timers.tick(400);
+    assert.strictEqual(await pending, 4);
+  });
+
+  test('should reject with a TimeoutError when the mutator takes too long', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const state = new Understate({ initial: 'initial', asynchronous: true });
+    const pending = state.set(() => new Promise(resolve => setTimeout(() => resolve('late'), 1000)), { timeout: 500 });
+    t.mock.timers.tick(500);
+    await assert.rejects(pending, { name: 'TimeoutError', timeout: 500 });
+    t.mock.timers.tick(500);
+    await flush();
+    assert.strictEqual(await state.get(), 'initial');
+  });
+
+  test('should retry attempts that time out', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const state = new Understate({ initial: 0, asynchronous: true });
+    let calls = 0;
+    const pending = state.set(() => {
+      calls++;
+      return calls === 1 ? new Promise(() => {}) : Promise.resolve(calls);
+    }, { timeout: 50, retry: { count: 1, delay: 10, backoff: 'fixed' } });
+    t.mock.timers.tick(50);
+    await flush();
+    t.mock.timers.tick(10);
+    assert.strictEqual(await pending, 2);
+  });
+
+  test('should throw TypeError for invalid retry and timeout options', () => {
+    const state = new Understate({ initial: 0, asynchronous: true });
+    assert.throws(
+      () => state.set(() => Promise.resolve(1), { retry: -1 }),
+      { name: 'TypeError', message: /retry count must be a non-negative integer/ }
+    );
+    assert.throws(
+      () => state.set(() => Promise.resolve(1), { retry: { backoff: 'random' } }),
+      { name: 'TypeError', message: /retry backoff must be/ }
+    );
+    assert.throws(
+      () => state.set(() => Promise.resolve(1), { timeout: 0 }),
+      { name: 'TypeError', message: /config.timeout must be a positive number/ }
+    );
+  });
+});
+
+//=============================================================================
+// Equality Check Tests
+//=============================================================================
+
+describe('Understate.set() with equality checks', () => {
+  test('should skip results identical to the current state', async () => {
+    const state = new Understate({ initial: 1, index: true, equals: 'identity' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    const id = state.id();
+    const size = state._indexed.size;
+
+    assert.strictEqual(await state.set(val => val), UNCHANGED);
+    assert.strictEqual(state.id(), id);
+    assert.strictEqual(state._indexed.size, size);
+    assert.deepStrictEqual(notified, []);
+
+    assert.strictEqual(await state.set(val => val + 1), 2);
+    assert.deepStrictEqual(notified, [2]);
+  });
+
+  test('should compare shallowly', async () => {
+    const state = new Understate({ initial: { a: 1, b: [1] }, equals: 'shallow' });
+    const initial = state.peek();
+    assert.strictEqual(await state.set(s => ({ ...s })), UNCHANGED);
+    assert.strictEqual(state.peek(), initial);
+    assert.deepStrictEqual(await state.set(s => ({ ...s, b: [1] })), { a: 1, b: [1] });
+  });
+
+  test('should compare deeply', async () => {
+    const state = new Understate({ initial: { user: { tags: ['a'], joined: new Date(0) } }, equals: 'deep' });
+    assert.strictEqual(await state.set(() => ({ user: { tags: ['a'], joined: new Date(0) } })), UNCHANGED);
+    assert.notStrictEqual(await state.set(() => ({ user: { tags: ['b'], joined: new Date(0) } })), UNCHANGED);
+  });
+
+  test('should accept a custom comparator per call', async () => {
+    const state = new Understate({ initial: { id: 1, fetchedAt: 0 } });
+    const sameId = (previous, next) => previous.id === next.id;
+    assert.strictEqual(await state.set(s => ({ ...s, fetchedAt: 1 }), { equals: sameId }), UNCHANGED);
+    assert.deepStrictEqual(await state.set(s => ({ ...s, fetchedAt: 1 })), { id: 1, fetchedAt: 1 });
+  });
+
+  test('should apply to asynchronous results', async () => {
+    const state = new Understate({ initial: 'same', asynchronous: true, equals: 'identity' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    assert.strictEqual(await state.set(val => Promise.resolve(val)), UNCHANGED);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should skip a batch that ends where it started', async () => {
+    const state = new Understate({ initial: 0, equals: 'identity' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    const id = state.id();
+    await state.batch(() => {
+      state.set(val => val + 1);
+      state.set(val => val - 1);
+    });
+    assert.strictEqual(state.id(), id);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should throw TypeError for an unknown equality check', () => {
+    assert.throws(
+      () => new Understate({ equals: 'strict' }),
+      { name: 'TypeError', message: /equals parameter must be one of/ }
+    );
+    const state = new Understate({ initial: 0 });
+    assert.throws(
+      () => state.set(val => val, { equals: 3 }),
+      { name: 'TypeError', message: /config.equals must be one of/ }
+    );
+  });
+});
+
+//=============================================================================
+// Draft and Patch Tests
+//=============================================================================
+
+describe('produce() and applyPatches()', () => {
+  test('should produce a new state while leaving the base untouched', () => {
+    const base = { todos: [{ text: 'a', done: false }, { text: 'b', done: false }], filter: 'all' };
+    const [next] = produce(base, draft => {
+      draft.todos[0].done = true;
+    });
+    assert.deepStrictEqual(next.todos[0], { text: 'a', done: true });
+    assert.strictEqual(base.todos[0].done, false);
+    assert.strictEqual(next.todos[1], base.todos[1]);
+  });
+
+  test('should return the base itself when nothing changed', () => {
+    const base = { count: 1 };
+    const [next, patches, inversePatches] = produce(base, draft => {
+      draft.count = 1;
+    });
+    assert.strictEqual(next, base);
+    assert.deepStrictEqual(patches, []);
+    assert.deepStrictEqual(inversePatches, []);
+  });
+
+  test('should generate RFC 6902 patches and their inverse', () => {
+    const base = { todos: [{ text: 'a', done: false }], meta: { 'a/b~c': 1, stale: true } };
+    const [next, patches, inversePatches] = produce(base, draft => {
+      draft.todos[0].done = true;
+      draft.todos.push({ text: 'b', done: false });
+      draft.meta['a/b~c'] = 2;
+      delete draft.meta.stale;
+    });
+    assert.deepStrictEqual(patches, [
+      { op: 'replace', path: '/todos/0/done', value: true },
+      { op: 'add', path: '/todos/1', value: { text: 'b', done: false } },
+      { op: 'replace', path: '/meta/a~1b~0c', value: 2 },
+      { op: 'remove', path: '/meta/stale' }
+    ]);
+    assert.deepStrictEqual(inversePatches, [
+      { op: 'add', path: '/meta/stale', value: true },
+      { op: 'replace', path: '/meta/a~1b~0c', value: 1 },
+      { op: 'remove', path: '/todos/1' },
+      { op: 'replace', path: '/todos/0/done', value: false }
+    ]);
+    assert.deepStrictEqual(applyPatches(base, patches), next);
+    assert.deepStrictEqual(applyPatches(next, inversePatches), base);
+  });
+
+  test('should round-trip array removals', () => {
+    const base = [1, 2, 3, 4];
+    const [next, patches, inversePatches] = produce(base, draft => {
+      draft.splice(1, 2);
+    });
+    assert.deepStrictEqual(next, [1, 4]);
+    assert.deepStrictEqual(applyPatches(base, patches), next);
+    assert.deepStrictEqual(applyPatches(next, inversePatches), base);
+  });
+
+  test('should replace the root when the recipe returns a value', () => {
+    const [next, patches, inversePatches] = produce({ a: 1 }, () => ({ b: 2 }));
+    assert.deepStrictEqual(next, { b: 2 });
+    assert.deepStrictEqual(patches, [{ op: 'replace', path: '', value: { b: 2 } }]);
+    assert.deepStrictEqual(inversePatches, [{ op: 'replace', path: '', value: { a: 1 } }]);
+  });
+
+  test('should throw when the recipe both modifies the draft and returns a value', () => {
+    assert.throws(
+      () => produce({ a: 1 }, draft => {
+        draft.a = 2;
+        return { a: 3 };
+      }),
+      /either modify its draft or return a new value/
+    );
+  });
+
+  test('should resolve with the tuple for asynchronous recipes', async () => {
+    const [next, patches] = await produce({ items: [] }, async draft => {
+      await Promise.resolve();
+      draft.items.push('x');
+    });
+    assert.deepStrictEqual(next, { items: ['x'] });
+    assert.deepStrictEqual(patches, [{ op: 'add', path: '/items/0', value: 'x' }]);
+  });
+
+  test('should revoke drafts once the recipe has finished', () => {
+    var leaked;
+    produce({ nested: { value: 1 } }, draft => {
+      leaked = draft.nested;
+    });
+    assert.throws(() => {
+      leaked.value = 2;
+    }, TypeError);
+  });
+
+  test('should reject unsupported patch operations', () => {
+    assert.throws(
+      () => applyPatches({}, [{ op: 'move', from: '/a', path: '/b' }]),
+      { name: 'TypeError', message: /Unsupported operation "move"/ }
+    );
+    assert.throws(
+      () => applyPatches({}, 'nope'),
+      { name: 'TypeError', message: /patches must be an array/ }
+    );
+  });
+});
+
+describe('Understate.set() in draft mode', () => {
+  test('should let mutators modify a draft', async () => {
+    const initial = { todos: [{ text: 'a', done: false }] };
+    const state = new Understate({ initial, draft: true });
+    const result = await state.set(draft => {
+      draft.todos[0].done = true;
+    });
+    assert.deepStrictEqual(result, { todos: [{ text: 'a', done: true }] });
+    assert.strictEqual(initial.todos[0].done, false);
+  });
+
+  test('should enable draft mode per call', async () => {
+    const state = new Understate({ initial: { count: 0 } });
+    await state.set(draft => {
+      draft.count++;
+    }, { draft: true });
+    assert.deepStrictEqual(state.peek(), { count: 1 });
+  });
+
+  test('should report patches to instance and per-call listeners', async () => {
+    const calls = [];
+    const state = new Understate({
+      initial: { count: 0 },
+      draft: true,
+      onPatches: (patches, inversePatches) => calls.push(['instance', patches, inversePatches])
+    });
+    await state.set(draft => {
+      draft.count = 5;
+    }, { onPatches: patches => calls.push(['call', patches]) });
+    assert.deepStrictEqual(calls, [
+      ['instance', [{ op: 'replace', path: '/count', value: 5 }], [{ op: 'replace', path: '/count', value: 0 }]],
+      ['call', [{ op: 'replace', path: '/count', value: 5 }]]
+    ]);
+  });
+
+  test('should not report patches for no-op or failed updates', async () => {
+    const calls = [];
+    const state = new Understate({ initial: { count: 0 }, draft: true, onPatches: patches => calls.push(patches) });
+    await state.set(draft => {
+      draft.count = 0;
+    });
+    await state.set(draft => {
+      draft.count = 1;
+      return Promise.reject(new Error('offline'));
+    }, { asynchronous: true }).catch(() => {});
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(state.peek(), { count: 0 });
+  });
+
+  test('should support asynchronous draft mutators', async () => {
+    const state = new Understate({ initial: { items: [] }, draft: true, asynchronous: true });
+    const calls = [];
+    await state.set(async draft => {
+      await Promise.resolve();
+      draft.items.push('loaded');
+    }, { onPatches: patches => calls.push(patches) });
+    assert.deepStrictEqual(state.peek(), { items: ['loaded'] });
+    assert.deepStrictEqual(calls, [[{ op: 'add', path: '/items/0', value: 'loaded' }]]);
+  });
+
+  test('should throw TypeError for invalid draft options', () => {
+    assert.throws(
+      () => new Understate({ draft: 'yes' }),
+      { name: 'TypeError', message: /draft parameter must be a boolean/ }
+    );
+    assert.throws(
+      () => new Understate({ onPatches: true }),
+      { name: 'TypeError', message: /onPatches parameter must be a function/ }
+    );
+    const state = new Understate({ initial: {} });
+    assert.throws(
+      () => state.set(val => val, { draft: 1 }),
+      { name: 'TypeError', message: /config.draft must be a boolean/ }
+    );
+    assert.throws(
+      () => state.set(val => val, { onPatches: 'log' }),
+      { name: 'TypeError', message: /config.onPatches must be a function/ }
+    );
+  });
+});
+
+//=============================================================================
+// Strict Mode Tests
+//=============================================================================
+
+describe('Understate strict mode', () => {
+  test('should deep-freeze the initial and every committed state', async () => {
+    const state = new Understate({ initial: { todos: [{ text: 'a' }] }, strict: true });
+    assert.ok(Object.isFrozen(state.peek().todos[0]));
+    await state.set(s => ({ ...s, todos: [...s.todos, { text: 'b' }] }));
+    assert.ok(Object.isFrozen(state.peek()));
+    assert.ok(Object.isFrozen(state.peek().todos[1]));
+  });
+
+  test('should reject mutators that modify their state in place, naming the call', () => {
+    const state = new Understate({ initial: { todos: [] }, strict: true });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    const addTodo = s => {
+      s.todos.push('a');
+      return s;
+    };
+    assert.throws(
+      () => state.set(addTodo),
+      error => {
+        assert.strictEqual(error.name, 'StrictModeError');
+        assert.strictEqual(error.violation, 'mutation');
+        assert.match(error.message, /Mutator "addTodo" \(set\(\) called at .*core\.test\.js:\d+:\d+\) modified the state it was passed in place/);
+        return true;
+      }
+    );
+    assert.deepStrictEqual(state.peek(), { todos: [] });
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should detect in-place changes freezing cannot prevent', () => {
+    const state = new Understate({ initial: { tags: new Map() }, strict: true });
+    assert.throws(
+      () => state.set(s => {
+        s.tags.set('urgent', true);
+        return { ...s };
+      }),
+      { name: 'StrictModeError', message: /modified the state it was passed in place/ }
+    );
+  });
+
+  test('should keep indexed snapshots intact', async () => {
+    const state = new Understate({ initial: { count: 0 }, index: true, strict: true });
+    await state.set(s => ({ count: s.count + 1 }));
+    const id = state.id();
+    assert.throws(() => state.set(s => {
+      s.count = 99;
+      return s;
+    }), { name: 'StrictModeError' });
+    assert.deepStrictEqual(await state.get(id), { count: 1 });
+  });
+
+  test('should reject asynchronous mutators that modify their state', async () => {
+    const state = new Understate({ initial: { items: [] }, asynchronous: true, strict: true });
+    await assert.rejects(
+      state.set(async s => {
+        s.items.push(1);
+        return s;
+      }),
+      { name: 'StrictModeError', violation: 'mutation' }
+    );
+  });
+
+  test('should flag nondeterministic mutators when requested', async () => {
+    const state = new Understate({ initial: { roll: 0 }, strict: { determinism: true } });
+    const roll = s => ({ ...s, roll: Math.random() });
+    assert.throws(
+      () => state.set(roll),
+      { name: 'StrictModeError', violation: 'nondeterminism', message: /Mutator "roll" .* returned different results/ }
+    );
+    assert.deepStrictEqual(await state.set(s => ({ ...s, roll: 6 })), { roll: 6 });
+  });
+
+  test('should not run mutators twice without the determinism check', async () => {
+    const state = new Understate({ initial: 0, strict: true });
+    let calls = 0;
+    await state.set(val => {
+      calls++;
+      return val + 1;
+    });
+    assert.strictEqual(calls, 1);
+  });
+
+  test('should throw TypeError for an invalid strict option', () => {
+    assert.throws(
+      () => new Understate({ strict: 'on' }),
+      { name: 'TypeError', message: /strict parameter must be a boolean or an options object/ }
+    );
+    assert.throws(
+      () => new Understate({ strict: { determinism: 1 } }),
+      { name: 'TypeError', message: /strict.determinism must be a boolean/ }
+    );
+  });
+});
+
+//=============================================================================
+// s() Method Tests (Chainable Set)
+//=============================================================================
+
+describe('Understate.s()', () => {
+  test('should update state and return instance', () => {
+    const state = new Understate({ initial: 0 });
+    const result = state.s(val => val + 1);
+    assert.strictEqual(result, state);
+  });
+
+  test('should allow method chaining', async () => {
+    const state = new Understate({ initial: 1 });
+    state
+      .s(val => val + 1)
+      .s(val => val * 2)
+      .s(val => val + 3);
+
+    // Give time for async operations
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const value = await state.get();
+    assert.strictEqual(value, 7); // ((1 + 1) * 2) + 3 = 7
+  });
+
+  test('should throw TypeError when mutator is not a function', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(
+      () => state.s(42),
+      {
+        name: 'TypeError',
+        message: /mutator must be a function/
+      }
+    );
+  });
+
+  test('should chain with get', async () => {
+    const state = new Understate({ initial: 10 });
+    const result = state.s(val => val * 2);
+    // Give time for async operation
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const value = await result.get();
+    assert.strictEqual(value, 20);
+  });
+});
+
+//=============================================================================
+// Schema Validation Tests
+//=============================================================================
+
+describe('Understate schema option', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 10, pattern: '^[A-Z]' },
+      age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+      role: { enum: ['admin', 'user'] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+      address: {
+        type: ['object', 'null'],
+        properties: { city: { type: 'string' } },
+        additionalProperties: { type: 'number' }
+      }
+    }
+  };
+  const valid = { name: 'Ada', age: 36, role: 'admin', tags: ['math'], address: null };
+
+  test('should commit states matching the schema', async () => {
+    const state = new Understate({ initial: valid, schema });
+    const next = { name: 'Grace', tags: [], address: { city: 'Arlington', zip: 22201 } };
+    assert.deepStrictEqual(await state.set(() => next), next);
+    assert.strictEqual(state.peek(), next);
+  });
+
+  test('should reject with every failing path and leave the state untouched', async () => {
+    const state = new Understate({ initial: valid, schema });
+    const notified = [];
+    state.subscribe(value => notified.push(value));
+
+    await assert.rejects(
+      state.set(() => ({
+        name: 'ada',
+        age: 1.5,
+        role: 'guest',
+        tags: ['a', 2, 'c'],
+        address: { city: 7, zip: '22201' },
+        extra: true
+      })),
+      error => {
+        assert.strictEqual(error.name, 'ValidationError');
+        assert.match(error.message, /^set\(\): New state does not match the schema - \/name must match/);
+        assert.deepStrictEqual(error.errors, [
+          { path: '/name', message: 'must match the pattern ^[A-Z]' },
+          { path: '/age', message: 'must be of type integer, received number' },
+          { path: '/role', message: 'must be one of "admin", "user"' },
+          { path: '/tags', message: 'must have at most 2 items, received 3' },
+          { path: '/tags/1', message: 'must be of type string, received number' },
+          { path: '/address/city', message: 'must be of type string, received number' },
+          { path: '/address/zip', message: 'must be of type number, received string' },
+          { path: '/extra', message: 'is not allowed' }
+        ]);
+        return true;
+      }
+    );
+    await assert.rejects(state.set(() => ({ name: 'Ada' })), {
+      errors: [{ path: '/tags', message: 'is required' }]
+    });
+    await assert.rejects(state.set(() => 'Ada'), {
+      message: /\(root\) must be of type object, received string/
+    });
+
+    assert.strictEqual(state.peek(), valid);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should check states after middleware ran', async () => {
+    const state = new Understate({ initial: 1, schema: { type: 'number', maximum: 10 } });
+    state.use((context, next) => {
+      context.state = context.state * 10;
+      return next();
+    });
+    await assert.rejects(state.set(() => 2), { name: 'ValidationError' });
+    assert.strictEqual(state.peek(), 1);
+  });
+
+  test('should check asynchronous and optimistic states', async () => {
+    const state = new Understate({ initial: 1, schema: { type: 'number' } });
+
+    await assert.rejects(state.set(() => Promise.resolve('2'), { asynchronous: true }), { name: 'ValidationError' });
+    await assert.rejects(state.set(() => 2, { optimistic: 'two' }), { name: 'ValidationError' });
+    assert.strictEqual(state.peek(), 1);
+
+    const pending = state.set(() => Promise.resolve('3'), { asynchronous: true, optimistic: 3 });
+    assert.strictEqual(state.peek(), 3);
+    await assert.rejects(pending, { name: 'ValidationError' });
+    assert.strictEqual(state.peek(), 1);
+  });
+
+  test('should roll back a batch when a state does not match', async () => {
+    const state = new Understate({ initial: 0, schema: { type: 'integer', minimum: 0 } });
+    await assert.rejects(state.batch(() => {
+      state.set(() => 5);
+      return state.set(() => -1);
+    }), { message: /Transaction rolled back - set\(\): New state does not match the schema - \(root\) must be at least 0/ });
+    assert.strictEqual(state.peek(), 0);
+  });
+
+  test('should check the initial state', async () => {
+    const schema = { type: 'object', required: ['name'] };
+    assert.throws(
+      () => new Understate({ initial: { age: 36 }, schema }),
+      { name: 'TypeError', message: /^Understate\(\): initial state does not match the schema - \/name is required/ }
+    );
+
+    const lazy = new Understate({ initial: () => ({ age: 36 }), schema });
+    assert.strictEqual(lazy.peek(), undefined);
+    await assert.rejects(lazy.ready(), { name: 'ValidationError', message: /^Understate\(\): Initial state does not match the schema/ });
+
+    const loaded = new Understate({ initial: Promise.resolve({ age: 36 }), schema });
+    await assert.rejects(loaded.ready(), { name: 'ValidationError', message: /^Understate\(\): Initial state does not match the schema/ });
+    assert.deepStrictEqual(new Understate({ initial: () => ({ name: 'Ada' }), schema }).peek(), { name: 'Ada' });
+  });
+
+  test('should reject malformed schemas', () => {
+    assert.throws(() => new Understate({ schema: 'object' }), { name: 'TypeError', message: /schema at "#" must be an object/ });
+    assert.throws(
+      () => new Understate({ schema: { properties: { a: { type: 'text' } } } }),
+      { name: 'TypeError', message: /schema at "#\/properties\/a" has an unknown type "text"/ }
+    );
+    assert.throws(() => new Understate({ schema: { pattern: '(' } }), { name: 'TypeError', message: /invalid pattern/ });
+    assert.throws(() => new Understate({ schema: { required: 'name' } }), { name: 'TypeError', message: /required list/ });
+  });
+});
+
+//=============================================================================
+// Batch Tests
+//=============================================================================
+
+describe('Understate.batch()', () => {
+  test('should notify subscribers once with the final state', async () => {
+    const state = new Understate({ initial: { count: 0, total: 0 } });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+
+    const result = await state.batch(() => {
+      state.set(s => ({ ...s, count: s.count + 1 }));
+      state.set(s => ({ ...s, count: s.count + 1 }));
+      state.set(s => ({ ...s, total: s.count * 5 }));
+    });
+
+    assert.deepStrictEqual(result, { count: 2, total: 10 });
+    assert.deepStrictEqual(notified, [{ count: 2, total: 10 }]);
+  });
+
+  test('should generate and index a single ID', async () => {
+    const state = new Understate({ initial: 0 });
+    const ids = [];
+    state.subscribe((val, id) => ids.push(id));
+    const before = state.id();
+
+    await state.batch(() => {
+      state.set(val => val + 1, { index: true });
+      assert.strictEqual(state.id(), before);
+      state.set(val => val + 1, { index: true });
+    });
+
+    assert.strictEqual(ids.length, 1);
+    assert.notStrictEqual(state.id(), before);
+    assert.strictEqual(state._indexed.size, 1);
+    assert.strictEqual(await state.get(ids[0]), 2);
+  });
+
+  test('should roll back every update when a mutator throws', async () => {
+    const state = new Understate({ initial: 1 });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    const before = state.id();
+
+    await assert.rejects(
+      state.batch(() => {
+        state.set(val => val + 1);
+        try {
+          state.set(() => {
+            throw new Error('invalid');
+          });
+        } catch (error) {
+          // Swallowing the error does not save the batch
+        }
+        state.set(val => val + 1);
+      }),
+      { message: /Transaction rolled back - set\(\): Mutator function threw an error - invalid/ }
+    );
+
+    assert.strictEqual(await state.get(), 1);
+    assert.strictEqual(state.id(), before);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should wait for a returned promise and roll back on rejection', async () => {
+    const state = new Understate({ initial: [] });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+
+    await state.batch(async () => {
+      state.set(list => [...list, 'a']);
+      await state.set(list => Promise.resolve([...list, 'b']), { asynchronous: true });
+    });
+    assert.deepStrictEqual(notified, [['a', 'b']]);
+
+    await assert.rejects(state.batch(async () => {
+      state.set(list => [...list, 'c']);
+      await state.set(() => Promise.reject(new Error('offline')), { asynchronous: true });
+    }), { message: /Transaction rolled back/ });
+    assert.deepStrictEqual(await state.get(), ['a', 'b']);
+    assert.strictEqual(notified.length, 1);
+  });
+
+  test('should include updates that commit after fn returns', async () => {
+    const state = new Understate({ initial: [] });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+
+    // Queued behind an update that started before the batch
+    let release;
+    const before = state.set(list => new Promise(resolve => {
+      release = () => resolve([...list, 'before']);
+    }), { asynchronous: true, queue: true });
+    const batched = state.batch(() => {
+      state.set(list => [...list, 'queued'], { queue: true });
+      state.set(list => [...list, 'again'], { queue: true });
+    });
+    release();
+    await before;
+    assert.deepStrictEqual(await batched, ['before', 'queued', 'again']);
+
+    // An asynchronous mutator fn does not wait for
+    await state.batch(() => {
+      state.set(list => [...list, 'sync']);
+      state.set(list => Promise.resolve([...list, 'async']), { asynchronous: true });
+    });
+    // The update the queued ones waited on committed while the batch was open, so it joined it
+    assert.deepStrictEqual(notified, [
+      ['before', 'queued', 'again'],
+      ['before', 'queued', 'again', 'sync', 'async']
+    ]);
+  });
+
+  test('should roll back when an update nobody awaited fails', async () => {
+    const state = new Understate({ initial: 1 });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    let update;
+
+    await assert.rejects(state.batch(() => {
+      state.set(val => val + 1);
+      update = state.set(() => Promise.reject(new Error('offline')), { asynchronous: true });
+    }), { message: /Transaction rolled back - set\(\): Asynchronous mutator rejected - offline/ });
+    await assert.rejects(update, { message: /offline/ });
+
+    assert.strictEqual(await state.get(), 1);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should roll back the children of a combined store', async () => {
+    const a = new Understate({ initial: 1 });
+    const b = new Understate({ initial: 2 });
+    const root = Understate.combine({ a, b });
+    const notified = [];
+    a.subscribe(val => notified.push(['a', val]));
+    root.subscribe(val => notified.push(['root', val]));
+    const before = a.id();
+
+    await assert.rejects(root.batch(() => {
+      root.set(state => ({ ...state, a: 5 }));
+      throw new Error('invalid');
+    }), { message: /Transaction rolled back - invalid/ });
+
+    assert.deepStrictEqual(root.peek(), { a: 1, b: 2 });
+    assert.strictEqual(a.peek(), 1);
+    assert.strictEqual(a.id(), before);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should notify the children of a combined store once it completes', async () => {
+    const a = new Understate({ initial: 1 });
+    const b = new Understate({ initial: 2 });
+    const root = Understate.combine({ a, b });
+    const notified = [];
+    a.subscribe(val => notified.push(['a', val]));
+    root.subscribe(val => notified.push(['root', val]));
+
+    await root.batch(() => {
+      root.set(state => ({ ...state, a: 5 }));
+      assert.deepStrictEqual(notified, []);
+      root.set(state => ({ ...state, a: state.a + 1 }));
+    });
+
+    assert.strictEqual(a.peek(), 6);
+    assert.deepStrictEqual(notified, [['a', 6], ['root', { a: 6, b: 2 }]]);
+  });
+
+  test('should join an outer batch when nested', async () => {
+    const state = new Understate({ initial: 0 });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+
+    await state.transaction(() => {
+      state.set(val => val + 1);
+      state.batch(() => state.set(val => val + 1));
+    });
+    assert.deepStrictEqual(notified, [2]);
+  });
+
+  test('should not notify when nothing was set', async () => {
+    const state = new Understate({ initial: 'same' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    assert.strictEqual(await state.batch(() => {}), 'same');
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should throw TypeError when fn is not a function', () => {
+    const state = new Understate();
+    assert.throws(
+      () => state.batch('nope'),
+      { name: 'TypeError', message: /fn must be a function/ }
+    );
+  });
+});
+
+//=============================================================================
+// Middleware Tests
+//=============================================================================
+
+describe('Understate.use()', () => {
+  test('should run middleware around the commit, outermost first', async () => {
+    const state = new Understate({ initial: 1 });
+    const order = [];
+    state
+      .use((context, next) => {
+        order.push(['outer before', context.previous, context.state]);
+        const committed = next();
+        order.push(['outer after', committed, state.peek()]);
+      })
+      .use((context, next) => {
+        order.push(['inner before']);
+        next();
+        order.push(['inner after']);
+      });
+
+    await state.set(val => val + 1);
+    assert.deepStrictEqual(order, [
+      ['outer before', 1, 2],
+      ['inner before'],
+      ['inner after'],
+      ['outer after', 2, 2]
+    ]);
+  });
+
+  test('should expose the mutator and config', async () => {
+    const state = new Understate({ initial: 0 });
+    const seen = [];
+    state.use((context, next) => {
+      seen.push([context.store, context.mutator.name, context.config.index]);
+      return next();
+    });
+    const increment = val => val + 1;
+    await state.set(increment, { index: true });
+    assert.deepStrictEqual(seen, [[state, 'increment', true]]);
+  });
+
+  test('should let middleware transform the result', async () => {
+    const state = new Understate({ initial: 0 });
+    state.use((context, next) => {
+      context.state = Math.max(0, context.state);
+      return next();
+    });
+    assert.strictEqual(await state.set(val => val - 5), 0);
+    assert.strictEqual(state.peek(), 0);
+  });
+
+  test('should let middleware veto an update', async () => {
+    const state = new Understate({ initial: 'draft' });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    state.use((context, next) => {
+      if (context.state !== 'forbidden') {
+        return next();
+      }
+    });
+
+    assert.strictEqual(await state.set(() => 'forbidden'), UNCHANGED);
+    assert.strictEqual(state.peek(), 'draft');
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should refuse a next() called after the middleware has returned', async () => {
+    const state = new Understate({ initial: 1 });
+    const notified = [];
+    state.subscribe(val => notified.push(val));
+    var late;
+    state.use(async (context, next) => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      try {
+        next();
+      } catch (error) {
+        late = error;
+      }
+    });
+
+    assert.strictEqual(await state.set(() => 5), UNCHANGED);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.match(late.message, /use\(\): next\(\) must be called synchronously/);
+    assert.strictEqual(state.peek(), 1);
+    assert.deepStrictEqual(notified, []);
+  });
+
+  test('should reject with the error a middleware throws', async () => {
+    const state = new Understate({ initial: 1, asynchronous: true });
+    class RangeProblem extends Error {}
+    state.use(context => {
+      throw new RangeProblem(`Rejected ${context.state}`);
+    });
+    await assert.rejects(state.set(val => Promise.resolve(val + 1)), error => error instanceof RangeProblem);
+    assert.strictEqual(state.peek(), 1);
+  });
+
+  test('should roll back an optimistic update the middleware vetoes', async () => {
+    const state = new Understate({ initial: ['a'] });
+    state.use((context, next) => context.state.length < 3 ? next() : undefined);
+    const pending = state.set(list => Promise.resolve([...list, 'b', 'c']), { optimistic: list => [...list, 'b'] });
+    assert.deepStrictEqual(state.peek(), ['a', 'b']);
+    assert.strictEqual(await pending, UNCHANGED);
+    assert.deepStrictEqual(state.peek(), ['a']);
+  });
+
+  test('should let middleware observe failed updates', async () => {
+    const state = new Understate({ initial: 0 });
+    const errors = [];
+    state.use((context, next) => {
+      if (context.error) {
+        errors.push(context.error.message);
+      }
+      return next();
+    });
+    assert.throws(() => state.set(() => {
+      throw new Error('boom');
+    }), /boom/);
+    await assert.rejects(state.set(() => Promise.reject(new Error('offline')), { asynchronous: true }));
+    assert.deepStrictEqual(errors, [
+      'set(): Mutator function threw an error - boom',
+      'set(): Asynchronous mutator rejected - offline'
+    ]);
+  });
+
+  test('should roll back a batch when middleware throws', async () => {
+    const state = new Understate({ initial: 0 });
+    state.use((context, next) => {
+      if (context.state > 1) {
+        throw new Error('Too big');
+      }
+      return next();
+    });
+    await assert.rejects(state.batch(() => {
+      state.set(val => val + 1);
+      state.set(val => val + 1).catch(() => {});
+    }), /Transaction rolled back - Too big/);
+    assert.strictEqual(state.peek(), 0);
+  });
+
+  test('should throw when next() is called twice', async () => {
+    const state = new Understate({ initial: 0 });
+    state.use((context, next) => {
+      next();
+      next();
+    });
+    await assert.rejects(state.set(val => val + 1), /next\(\) was called more than once/);
+  });
+
+  test('should throw TypeError for non-function middleware', () => {
+    const state = new Understate();
+    assert.throws(() => state.use({}), { name: 'TypeError', message: /middleware must be a function/ });
+  });
+});
+
+//=============================================================================
+// History Tests
+//=============================================================================
+
+describe('undo() and redo()', () => {
+  const text = value => () => value;
+
+  test('should validate the history option', () => {
+    [0, -1, 1.5, '10', true].forEach(history => {
+      assert.throws(() => new Understate({ history }), /history parameter must be a positive integer or Infinity/);
+    });
+    assert.doesNotThrow(() => new Understate({ history: Infinity }));
+    const state = new Understate({ history: 5 });
+    assert.throws(() => state.set(text(1), { history: 'no' }), /config.history must be a boolean/);
+  });
+
+  test('should require the history option', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(() => state.undo(), /undo\(\): History is not enabled/);
+    assert.throws(() => state.redo(), /redo\(\): History is not enabled/);
+    assert.strictEqual(state.canUndo(), false);
+    assert.strictEqual(state.canRedo(), false);
+  });
+
+  test('should undo and redo updates, restoring their IDs', async () => {
+    const state = new Understate({ initial: '', history: 10 });
+    const ids = [state.id()];
+    await state.set(text('a'));
+    ids.push(state.id());
+    await state.set(text('ab'));
+
+    assert.strictEqual(state.canUndo(), true);
+    assert.strictEqual(state.canRedo(), false);
+    assert.strictEqual(await state.undo(), 'a');
+    assert.strictEqual(state.id(), ids[1]);
+    assert.strictEqual(await state.undo(), '');
+    assert.strictEqual(state.id(), ids[0]);
+    assert.strictEqual(await state.undo(), UNCHANGED);
+    assert.strictEqual(state.canUndo(), false);
+
+    assert.strictEqual(await state.redo(), 'a');
+    assert.strictEqual(await state.redo(), 'ab');
+    assert.strictEqual(await state.redo(), UNCHANGED);
+  });
+
+  test('should notify subscribers on every undo and redo', async () => {
+    const state = new Understate({ initial: 0, history: 10, index: true });
+    await state.set(value => value + 1);
+    const received = [];
+    state.subscribe((value, id) => received.push([value, id, state.canUndo(), state.canRedo()]));
+
+    const redoneId = state.id();
+    await state.undo();
+    await state.redo();
+    assert.deepStrictEqual(received.map(([value]) => value), [0, 1]);
+    assert.deepStrictEqual(received.map(([, , canUndo, canRedo]) => [canUndo, canRedo]), [[false, true], [true, false]]);
+    assert.strictEqual(received[1][1], redoneId);
+  });
+
+  test('should discard undone steps on a new update', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    await state.set(text(1));
+    await state.set(text(2));
+    await state.undo();
+    await state.set(text(3));
+    assert.strictEqual(state.canRedo(), false);
+    assert.strictEqual(await state.undo(), 1);
+  });
+
+  test('should keep only as many steps as the history depth', async () => {
+    const state = new Understate({ initial: 0, history: 2 });
+    for (const value of [1, 2, 3, 4]) {
+      await state.set(text(value));
+    }
+    assert.strictEqual(await state.undo(), 3);
+    assert.strictEqual(await state.undo(), 2);
+    assert.strictEqual(state.canUndo(), false);
+    // Only the states history still refers to are kept
+    assert.strictEqual(state._history.states.size, 3);
+  });
+
+  test('should keep history states out of the index', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    const initialId = state.id();
+    await state.set(text(1));
+    assert.strictEqual(state._indexed.size, 0);
+    await assert.rejects(state.get(initialId), /No state found for id/);
+    assert.strictEqual(await state.undo(), 0);
+    assert.strictEqual(state.id(), initialId);
+  });
+
+  test('should pass restored states through middleware', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    const seen = [];
+    var veto = false;
+    state.use((context, next) => {
+      seen.push([context.travel, context.previous, context.state]);
+      if (!veto) {
+        next();
+      }
+    });
+    await state.set(text(1));
+    await state.set(text(2));
+
+    assert.strictEqual(await state.undo(), 1);
+    assert.strictEqual(await state.redo(), 2);
+    assert.deepStrictEqual(seen.slice(2), [['undo', 2, 1], ['redo', 1, 2]]);
+
+    veto = true;
+    assert.strictEqual(await state.undo(), UNCHANGED);
+    assert.strictEqual(state.peek(), 2);
+    assert.strictEqual(state.canUndo(), true);
+    assert.strictEqual(state.canRedo(), false);
+  });
+
+  test('should commit a state middleware replaced in place of the restored step', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    await state.set(text(1));
+    await state.set(text(2));
+    const restoredId = (await state.undo(), state.id());
+    await state.redo();
+    var scale = true;
+    state.use((context, next) => {
+      if (context.travel && scale) {
+        context.state = context.state * 10;
+      }
+      next();
+    });
+
+    assert.strictEqual(await state.undo(), 10);
+    assert.notStrictEqual(state.id(), restoredId);
+    scale = false;
+    assert.strictEqual(await state.redo(), 2);
+    assert.strictEqual(await state.undo(), 10);
+    assert.strictEqual(await state.undo(), 0);
+  });
+
+  test('should reject restored states the schema refuses', async () => {
+    const state = new Understate({ initial: 1, history: 10, schema: { type: 'number' } });
+    await state.set(text(2));
+    state.use((context, next) => {
+      context.state = String(context.state);
+      next();
+    });
+    await assert.rejects(state.undo(), { name: 'ValidationError', message: /^undo\(\): Restored state does not match the schema/ });
+    assert.strictEqual(state.peek(), 2);
+    assert.strictEqual(state.canUndo(), true);
+  });
+
+  test('should not drop states indexed on purpose', async () => {
+    const state = new Understate({ initial: 0, history: 1 });
+    await state.set(text(1), { index: true });
+    const indexedId = state.id();
+    const keptId = (await state.set(text(2)), state.id(true));
+    await state.set(text(3));
+    await state.set(text(4));
+    assert.strictEqual(state.peek(indexedId), 1);
+    assert.strictEqual(state.peek(keptId), 2);
+  });
+
+  test('should leave updates made with history: false out of the history', async () => {
+    const state = new Understate({ initial: { text: '', saving: false }, history: 10 });
+    await state.set(current => ({ ...current, text: 'draft' }));
+    await state.set(current => ({ ...current, saving: true }), { history: false });
+    await state.set(current => ({ ...current, saving: false }), { history: false });
+
+    assert.deepStrictEqual(await state.undo(), { text: '', saving: false });
+    assert.strictEqual(state.canUndo(), false);
+    assert.deepStrictEqual(await state.redo(), { text: 'draft', saving: false });
+  });
+
+  test('should record a batch as one step', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    await state.batch(() => {
+      state.set(value => value + 1);
+      state.set(value => value + 1);
+    });
+    assert.strictEqual(state.peek(), 2);
+    assert.strictEqual(await state.undo(), 0);
+    assert.strictEqual(state.canUndo(), false);
+  });
+
+  test('should record the settled state of an optimistic update in its place', async () => {
+    const state = new Understate({ initial: 0, history: 10 });
+    await state.set(() => Promise.resolve(2), { optimistic: 1 });
+    assert.strictEqual(state.peek(), 2);
+    assert.strictEqual(await state.undo(), 0);
+    assert.strictEqual(state.canUndo(), false);
+  });
+
+  test('should refuse to travel in derived stores and inside batches', async () => {
+    const source = new Understate({ initial: 1, history: 5 });
+    const doubled = Understate.derive([source], value => value * 2, { history: 5 });
+    assert.throws(() => doubled.undo(), /undo\(\): Derived stores are read-only/);
+
+    await source.set(text(2));
+    await assert.rejects(source.batch(() => source.undo()), /Cannot travel through history inside a batch/);
+    assert.strictEqual(await source.undo(), 1);
+    assert.strictEqual(doubled.peek(), 2);
+  });
+
+  test('should restore the children of a combined store', async () => {
+    const todos = new Understate({ initial: [] });
+    const filter = new Understate({ initial: 'all' });
+    const root = Understate.combine({ todos, filter }, { history: 10 });
+    await todos.set(list => [...list, 'Write docs']);
+    await filter.set(text('done'));
+
+    assert.deepStrictEqual(await root.undo(), { todos: ['Write docs'], filter: 'all' });
+    assert.strictEqual(filter.peek(), 'all');
+    assert.deepStrictEqual(await root.undo(), { todos: [], filter: 'all' });
+    assert.deepStrictEqual(todos.peek(), []);
+  });
+});
+
+//=============================================================================
+// Plugin Tests
+//=============================================================================
+
+describe('Understate plugins', () => {
+  const counter = () => ({
+    name: 'counter',
+    data: () => ({ updates: 0 }),
+    methods: {
+      updates: api => api.data.updates,
+      add: (api, amount) => { api.data.updates += amount; }
+    },
+    hooks: {
+      afterSet: api => { api.data.updates += 1; }
+    }
+  });
+
+  test('should add methods backed by private per-instance data', async () => {
+    const plugin = counter();
+    const a = new Understate({ initial: 0, plugins: [plugin] });
+    const b = new Understate({ initial: 0, plugins: [plugin] });
+
+    await a.set(val => val + 1);
+    await a.set(val => val + 1);
+    a.add(10);
+    assert.strictEqual(a.updates(), 12);
+    assert.strictEqual(b.updates(), 0);
+    assert.strictEqual(a.updates, a.updates);
+    assert.ok(!Object.keys(a).some(key => a[key] && a[key].updates === 12));
+  });
+
+  test('should call hooks through the instance lifecycle', async () => {
+    const events = [];
+    const state = new Understate({
+      initial: 1,
+      index: true,
+      plugins: [{
+        name: 'recorder',
+        hooks: {
+          construct: (api, config) => events.push(['construct', api.store.peek(), config.initial]),
+          beforeSet: (api, context) => events.push(['beforeSet', context.previous, context.state]),
+          afterSet: (api, state) => events.push(['afterSet', state]),
+          subscribe: () => events.push(['subscribe']),
+          unsubscribe: () => events.push(['unsubscribe']),
+          index: (api, id, state) => events.push(['index', typeof id, state]),
+          dispose: () => events.push(['dispose'])
+        }
+      }]
+    });
+
+    const subscription = state.subscribe(() => {});
+    await state.set(val => val + 1);
+    subscription.unsubscribe();
+    state.dispose();
+
+    assert.deepStrictEqual(events, [
+      ['construct', 1, 1],
+      ['index', 'string', 1],
+      ['subscribe'],
+      ['beforeSet', 1, 2],
+      ['index', 'string', 2],
+      ['afterSet', 2],
+      ['unsubscribe'],
+      ['dispose']
+    ]);
+  });
+
+  test('should let beforeSet transform, veto or fail an update', async () => {
+    const state = new Understate({
+      initial: 0,
+      plugins: [{
+        name: 'guard',
+        hooks: {
+          beforeSet: (api, context) => {
+            if (context.state === 'invalid') throw new TypeError('Invalid');
+            if (context.state < 0) return false;
+            context.state = Math.min(context.state, 10);
+          }
+        }
+      }]
+    });
+
+    assert.strictEqual(await state.set(() => 50), 10);
+    await state.set(() => -1);
+    assert.strictEqual(state.peek(), 10);
+    await assert.rejects(state.set(() => 'invalid'), { message: /Invalid/ });
+    assert.strictEqual(state.peek(), 10);
+  });
+
+  test('should log, not throw, errors from other hooks', async () => {
+    const errors = [];
+    const original = console.error;
+    console.error = message => errors.push(message);
+    try {
+      const state = new Understate({
+        initial: 0,
+        plugins: [{ name: 'faulty', hooks: { afterSet: () => { throw new Error('boom'); } } }]
+      });
+      assert.strictEqual(await state.set(() => 1), 1);
+      assert.strictEqual(state.peek(), 1);
+    } finally {
+      console.error = original;
+    }
+    assert.match(errors[0], /Plugin "faulty" afterSet hook error - boom/);
+  });
+
+  test('should apply registered plugins to instances created afterwards', async () => {
+    const unregister = Understate.plugin({
+      name: 'test-describe',
+      methods: { describe: api => `state: ${JSON.stringify(api.store.peek())}` }
+    });
+    try {
+      const state = new Understate({ initial: { a: 1 } });
+      assert.strictEqual(state.describe(), 'state: {"a":1}');
+      assert.throws(
+        () => Understate.plugin({ name: 'test-describe' }),
+        { message: /already registered/ }
+      );
+    } finally {
+      unregister();
+    }
+    assert.strictEqual(new Understate({ initial: 1 }).describe, undefined);
+    // Unregistering twice is harmless, and the name is free again
+    unregister();
+    Understate.plugin({ name: 'test-describe' })();
+  });
+
+  test('should leave registered plugins off the stores the library creates', () => {
+    const created = [];
+    const unregister = Understate.plugin({
+      name: 'test-created',
+      hooks: { construct: api => created.push(api.store) }
+    });
+    try {
+      const source = new Understate({ initial: 1 });
+      const local = { name: 'local', methods: { local: () => true } };
+      const derived = Understate.derive([source], n => n * 2, { plugins: [local] });
+      Understate.combine({ source });
+      Understate.machine({ initial: 'idle', states: { idle: {} } });
+      Understate.resource(() => Promise.resolve(1));
+      createForm({ fields: { name: '' } });
+      assert.deepStrictEqual(created, [source]);
+      assert.strictEqual(derived.local(), true);
+    } finally {
+      unregister();
+    }
+  });
+
+  test('should reject malformed plugins and method collisions', () => {
+    assert.throws(() => Understate.plugin('counter'), { name: 'TypeError', message: /must be an object/ });
+    assert.throws(() => Understate.plugin({ name: '' }), { name: 'TypeError', message: /non-empty string/ });
+    assert.throws(
+      () => new Understate({ plugins: [{ name: 'x', hooks: { onSet: () => {} } }] }),
+      { name: 'TypeError', message: /unknown hook "onSet"/ }
+    );
+    assert.throws(
+      () => new Understate({ plugins: [{ name: 'x', methods: { set: () => {} } }] }),
+      { message: /cannot add method "set"/ }
+    );
+    assert.throws(
+      () => new Understate({ plugins: [counter(), counter()] }),
+      { message: /installed more than once/ }
+    );
+    assert.throws(() => new Understate({ plugins: {} }), { name: 'TypeError', message: /must be an array/ });
+  });
+
+  test('should detach a disposed derived store from its sources', async () => {
+    const source = new Understate({ initial: 1 });
+    const derived = Understate.derive([source], val => val * 2);
+    const seen = [];
+    derived.subscribe(val => seen.push(val));
+    derived.dispose();
+    await source.set(() => 5);
+    assert.strictEqual(derived.peek(), 2);
+    assert.deepStrictEqual(seen, []);
+  });
+});
+
+//=============================================================================
+// Get Operation Tests
+//=============================================================================
+
+describe('Understate.get()', () => {
+  test('should retrieve current state', async () => {
+    const state = new Understate({ initial: 42 });
+    const value = await state.get();
+    assert.strictEqual(value, 42);
+  });
+
+  test('should retrieve updated state', async () => {
+    const state = new Understate({ initial: 0 });
+    await state.set(val => val + 5);
+    const value = await state.get();
+    assert.strictEqual(value, 5);
+  });
+
+  test('should return Promise', () => {
+    const state = new Understate({ initial: 0 });
+    const result = state.get();
+    assert.ok(result instanceof Promise);
+  });
+
+  test('should retrieve indexed state by ID', async () => {
+    const state = new Understate({ initial: 0, index: true });
+    await state.set(val => val + 1);
+    const id = state._getId();
+    await state.set(val => val + 1);
+
+    // Get the indexed state
+    const indexedValue = await state.get(id);
+    assert.strictEqual(indexedValue, 1);
+  });
+
+  test('should reject when retrieving non-existent ID', () => {
+    const state = new Understate({ initial: 0, index: true });
+    assert.rejects(
+      async () => await state.get('nonexistent'),
+      {
+        name: 'Error',
+        message: /No state found for id/
+      }
+    );
+  });
+
+  test('should throw TypeError for empty string ID', () => {
+    const state = new Understate({ initial: 0 });
+    assert.rejects(
+      async () => await state.get(''),
+      {
+        name: 'TypeError',
+        message: /id parameter cannot be an empty string/
+      }
+    );
+  });
+
+  test('should throw TypeError for invalid ID type', () => {
+    const state = new Understate({ initial: 0 });
+    assert.rejects(
+      async () => await state.get(123),
+      {
+        name: 'TypeError',
+        message: /id parameter must be a string or false/
+      }
+    );
+  });
+
+  test('should retrieve object state', async () => {
+    const obj = { name: 'test', value: 42 };
+    const state = new Understate({ initial: obj });
+    const value = await state.get();
+    assert.deepStrictEqual(value, obj);
+  });
+});
+
+//=============================================================================
+// Synchronous Read Tests
+//=============================================================================
+
+describe('Understate.peek()', () => {
+  test('should return the current state synchronously', () => {
+    const state = new Understate({ initial: { count: 1 } });
+    assert.deepStrictEqual(state.peek(), { count: 1 });
+    state.set(s => ({ count: s.count + 1 }));
+    assert.deepStrictEqual(state.peek(), { count: 2 });
+  });
+
+  test('should return an indexed state by ID', async () => {
+    const state = new Understate({ initial: 'first', index: true });
+    const firstId = state.id();
+    await state.set(() => 'second');
+    assert.strictEqual(state.peek(firstId), 'first');
+    assert.strictEqual(state.peek(firstId), await state.get(firstId));
+  });
+
+  test('should throw the error get() rejects with for an unknown ID', async () => {
+    const state = new Understate({ initial: 0 });
+    let thrown;
+    try {
+      state.peek('missing');
+    } catch (error) {
+      thrown = error;
+    }
+    const rejected = await state.get('missing').then(() => undefined, error => error);
+
+    assert.ok(thrown instanceof Error);
+    assert.ok(rejected instanceof Error);
+    assert.strictEqual(thrown.name, rejected.name);
+    assert.strictEqual(thrown.message, rejected.message);
+    assert.match(thrown.message, /No state found for id "missing"/);
+  });
+
+  test('should throw TypeError for invalid IDs', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(() => state.peek(42), { name: 'TypeError', message: /id parameter must be a string/ });
+    assert.throws(() => state.peek(''), { name: 'TypeError', message: /cannot be an empty string/ });
+  });
+});
+
+describe('Understate.getSnapshot()', () => {
+  test('should return the current state and its ID', () => {
+    const state = new Understate({ initial: 5 });
+    const snapshot = state.getSnapshot();
+    assert.strictEqual(snapshot.state, 5);
+    assert.strictEqual(snapshot.id, state.id());
+    assert.ok(Object.isFrozen(snapshot));
+  });
+
+  test('should return the same object until the state changes', () => {
+    const state = new Understate({ initial: 5 });
+    const first = state.getSnapshot();
+    assert.strictEqual(state.getSnapshot(), first);
+    state.set(val => val + 1);
+    const second = state.getSnapshot();
+    assert.notStrictEqual(second, first);
+    assert.strictEqual(second.state, 6);
+  });
+});
+
+//=============================================================================
+// Subscribe Tests
+//=============================================================================
+
+describe('Understate.subscribe()', () => {
+  test('should add subscription callback', () => {
+    const state = new Understate({ initial: 0 });
+    const callback = () => {};
+    state.subscribe(callback);
+    assert.strictEqual(state._subscriptions.size, 1);
+    assert.ok(state._subscriptions.has(callback));
+  });
+
+  test('should call subscription on state update', async () => {
+    const state = new Understate({ initial: 0 });
+    let called = false;
+    let receivedValue = null;
+
+    state.subscribe(newValue => {
+      called = true;
+      receivedValue = newValue;
+    });
+
+    await state.set(val => val + 1);
+
+    assert.strictEqual(called, true);
+    assert.strictEqual(receivedValue, 1);
+  });
+
+  test('should call multiple subscriptions', async () => {
+    const state = new Understate({ initial: 0 });
+    let count1 = 0, count2 = 0;
+
+    state.subscribe(() => count1++);
+    state.subscribe(() => count2++);
+
+    await state.set(val => val + 1);
+
+    assert.strictEqual(count1, 1);
+    assert.strictEqual(count2, 1);
+  });
+
+  test('should receive state ID when indexing', async () => {
+    const state = new Understate({ initial: 0, index: true });
+    let receivedId = null;
+
+    state.subscribe((newValue, stateId) => {
+      receivedId = stateId;
+    });
+
+    await state.set(val => val + 1);
+
+    assert.strictEqual(typeof receivedId, 'string');
+    assert.ok(receivedId.length > 0);
+  });
+
+  test('should return subscription pointer', () => {
+    const state = new Understate({ initial: 0 });
+    const pointer = state.subscribe(() => {});
+
+    assert.ok(pointer);
+    assert.strictEqual(typeof pointer.unsubscribe, 'function');
+    assert.strictEqual(typeof pointer.set, 'function');
+    assert.strictEqual(typeof pointer.get, 'function');
+    assert.strictEqual(typeof pointer.subscribe, 'function');
+  });
+
+  test('should throw TypeError when subscription is null', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(
+      () => state.subscribe(null),
+      {
+        name: 'TypeError',
+        message: /subscription parameter is required/
+      }
+    );
+  });
+
+  test('should throw TypeError when subscription is undefined', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(
+      () => state.subscribe(undefined),
+      {
+        name: 'TypeError',
+        message: /subscription parameter is required/
+      }
+    );
+  });
+
+  test('should throw TypeError when subscription is not a function', () => {
+    const state = new Understate({ initial: 0 });
+    assert.throws(
+      () => state.subscribe('not a function'),
+      {
+        name: 'TypeError',
+        message: /subscription must be a function/
+      }
+    );
+  });
+
+  test('should allow nested subscriptions', () => {
+    const state = new Understate({ initial: 0 });
+    const parent = state.subscribe(() => {});
+    const child = parent.subscribe(() => {});
+
+    assert.strictEqual(state._subscriptions.size, 2);
+    assert.ok(child.unsubscribe);
+  });
+
+  test('should not fail other subscriptions if one throws', async () => {
+    const state = new Understate({ initial: 0 });
+    let called = false;
+
+    state.subscribe(() => {
+      throw new Error('Subscription error');
+    });
+
+    state.subscribe(() => {
       called = true;
     });
 
-    await state.set(val => val + 1);
+    await state.set(val => val + 1);
+
+    // Second subscription should still be called
+    assert.strictEqual(called, true);
+  });
+});
+
+//=============================================================================
+// Selector Tests
+//=============================================================================
+
+describe('Understate.select()', () => {
+  const initial = () => ({ user: { name: 'Ada' }, todos: [{ text: 'a', done: false }, { text: 'b', done: true }] });
+
+  test('should return the selected value', async () => {
+    const state = new Understate({ initial: initial() });
+    const name = state.select(s => s.user.name);
+    assert.strictEqual(name.peek(), 'Ada');
+    assert.strictEqual(await name.get(), 'Ada');
+  });
+
+  test('should only notify when the selected value changes', async () => {
+    const state = new Understate({ initial: initial() });
+    const calls = [];
+    state.select(s => s.user.name).subscribe((value, previous) => calls.push([value, previous]));
+
+    await state.set(s => ({ ...s, todos: [...s.todos, { text: 'c', done: false }] }));
+    assert.deepStrictEqual(calls, []);
+
+    await state.set(s => ({ ...s, user: { name: 'Grace' } }));
+    assert.deepStrictEqual(calls, [['Grace', 'Ada']]);
+  });
+
+  test('should not recompute for unrelated updates', async () => {
+    const state = new Understate({ initial: initial() });
+    let runs = 0;
+    const done = state.select(s => {
+      runs++;
+      return s.todos.filter(todo => todo.done);
+    });
+    const first = done.peek();
+
+    await state.set(s => ({ ...s, user: { name: 'Grace' } }));
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(done.peek(), first);
+
+    await state.set(s => ({ ...s, todos: s.todos.map(todo => ({ ...todo, done: true })) }));
+    assert.strictEqual(runs, 2);
+    assert.strictEqual(done.peek().length, 2);
+  });
+
+  test('should return plain state values, not proxies', () => {
+    const base = initial();
+    const state = new Understate({ initial: base });
+    assert.strictEqual(state.select(s => s.user).peek(), base.user);
+    assert.strictEqual(state.select(s => s.todos.filter(todo => todo.done)).peek()[0], base.todos[1]);
+  });
+
+  test('should recompute when a returned part of the state is replaced', async () => {
+    const state = new Understate({ initial: initial() });
+    const user = state.select(s => s.user);
+    await state.set(s => ({ ...s, user: { name: 'Grace' } }));
+    assert.deepStrictEqual(user.peek(), { name: 'Grace' });
+  });
+
+  test('should select from primitive states', async () => {
+    const state = new Understate({ initial: 1 });
+    const doubled = state.select(n => n * 2);
+    await state.set(n => n + 1);
+    assert.strictEqual(doubled.peek(), 4);
+  });
+
+  test('should treat recomputed values as unchanged by the given equality check', async () => {
+    const state = new Understate({ initial: initial() });
+    const calls = [];
+    const texts = state.select(s => s.todos.map(todo => todo.text), 'shallow');
+    const first = texts.peek();
+    texts.subscribe(value => calls.push(value));
+
+    await state.set(s => ({ ...s, todos: s.todos.map(todo => ({ ...todo, done: !todo.done })) }));
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(texts.peek(), first);
+  });
+
+  test('should unsubscribe callbacks and detach the view', async () => {
+    const state = new Understate({ initial: 0 });
+    const calls = [];
+    const view = state.select(n => n);
+    const pointer = view.subscribe(value => calls.push(value));
+
+    await state.set(n => n + 1);
+    pointer.unsubscribe();
+    await state.set(n => n + 1);
+    assert.deepStrictEqual(calls, [1]);
+
+    const size = state._subscriptions.size;
+    view.subscribe(value => calls.push(value)).unsubscribe(true);
+    assert.strictEqual(state._subscriptions.size, size - 1);
+  });
+
+  test('should subscribe through subscribe() so plugin hooks see the view', () => {
+    const events = [];
+    const state = new Understate({
+      initial: 0,
+      plugins: [{
+        name: 'watcher',
+        hooks: {
+          subscribe: () => events.push('subscribe'),
+          unsubscribe: () => events.push('unsubscribe')
+        }
+      }]
+    });
+    const view = state.select(n => n);
+    assert.deepStrictEqual(events, ['subscribe']);
+    view.unsubscribe();
+    assert.deepStrictEqual(events, ['subscribe', 'unsubscribe']);
+    assert.strictEqual(state._subscriptions.size, 0);
+  });
+
+  test('should keep the previous value and report selector errors through error()', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const state = new Understate({ initial: { items: [1, 2] } });
+    const first = state.select(s => s.items[0]);
+    const seen = [];
+    first.subscribe(value => seen.push(value));
+
+    await state.set(() => ({ items: null }));
+    assert.ok(first.error() instanceof TypeError);
+    assert.deepStrictEqual(seen, []);
+    assert.match(errors.mock.calls[0].arguments[0], /^select\(\): Selector threw an error/);
+    assert.throws(() => first.peek(), TypeError);
+    await assert.rejects(first.get(), TypeError);
+
+    await state.set(() => ({ items: [3] }));
+    assert.strictEqual(first.error(), undefined);
+    assert.strictEqual(first.peek(), 3);
+    assert.deepStrictEqual(seen, [3]);
+  });
+
+  test('should prevent selectors from modifying the state', () => {
+    const state = new Understate({ initial: { items: [] } });
+    assert.throws(
+      () => state.select(s => s.items.push(1)),
+      { message: /select\(\): Selector threw an error - select\(\): Selectors must not modify the state/ }
+    );
+  });
+
+  test('should throw TypeError for invalid arguments', () => {
+    const state = new Understate({ initial: {} });
+    assert.throws(() => state.select('user'), { name: 'TypeError', message: /selector must be a function/ });
+    assert.throws(() => state.select(s => s, 'loose'), { name: 'TypeError', message: /equals must be one of/ });
+  });
+});
+
+//=============================================================================
+// Lens Tests
+//=============================================================================
+
+describe('Understate.at()', () => {
+  const initial = () => ({
+    user: { name: 'Ada', profile: { email: 'ada@example.com', bio: '' } },
+    todos: [{ text: 'a', done: false }, { text: 'b', done: false }]
+  });
+
+  test('should read the value at dot paths, arrays and JSON Pointers', async () => {
+    const state = new Understate({ initial: initial() });
+    assert.strictEqual(state.at('user.profile.email').peek(), 'ada@example.com');
+    assert.strictEqual(state.at(['todos', 1, 'text']).peek(), 'b');
+    assert.strictEqual(state.at('/todos/0/done').peek(), false);
+    assert.strictEqual(await state.at('user.name').get(), 'Ada');
+    assert.strictEqual(state.at('user.missing.deep').peek(), undefined);
+  });
+
+  test('should write back with structural sharing', async () => {
+    const base = initial();
+    const state = new Understate({ initial: base });
+    const result = await state.at('user.profile.email').set(email => email.toUpperCase());
+
+    assert.strictEqual(result, 'ADA@EXAMPLE.COM');
+    const next = state.peek();
+    assert.strictEqual(next.user.profile.email, 'ADA@EXAMPLE.COM');
+    assert.strictEqual(base.user.profile.email, 'ada@example.com');
+    assert.strictEqual(next.todos, base.todos);
+    assert.notStrictEqual(next.user, base.user);
+  });
+
+  test('should create missing objects and arrays along the path', async () => {
+    const state = new Understate({ initial: {} });
+    await state.at('settings.theme').set(() => 'dark');
+    await state.at('/tags/0').set(() => 'new');
+    assert.deepStrictEqual(state.peek(), { settings: { theme: 'dark' }, tags: ['new'] });
+  });
+
+  test('should only notify when the slice changes', async () => {
+    const state = new Understate({ initial: initial() });
+    const calls = [];
+    state.at('user.name').subscribe((value, previous) => calls.push([value, previous]));
+
+    await state.at('todos.0.done').set(done => !done);
+    assert.deepStrictEqual(calls, []);
+    await state.at('user.name').set(() => 'Grace');
+    assert.deepStrictEqual(calls, [['Grace', 'Ada']]);
+  });
+
+  test('should compose nested lenses', async () => {
+    const state = new Understate({ initial: initial() });
+    const profile = state.at('user.profile');
+    await profile.at('bio').set(() => 'Mathematician');
+    assert.strictEqual(state.peek().user.profile.bio, 'Mathematician');
+    assert.deepStrictEqual(profile.peek(), { email: 'ada@example.com', bio: 'Mathematician' });
+  });
+
+  test('should keep concurrent updates to the rest of the state', async () => {
+    const state = new Understate({ initial: initial(), asynchronous: true });
+    let finish;
+    const pending = state.at('user.name').set(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    await state.at('todos').set(todos => Promise.resolve([...todos, { text: 'c', done: false }]));
+    finish('Grace');
+    await pending;
+    assert.strictEqual(state.peek().user.name, 'Grace');
+    assert.strictEqual(state.peek().todos.length, 3);
+  });
+
+  test('should report patches with full paths in draft mode', async () => {
+    const patches = [];
+    const state = new Understate({ initial: initial(), draft: true, onPatches: p => patches.push(...p) });
+    await state.at('todos.1').set(todo => {
+      todo.done = true;
+    });
+    await state.at('user.name').set(() => 'Grace');
+    assert.deepStrictEqual(patches, [
+      { op: 'replace', path: '/todos/1/done', value: true },
+      { op: 'replace', path: '/user/name', value: 'Grace' }
+    ]);
+  });
+
+  test('should support chaining with s()', () => {
+    const state = new Understate({ initial: { count: 0 } });
+    const count = state.at('count');
+    assert.strictEqual(count.s(n => n + 1).s(n => n + 1), count);
+    assert.strictEqual(state.peek().count, 2);
+  });
 
-    // Second subscription should still be called
-    assert.strictEqual(called, true);
+  test('should throw TypeError for invalid paths', () => {
+    const state = new Understate({ initial: {} });
+    assert.throws(() => state.at(42), { name: 'TypeError', message: /path must be a string or an array/ });
+    assert.throws(() => state.at('user..name'), { name: 'TypeError', message: /contains an empty segment/ });
+    assert.throws(() => state.at(['todos', -1]), { name: 'TypeError', message: /path segments must be strings or non-negative integers/ });
   });
 });
 
@@ -857,6 +3163,606 @@ describe('Understate subscription.unsubscribe()', () => {
   });
 });
 
+//=============================================================================
+// Derived Store Tests
+//=============================================================================
+
+describe('Understate.derive()', () => {
+  test('should compute its state from the sources', async () => {
+    const price = new Understate({ initial: 10 });
+    const quantity = new Understate({ initial: 2 });
+    const total = Understate.derive([price, quantity], (p, q) => p * q);
+    assert.strictEqual(total.peek(), 20);
+
+    await quantity.set(q => q + 1);
+    assert.strictEqual(total.peek(), 30);
+    assert.strictEqual(await total.get(), 30);
+  });
+
+  test('should recompute each store once per change in a diamond', async () => {
+    const source = new Understate({ initial: 1 });
+    const doubled = Understate.derive([source], n => n * 2);
+    const tripled = Understate.derive([source], n => n * 3);
+    const seen = [];
+    let runs = 0;
+    const sum = Understate.derive([doubled, tripled], (a, b) => {
+      runs++;
+      return a + b;
+    });
+    sum.subscribe(value => seen.push(value));
+
+    await source.set(() => 2);
+    assert.strictEqual(runs, 2);
+    assert.deepStrictEqual(seen, [10]);
+  });
+
+  test('should only notify once every derived store is up to date', async () => {
+    const source = new Understate({ initial: 1 });
+    const doubled = Understate.derive([source], n => n * 2);
+    const quadrupled = Understate.derive([doubled], n => n * 2);
+    const observed = [];
+    source.subscribe(n => observed.push([n, doubled.peek(), quadrupled.peek()]));
+    doubled.subscribe(n => observed.push([n, quadrupled.peek()]));
+
+    await source.set(() => 3);
+    assert.deepStrictEqual(observed, [[3, 6, 12], [6, 12]]);
+  });
+
+  test('should publish the result of a batch once', async () => {
+    const a = new Understate({ initial: 1 });
+    const sum = Understate.derive([a], n => n + 100);
+    const seen = [];
+    sum.subscribe(value => seen.push(value));
+    await a.batch(() => {
+      a.set(n => n + 1);
+      a.set(n => n + 1);
+    });
+    assert.deepStrictEqual(seen, [103]);
+  });
+
+  test('should skip equal results when given an equality check', async () => {
+    const user = new Understate({ initial: { name: 'Ada', visits: 0 } });
+    const name = Understate.derive([user], u => u.name, { equals: 'identity' });
+    const seen = [];
+    name.subscribe(value => seen.push(value));
+    await user.set(u => ({ ...u, visits: u.visits + 1 }));
+    assert.deepStrictEqual(seen, []);
+  });
+
+  test('should be read-only', () => {
+    const source = new Understate({ initial: 1 });
+    const derived = Understate.derive([source], n => n);
+    assert.throws(() => derived.set(n => n + 1), /set\(\): Derived stores are read-only/);
+  });
+
+  test('should detect cycles and keep the previous derived state', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const source = new Understate({ initial: 1 });
+    const derived = Understate.derive([source], n => {
+      if (n > 1) {
+        source.set(m => m + 1);
+      }
+      return n;
+    });
+
+    const seen = [];
+    derived.subscribe(value => seen.push([value, derived.error() && derived.error().name]));
+
+    assert.strictEqual(await source.set(() => 2), 2);
+    assert.strictEqual(derived.peek(), 1);
+    assert.strictEqual(derived.error().name, 'CycleError');
+    assert.deepStrictEqual(seen, [[1, 'CycleError']]);
+    assert.strictEqual(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[0], /Cycle detected/);
+  });
+
+  test('should surface combine errors through error() until a recomputation succeeds', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const source = new Understate({ initial: 1 });
+    const derived = Understate.derive([source], n => {
+      if (n < 0) {
+        throw new RangeError('negative');
+      }
+      return n * 2;
+    });
+    const doubled = Understate.derive([derived], n => n * 2);
+    const seen = [];
+    derived.subscribe(value => seen.push([value, derived.error() && derived.error().message]));
+    assert.strictEqual(derived.error(), undefined);
+
+    await source.set(() => -1);
+    assert.strictEqual(derived.peek(), 2);
+    assert.ok(derived.error() instanceof RangeError);
+    assert.strictEqual(doubled.peek(), 4);
+    assert.strictEqual(doubled.error(), undefined);
+
+    await source.set(() => 3);
+    assert.strictEqual(derived.peek(), 6);
+    assert.strictEqual(derived.error(), undefined);
+    assert.strictEqual(doubled.peek(), 12);
+    assert.deepStrictEqual(seen, [[2, 'negative'], [6, undefined]]);
+  });
+
+  test('should throw TypeError for invalid arguments', () => {
+    const source = new Understate({ initial: 1 });
+    assert.throws(() => Understate.derive([], n => n), { name: 'TypeError', message: /non-empty array/ });
+    assert.throws(() => Understate.derive([source, {}], n => n), { name: 'TypeError', message: /sources\[1\] must be an Understate instance/ });
+    assert.throws(() => Understate.derive([source], 'sum'), { name: 'TypeError', message: /combine must be a function/ });
+    assert.throws(() => Understate.derive([source], n => n, { initial: 0 }), { name: 'TypeError', message: /cannot be configured/ });
+  });
+});
+
+//=============================================================================
+// Combined Store Tests
+//=============================================================================
+
+describe('Understate.combine()', () => {
+  const setup = config => {
+    const todos = new Understate({ initial: [] });
+    const user = new Understate({ initial: { name: 'Ada' } });
+    return { todos, user, root: Understate.combine({ todos, user }, config) };
+  };
+
+  test('should hold the states of its children', () => {
+    const { todos, user, root } = setup();
+    assert.deepStrictEqual(root.peek(), { todos: [], user: { name: 'Ada' } });
+    assert.strictEqual(root.peek().todos, todos.peek());
+    assert.strictEqual(root.peek().user, user.peek());
+  });
+
+  test('should propagate child updates to the root', async () => {
+    const { todos, user, root } = setup({ index: true });
+    const seen = [];
+    root.subscribe((state, id) => seen.push([state, id]));
+
+    await todos.set(list => [...list, 'Write docs']);
+    assert.deepStrictEqual(seen.length, 1);
+    assert.deepStrictEqual(seen[0][0], { todos: ['Write docs'], user: user.peek() });
+    assert.strictEqual(seen[0][1], root.id());
+    assert.deepStrictEqual(await root.get(root.id()), { todos: ['Write docs'], user: { name: 'Ada' } });
+  });
+
+  test('should fan root updates out to the changed children only', async () => {
+    const { todos, user, root } = setup();
+    const calls = [];
+    todos.subscribe(() => calls.push('todos'));
+    user.subscribe(() => calls.push('user'));
+    root.subscribe(() => calls.push('root'));
+
+    await root.set(state => ({ ...state, user: { name: 'Grace' } }));
+    assert.deepStrictEqual(user.peek(), { name: 'Grace' });
+    assert.deepStrictEqual(calls, ['user', 'root']);
+  });
+
+  test('should recompute dependents once when several children change', async () => {
+    const { root } = setup();
+    let runs = 0;
+    const summary = Understate.derive([root], state => {
+      runs++;
+      return `${state.user.name}: ${state.todos.length}`;
+    });
+
+    await root.set(() => ({ todos: ['a', 'b'], user: { name: 'Grace' } }));
+    assert.strictEqual(runs, 2);
+    assert.strictEqual(summary.peek(), 'Grace: 2');
+  });
+
+  test('should keep children whose key is left out', async () => {
+    const { todos, root } = setup();
+    await root.set(() => ({ user: { name: 'Grace' } }));
+    assert.deepStrictEqual(root.peek(), { todos: todos.peek(), user: { name: 'Grace' } });
+  });
+
+  test('should treat results holding the same child states as no-ops', async () => {
+    const { root } = setup();
+    assert.strictEqual(await root.set(state => ({ ...state })), UNCHANGED);
+  });
+
+  test('should pass each child its value through its own schema', async () => {
+    const todos = new Understate({ initial: [] });
+    const count = new Understate({ initial: 0, schema: { type: 'number' } });
+    const root = Understate.combine({ todos, count });
+
+    await assert.rejects(
+      root.set(() => ({ todos: ['Write docs'], count: 'str' })),
+      { name: 'ValidationError', message: /New state of "count" does not match the schema/ }
+    );
+    // No child commits unless every child accepts its value
+    assert.deepStrictEqual(todos.peek(), []);
+    assert.strictEqual(count.peek(), 0);
+    assert.deepStrictEqual(root.peek(), { todos: [], count: 0 });
+  });
+
+  test('should pass each child its value through its own middleware and plugins', async () => {
+    const todos = new Understate({ initial: [] });
+    const seen = [];
+    const count = new Understate({
+      initial: 0,
+      plugins: [{ name: 'test-combine', hooks: { afterSet: (api, state) => seen.push(state) } }]
+    });
+    const root = Understate.combine({ todos, count });
+    const contexts = [];
+    count.use((context, next) => {
+      contexts.push(context);
+      if (context.state > 10) {
+        return;
+      }
+      context.state *= 2;
+      return next();
+    });
+
+    await root.set(() => ({ todos: ['Write docs'], count: 3 }));
+    assert.deepStrictEqual(root.peek(), { todos: ['Write docs'], count: 6 });
+    assert.strictEqual(count.peek(), 6);
+    assert.deepStrictEqual(seen, [6]);
+    assert.strictEqual(contexts[0].parent, root);
+    assert.strictEqual(contexts[0].previous, 0);
+
+    // A child vetoing its value vetoes the whole update
+    assert.strictEqual(await root.set(() => ({ todos: [], count: 100 })), UNCHANGED);
+    assert.deepStrictEqual(root.peek(), { todos: ['Write docs'], count: 6 });
+    assert.deepStrictEqual(todos.peek(), ['Write docs']);
+    assert.deepStrictEqual(seen, [6]);
+  });
+
+  test('should skip children whose equality check finds their value unchanged', async () => {
+    const todos = new Understate({ initial: ['Write docs'], equals: 'deep' });
+    const user = new Understate({ initial: { name: 'Ada' } });
+    const root = Understate.combine({ todos, user });
+    const calls = [];
+    todos.subscribe(() => calls.push('todos'));
+    user.subscribe(() => calls.push('user'));
+
+    await root.set(() => ({ todos: ['Write docs'], user: { name: 'Grace' } }));
+    assert.deepStrictEqual(calls, ['user']);
+    assert.deepStrictEqual(root.peek().user, { name: 'Grace' });
+  });
+
+  test('should reject states that do not match its children', async () => {
+    const { root } = setup();
+    await assert.rejects(root.set(() => ({ settings: {} })), { name: 'TypeError', message: /"settings" is not a child/ });
+    await assert.rejects(root.set(() => 42), { name: 'TypeError', message: /must be an object/ });
+    assert.deepStrictEqual(root.peek(), { todos: [], user: { name: 'Ada' } });
+  });
+
+  test('should throw TypeError for invalid arguments', () => {
+    assert.throws(() => Understate.combine({}), { name: 'TypeError', message: /non-empty object/ });
+    assert.throws(() => Understate.combine({ todos: [] }), { name: 'TypeError', message: /children.todos must be an Understate instance/ });
+    assert.throws(
+      () => Understate.combine({ todos: new Understate() }, { initial: {} }),
+      { name: 'TypeError', message: /cannot be configured/ }
+    );
+  });
+});
+
+//=============================================================================
+// State Machine Tests
+//=============================================================================
+
+describe('Understate.machine()', () => {
+  const request = (states = {}) => Understate.machine({
+    initial: 'idle',
+    context: { data: null, error: null, retries: 0 },
+    states: Object.assign({ idle: {}, loading: {}, success: {}, failure: {} }, states),
+    transitions: {
+      idle: { FETCH: 'loading' },
+      loading: {
+        RESOLVE: { target: 'success', update: (context, event) => ({ ...context, data: event.data, error: null }) },
+        REJECT: { target: 'failure', update: (context, event) => ({ ...context, error: event.error }) }
+      },
+      failure: {
+        RETRY: [
+          { target: 'loading', guard: 'canRetry', update: context => ({ ...context, retries: context.retries + 1 }) },
+          { target: 'idle', guard: context => context.retries >= 2 }
+        ],
+        NOTE: { update: (context, event) => ({ ...context, note: event.note }) }
+      }
+    },
+    guards: {
+      canRetry: context => context.retries < 2
+    }
+  });
+
+  test('should start in the initial state with the initial context', () => {
+    const machine = request();
+    assert.ok(machine instanceof Understate);
+    assert.deepStrictEqual(machine.peek(), { value: 'idle', context: { data: null, error: null, retries: 0 } });
+  });
+
+  test('should follow declared transitions', async () => {
+    const machine = request();
+    const seen = [];
+    machine.subscribe(state => seen.push(state.value));
+
+    assert.deepStrictEqual(await machine.send('FETCH'), { value: 'loading', context: { data: null, error: null, retries: 0 } });
+    const state = await machine.send({ type: 'RESOLVE', data: [1, 2] });
+    assert.deepStrictEqual(state, { value: 'success', context: { data: [1, 2], error: null, retries: 0 } });
+    assert.deepStrictEqual(seen, ['loading', 'success']);
+  });
+
+  test('should reject undeclared transitions and leave the state untouched', async () => {
+    const machine = request();
+    const before = machine.peek();
+    await assert.rejects(machine.send('RESOLVE'), error => {
+      assert.strictEqual(error.name, 'TransitionError');
+      assert.strictEqual(error.message, 'send(): State "idle" has no transition for event "RESOLVE"');
+      assert.strictEqual(error.state, 'idle');
+      assert.deepStrictEqual(error.event, { type: 'RESOLVE' });
+      return true;
+    });
+    assert.strictEqual(machine.peek(), before);
+  });
+
+  test('should take the first transition whose guard passes', async () => {
+    const machine = request();
+    await machine.send('FETCH');
+    await machine.send({ type: 'REJECT', error: 'Timeout' });
+
+    assert.strictEqual((await machine.send('RETRY')).value, 'loading');
+    await machine.send({ type: 'REJECT', error: 'Timeout' });
+    assert.strictEqual((await machine.send('RETRY')).value, 'loading');
+    await machine.send({ type: 'REJECT', error: 'Timeout' });
+    assert.deepStrictEqual(await machine.send('RETRY'), { value: 'idle', context: { data: null, error: 'Timeout', retries: 2 } });
+  });
+
+  test('should resolve to UNCHANGED when every guard fails', async () => {
+    const machine = Understate.machine({
+      initial: 'closed',
+      states: { closed: {}, open: {} },
+      transitions: { closed: { OPEN: { target: 'open', guard: 'unlocked' } } },
+      guards: { unlocked: () => false }
+    });
+    assert.strictEqual(await machine.send('OPEN'), UNCHANGED);
+    assert.strictEqual(machine.peek().value, 'closed');
+  });
+
+  test('should update the context without a target', async () => {
+    const machine = request();
+    await machine.send('FETCH');
+    await machine.send({ type: 'REJECT', error: 'Timeout' });
+    const state = await machine.send({ type: 'NOTE', note: 'Flaky network' });
+    assert.strictEqual(state.value, 'failure');
+    assert.strictEqual(state.context.note, 'Flaky network');
+  });
+
+  test('should run exit and entry actions once the transition commits', async () => {
+    const calls = [];
+    const machine = request({
+      loading: {
+        entry(context, event, self) {
+          calls.push(['enter loading', event.type, self.peek().value]);
+        },
+        exit: context => calls.push(['exit loading', context.error])
+      },
+      failure: { entry: () => calls.push(['enter failure']) }
+    });
+
+    await machine.send('FETCH');
+    await machine.send({ type: 'REJECT', error: 'Timeout' });
+    await machine.send({ type: 'NOTE', note: 'No actions for context-only transitions' });
+
+    assert.deepStrictEqual(calls, [
+      ['enter loading', 'FETCH', 'loading'],
+      ['exit loading', 'Timeout'],
+      ['enter failure']
+    ]);
+  });
+
+  test('should let actions send events', async () => {
+    const machine = request({
+      loading: { entry: (context, event, self) => self.send({ type: 'RESOLVE', data: 'cached' }) }
+    });
+    const seen = [];
+    machine.subscribe(state => seen.push(state.value));
+
+    await machine.send('FETCH');
+    assert.strictEqual(machine.peek().value, 'success');
+    assert.deepStrictEqual(seen, ['loading', 'success']);
+  });
+
+  test('should tell which events are accepted', async () => {
+    const machine = request();
+    assert.strictEqual(machine.can('FETCH'), true);
+    assert.strictEqual(machine.can({ type: 'RESOLVE' }), false);
+    await machine.send('FETCH');
+    assert.strictEqual(machine.can('FETCH'), false);
+  });
+
+  test('should only change state through send()', () => {
+    const machine = request();
+    assert.throws(() => machine.set(() => ({ value: 'success' })), { message: /only change state through send\(\)/ });
+    assert.throws(() => machine.send(42), { name: 'TypeError', message: /^send\(\): event must be/ });
+  });
+
+  test('should reject malformed definitions', () => {
+    const states = { idle: {}, done: {} };
+    assert.throws(() => Understate.machine({ initial: 'idle', states: {} }), { name: 'TypeError', message: /states must be a non-empty object/ });
+    assert.throws(() => Understate.machine({ initial: 'start', states }), { name: 'TypeError', message: /initial must name one of the states/ });
+    assert.throws(
+      () => Understate.machine({ initial: 'idle', states, transitions: { idle: { GO: 'gone' } } }),
+      { name: 'TypeError', message: /transitions\.idle\.GO targets unknown state "gone"/ }
+    );
+    assert.throws(
+      () => Understate.machine({ initial: 'idle', states, transitions: { idle: { GO: { target: 'done', guard: 'ready' } } } }),
+      { name: 'TypeError', message: /uses unknown guard "ready"/ }
+    );
+    assert.throws(
+      () => Understate.machine({ initial: 'idle', states, transitions: { busy: {} } }),
+      { name: 'TypeError', message: /transitions\.busy does not match any state/ }
+    );
+    assert.throws(
+      () => Understate.machine({ initial: 'idle', states }, { asynchronous: true }),
+      { name: 'TypeError', message: /asynchronous option does not apply/ }
+    );
+  });
+});
+
+//=============================================================================
+// Resource Tests
+//=============================================================================
+
+describe('Understate.resource()', () => {
+  // A fetcher whose requests are settled by hand
+  const controlled = () => {
+    const requests = [];
+    const fetcher = (...args) => new Promise((resolve, reject) => requests.push({ args, resolve, reject }));
+    return { fetcher, requests };
+  };
+
+  test('should validate the fetcher, options and config', () => {
+    assert.throws(() => Understate.resource('url'), /resource\(\): fetcher must be a function/);
+    assert.throws(() => Understate.resource(() => 1, { staleTime: -1 }), /resource\(\): staleTime must be a non-negative number/);
+    assert.throws(() => Understate.resource(() => 1, { key: 'id' }), /resource\(\): key must be a function/);
+    assert.throws(() => Understate.resource(() => 1, { staleWhileRevalidate: 'yes' }), /staleWhileRevalidate must be a boolean/);
+    assert.throws(() => Understate.resource(() => 1, {}, { initial: 1 }), /The initial option does not apply to resources/);
+  });
+
+  test('should track loading, success and error', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher);
+    assert.deepStrictEqual(user.peek(), { status: 'idle', data: undefined, error: null, updatedAt: null, fetching: false, args: [] });
+
+    const loaded = user.load(1);
+    assert.strictEqual(user.peek().status, 'loading');
+    assert.strictEqual(user.peek().fetching, true);
+    assert.deepStrictEqual(user.peek().args, [1]);
+    requests[0].resolve({ name: 'Ada' });
+    assert.deepStrictEqual(await loaded, { name: 'Ada' });
+    assert.strictEqual(user.peek().status, 'success');
+    assert.strictEqual(user.peek().fetching, false);
+    assert.strictEqual(typeof user.peek().updatedAt, 'number');
+
+    const failed = user.refetch();
+    requests[1].reject(new Error('Offline'));
+    await assert.rejects(failed, /Offline/);
+    assert.strictEqual(user.peek().status, 'error');
+    assert.strictEqual(user.peek().error.message, 'Offline');
+    assert.deepStrictEqual(user.peek().data, { name: 'Ada' });
+  });
+
+  test('should deduplicate pending requests and cache fresh data by key', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher, { staleTime: 60000 });
+
+    const first = user.load(1);
+    const second = user.load(1);
+    assert.strictEqual(requests.length, 1);
+    requests[0].resolve('one');
+    assert.deepStrictEqual(await Promise.all([first, second]), ['one', 'one']);
+
+    assert.strictEqual(await user.load(1), 'one');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(user.isStale(1), false);
+
+    const other = user.load(2);
+    assert.strictEqual(user.peek().status, 'loading');
+    requests[1].resolve('two');
+    assert.strictEqual(await other, 'two');
+
+    // Switching back shows the cached data at once
+    assert.strictEqual(await user.load(1), 'one');
+    assert.strictEqual(user.peek().data, 'one');
+    assert.strictEqual(requests.length, 2);
+  });
+
+  test('should keep stale data while revalidating unless disabled', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher);
+    const loaded = user.load(1);
+    requests[0].resolve('old');
+    await loaded;
+
+    assert.strictEqual(user.isStale(), true);
+    const revalidated = user.load(1);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(user.peek().status, 'success');
+    assert.strictEqual(user.peek().data, 'old');
+    assert.strictEqual(user.peek().fetching, true);
+    requests[1].resolve('new');
+    assert.strictEqual(await revalidated, 'new');
+    assert.strictEqual(user.peek().data, 'new');
+
+    const strict = controlled();
+    const report = Understate.resource(strict.fetcher, { staleWhileRevalidate: false });
+    const first = report.load();
+    strict.requests[0].resolve('old');
+    await first;
+    report.load();
+    assert.strictEqual(report.peek().status, 'loading');
+    assert.strictEqual(report.peek().data, undefined);
+  });
+
+  test('should let only the latest overlapping request settle the state', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher);
+    const first = user.load(1);
+    const second = user.refetch();
+    requests[1].resolve('latest');
+    requests[0].resolve('superseded');
+    assert.strictEqual(await second, 'latest');
+    assert.strictEqual(await first, 'superseded');
+    assert.strictEqual(user.peek().data, 'latest');
+    assert.strictEqual(user.peek().fetching, false);
+  });
+
+  test('should revalidate the shown data on invalidation and mark the rest stale', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher, { staleTime: 60000 });
+    const one = user.load(1);
+    requests[0].resolve('one');
+    await one;
+    const two = user.load(2);
+    requests[1].resolve('two');
+    await two;
+
+    const invalidated = user.invalidate(1);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(user.isStale(1), true);
+    assert.strictEqual(user.isStale(2), false);
+
+    const all = user.invalidate();
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(requests[2].args, [2]);
+    requests[2].reject(new Error('Offline'));
+    assert.strictEqual(await all, undefined);
+    await invalidated;
+    assert.strictEqual(user.peek().status, 'error');
+
+    const reloaded = user.load(1);
+    assert.strictEqual(requests.length, 4);
+    requests[3].resolve('one again');
+    assert.strictEqual(await reloaded, 'one again');
+  });
+
+  test('should not mark data fresh when invalidated while it was being fetched', async () => {
+    const { fetcher, requests } = controlled();
+    const user = Understate.resource(fetcher, { staleTime: 60000 });
+    const other = user.load(2);
+    const pending = user.load(1);
+    user.invalidate(2);
+    requests[0].resolve('two');
+    requests[1].resolve('one');
+    await Promise.all([other, pending]);
+    assert.strictEqual(user.isStale(2), true);
+    assert.strictEqual(user.isStale(1), false);
+  });
+
+  test('should notify subscribers and compute keys with the key option', async () => {
+    const calls = [];
+    const search = Understate.resource(query => {
+      calls.push(query);
+      return query.text.toUpperCase();
+    }, { key: query => query.text.toLowerCase(), staleTime: 60000 });
+    const statuses = [];
+    search.subscribe(state => statuses.push(state.status));
+
+    assert.strictEqual(await search.load({ text: 'Ada' }), 'ADA');
+    assert.strictEqual(await search.load({ text: 'ADA' }), 'ADA');
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(statuses, ['loading', 'success']);
+  });
+});
+
 //=============================================================================
 // id() Method Tests
 //=============================================================================
@@ -908,6 +3814,352 @@ describe('Understate.id()', () => {
   });
 });
 
+//=============================================================================
+// Entity Adapter Tests
+//=============================================================================
+
+describe('createEntityAdapter()', () => {
+  const todo = (id, title, extra = {}) => Object.assign({ id, title }, extra);
+
+  test('should validate its options and arguments', () => {
+    assert.throws(() => createEntityAdapter({ selectId: 'id' }), /createEntityAdapter\(\): selectId must be a function/);
+    assert.throws(() => createEntityAdapter({ sortComparer: true }), /createEntityAdapter\(\): sortComparer must be a function/);
+    const adapter = createEntityAdapter();
+    assert.throws(() => adapter.addOne(null), /addOne\(\): entities must be objects/);
+    assert.throws(() => adapter.addMany([{ title: 'No id' }]), /addMany\(\): selectId must return a string or a number/);
+    assert.throws(() => adapter.updateOne({ id: 1 }), /updateOne\(\): updates must be objects/);
+    assert.throws(() => adapter.removeMany(1), /removeMany\(\): ids must be an array/);
+  });
+
+  test('should add records in order, ignoring taken ids', () => {
+    const adapter = createEntityAdapter();
+    const initial = adapter.getInitialState({ filter: 'all' });
+    assert.deepStrictEqual(initial, { filter: 'all', ids: [], entities: {} });
+
+    const first = adapter.addMany([todo(1, 'a'), todo(2, 'b')])(initial);
+    const second = adapter.addOne(todo(1, 'changed'))(first);
+    assert.strictEqual(second, first);
+    const third = adapter.addOne(todo(3, 'c'))(first);
+    assert.deepStrictEqual(third.ids, [1, 2, 3]);
+    assert.strictEqual(third.entities[1], first.entities[1]);
+    assert.strictEqual(third.filter, 'all');
+  });
+
+  test('should upsert, update and remove records', () => {
+    const adapter = createEntityAdapter();
+    var state = adapter.setAll([todo(1, 'a'), todo(2, 'b')])(adapter.getInitialState());
+
+    state = adapter.upsertMany([todo(2, 'B'), todo(3, 'c', { done: true })])(state);
+    assert.deepStrictEqual(state.ids, [1, 2, 3]);
+    assert.deepStrictEqual(state.entities[2], todo(2, 'B'));
+
+    const unchanged = state.entities[1];
+    state = adapter.updateOne({ id: 3, changes: { done: false } })(state);
+    assert.deepStrictEqual(state.entities[3], todo(3, 'c', { done: false }));
+    assert.strictEqual(state.entities[1], unchanged);
+    assert.strictEqual(adapter.updateOne({ id: 9, changes: { done: true } })(state), state);
+
+    state = adapter.updateOne({ id: 1, changes: { id: 10 } })(state);
+    assert.deepStrictEqual(state.ids, [10, 2, 3]);
+    assert.strictEqual(state.entities[1], undefined);
+    assert.strictEqual(state.entities[10].title, 'a');
+
+    assert.strictEqual(adapter.removeOne(9)(state), state);
+    state = adapter.removeMany([2, 10])(state);
+    assert.deepStrictEqual(state.ids, [3]);
+    assert.deepStrictEqual(Object.keys(state.entities), ['3']);
+    state = adapter.removeAll()(state);
+    assert.deepStrictEqual(state, adapter.getInitialState());
+  });
+
+  test('should match ids given as strings or numbers when updating', () => {
+    const adapter = createEntityAdapter();
+    const state = adapter.addMany([todo(1, 'a'), todo(2, 'b')])(adapter.getInitialState());
+
+    const updated = adapter.updateOne({ id: '1', changes: { done: true } })(state);
+    assert.deepStrictEqual(updated.ids, [1, 2]);
+    assert.deepStrictEqual(updated.entities[1], todo(1, 'a', { done: true }));
+
+    const moved = adapter.updateOne({ id: '1', changes: { id: 3 } })(state);
+    assert.deepStrictEqual(moved.ids, [3, 2]);
+    assert.deepStrictEqual(Object.keys(moved.entities), ['2', '3']);
+  });
+
+  test('should list a record once when setAll() gets its id as a string and a number', () => {
+    const adapter = createEntityAdapter();
+    const { selectAll, selectTotal } = adapter.getSelectors();
+    const state = adapter.setAll([todo(1, 'a'), todo('1', 'b'), todo(2, 'c')])(adapter.getInitialState());
+
+    assert.deepStrictEqual(state.ids, [1, 2]);
+    assert.deepStrictEqual(state.entities[1], todo('1', 'b'));
+    assert.strictEqual(selectTotal(state), 2);
+    assert.deepStrictEqual(selectAll(state), [todo('1', 'b'), todo(2, 'c')]);
+  });
+
+  test('should keep the ids sorted with a sortComparer', () => {
+    const adapter = createEntityAdapter({
+      selectId: entity => entity.key,
+      sortComparer: (a, b) => a.title.localeCompare(b.title)
+    });
+    var state = adapter.addMany([{ key: 'x', title: 'b' }, { key: 'y', title: 'c' }])(adapter.getInitialState());
+    state = adapter.addOne({ key: 'z', title: 'a' })(state);
+    assert.deepStrictEqual(state.ids, ['z', 'x', 'y']);
+    state = adapter.updateOne({ id: 'z', changes: { title: 'd' } })(state);
+    assert.deepStrictEqual(state.ids, ['x', 'y', 'z']);
+    state = adapter.setAll([{ key: 'q', title: 'b' }, { key: 'r', title: 'a' }, { key: 'q', title: 'c' }])(state);
+    assert.deepStrictEqual(state.ids, ['r', 'q']);
+    assert.strictEqual(state.entities.q.title, 'c');
+  });
+
+  test('should memoize selectAll and read nested collections', () => {
+    const adapter = createEntityAdapter();
+    const { selectAll, selectById, selectTotal, selectIds } = adapter.getSelectors(state => state.todos);
+    const first = { todos: adapter.addMany([todo(1, 'a'), todo(2, 'b')])(adapter.getInitialState()), user: 'x' };
+
+    const all = selectAll(first);
+    assert.deepStrictEqual(all, [todo(1, 'a'), todo(2, 'b')]);
+    assert.strictEqual(selectAll(Object.assign({}, first, { user: 'y' })), all);
+    assert.strictEqual(selectTotal(first), 2);
+    assert.deepStrictEqual(selectIds(first), [1, 2]);
+    assert.deepStrictEqual(selectById(first, 2), todo(2, 'b'));
+    assert.strictEqual(selectById(first, 'constructor'), undefined);
+
+    const second = { todos: adapter.updateOne({ id: 1, changes: { done: true } })(first.todos) };
+    assert.notStrictEqual(selectAll(second), all);
+    assert.strictEqual(selectAll(second)[1], all[1]);
+  });
+
+  test('should drive a store through set() and select()', async () => {
+    const adapter = createEntityAdapter();
+    const { selectAll, selectTotal } = adapter.getSelectors();
+    const store = new Understate({ initial: adapter.getInitialState() });
+    const totals = [];
+    store.select(selectTotal).subscribe(total => totals.push(total));
+
+    await store.set(adapter.addOne(todo(1, 'a')));
+    await store.set(adapter.addOne(todo(2, 'b')));
+    await store.set(adapter.updateOne({ id: 2, changes: { done: true } }));
+    await store.set(adapter.removeOne(1));
+
+    assert.deepStrictEqual(selectAll(store.peek()), [todo(2, 'b', { done: true })]);
+    assert.deepStrictEqual(totals, [1, 2, 1]);
+  });
+});
+
+//=============================================================================
+// Form Tests
+//=============================================================================
+
+describe('validators', () => {
+  const { required, minLength, pattern, email, matches, compose } = validators;
+
+  test('should check required values', () => {
+    const check = required('Missing');
+    assert.strictEqual(check('x'), undefined);
+    assert.strictEqual(check(0), undefined);
+    ['', '  ', null, undefined, []].forEach(value => assert.strictEqual(check(value), 'Missing'));
+  });
+
+  test('should let other validators pass empty values', () => {
+    [minLength(3), pattern(/^\d+$/), email(), matches('other')].forEach(check => {
+      assert.strictEqual(check('', { other: 'x' }), undefined);
+    });
+  });
+
+  test('should check lengths, patterns and emails', () => {
+    assert.strictEqual(minLength(3)('ab'), 'Must be at least 3 characters long');
+    assert.strictEqual(minLength(3)('abc'), undefined);
+    const digits = pattern(/\d+/g, 'Digits only');
+    assert.strictEqual(digits('12'), undefined);
+    assert.strictEqual(digits('12'), undefined);
+    assert.strictEqual(digits('ab'), 'Digits only');
+    assert.strictEqual(email()('user@example.com'), undefined);
+    assert.strictEqual(email('Bad email')('user@'), 'Bad email');
+    assert.strictEqual(email()('josé@example.com'), 'Invalid email address');
+    assert.strictEqual(email('Bad email', { unicode: true })('josé@example.com'), undefined);
+  });
+
+  test('should compare with another field and declare the dependency', () => {
+    const check = matches('password', 'Passwords differ');
+    assert.deepStrictEqual(check.fields, ['password']);
+    assert.strictEqual(check('secret', { password: 'secret' }), undefined);
+    assert.strictEqual(check('secret', { password: 'other' }), 'Passwords differ');
+  });
+
+  test('should compose validators, stopping at the first error', async () => {
+    const calls = [];
+    const check = compose(
+      value => { calls.push('first'); return value ? undefined : 'Empty'; },
+      [value => { calls.push('async'); return Promise.resolve(value === 'taken' ? 'Taken' : undefined); }],
+      matches('other')
+    );
+    assert.strictEqual(check(''), 'Empty');
+    assert.deepStrictEqual(calls, ['first']);
+    assert.strictEqual(await check('taken', {}), 'Taken');
+    assert.strictEqual(await check('free', { other: 'x' }), 'Must match other');
+    assert.deepStrictEqual(check.fields, ['other']);
+  });
+
+  test('should reject invalid arguments', () => {
+    assert.throws(() => minLength('3'), { name: 'TypeError', message: /^minLength\(\)/ });
+    assert.throws(() => pattern('^a'), { name: 'TypeError', message: /^pattern\(\)/ });
+    assert.throws(() => matches(1), { name: 'TypeError', message: /^matches\(\)/ });
+    assert.throws(() => compose(required(), 'x'), { name: 'TypeError', message: /^compose\(\)/ });
+  });
+});
+
+describe('createForm()', () => {
+  const { required, minLength, email, matches } = validators;
+  const signup = config => createForm(Object.assign({
+    fields: { email: '', password: '', confirm: '' },
+    validators: {
+      email: [required(), email()],
+      password: [required(), minLength(6)],
+      confirm: matches('password', 'Passwords differ')
+    }
+  }, config));
+
+  test('should start clean and be backed by an Understate instance', () => {
+    const form = signup();
+    assert.ok(form.store instanceof Understate);
+    assert.deepStrictEqual(form.peek(), {
+      values: { email: '', password: '', confirm: '' },
+      dirty: { email: false, password: false, confirm: false },
+      touched: { email: false, password: false, confirm: false },
+      errors: {},
+      formError: undefined,
+      validating: {},
+      valid: true,
+      submitCount: 0,
+      submitStatus: 'idle',
+      submitError: undefined
+    });
+  });
+
+  test('should track values, dirty flags and errors', async () => {
+    const form = signup();
+    const states = [];
+    form.subscribe(state => states.push(state));
+
+    assert.strictEqual(await form.setValue('email', 'ada'), false);
+    assert.deepStrictEqual(form.peek().errors, { email: 'Invalid email address' });
+    assert.strictEqual(form.peek().valid, false);
+    assert.strictEqual(form.peek().dirty.email, true);
+
+    assert.strictEqual(await form.setValue('email', 'ada@example.com'), true);
+    assert.deepStrictEqual(form.peek().errors, {});
+    assert.strictEqual(form.peek().valid, true);
+
+    await form.setValue('email', '');
+    assert.strictEqual(form.peek().dirty.email, false);
+    assert.ok(states.length > 0);
+  });
+
+  test('should revalidate fields depending on a changed field', async () => {
+    const form = signup();
+    await form.setValues({ password: 'secret1', confirm: 'secret1' });
+    assert.deepStrictEqual(form.peek().errors, {});
+
+    assert.strictEqual(await form.setValue('password', 'secret2'), false);
+    assert.deepStrictEqual(form.peek().errors, { confirm: 'Passwords differ' });
+  });
+
+  test('should track touched fields', async () => {
+    const form = signup();
+    await form.touch('email');
+    assert.deepStrictEqual(form.peek().touched, { email: true, password: false, confirm: false });
+  });
+
+  test('should run asynchronous validators and discard stale results', async () => {
+    const resolvers = [];
+    const form = createForm({
+      fields: { username: '' },
+      validators: { username: () => new Promise(resolve => resolvers.push(resolve)) }
+    });
+
+    const first = form.setValue('username', 'ada');
+    assert.deepStrictEqual(form.peek().validating, { username: true });
+    const second = form.setValue('username', 'grace');
+
+    resolvers[1](undefined);
+    assert.strictEqual(await second, true);
+    resolvers[0]('Taken');
+    assert.strictEqual(await first, false);
+
+    assert.deepStrictEqual(form.peek().validating, {});
+    assert.deepStrictEqual(form.peek().errors, {});
+  });
+
+  test('should record form-level errors', async () => {
+    const form = signup({
+      validate: values => values.email.endsWith('@example.com') ? 'Use your work address' : undefined
+    });
+    await form.setValue('email', 'ada@example.com');
+    assert.strictEqual(form.peek().formError, 'Use your work address');
+    assert.strictEqual(form.peek().valid, false);
+    assert.strictEqual(await form.validate(), false);
+  });
+
+  test('should not submit invalid forms', async () => {
+    const form = signup();
+    const submitted = [];
+    assert.strictEqual(await form.submit(values => submitted.push(values)), false);
+    assert.deepStrictEqual(submitted, []);
+
+    const state = form.peek();
+    assert.strictEqual(state.submitStatus, 'invalid');
+    assert.strictEqual(state.submitCount, 1);
+    assert.deepStrictEqual(state.touched, { email: true, password: true, confirm: true });
+    assert.deepStrictEqual(Object.keys(state.errors), ['email', 'password']);
+  });
+
+  test('should track the status of submissions', async () => {
+    const form = signup();
+    await form.setValues({ email: 'ada@example.com', password: 'secret1', confirm: 'secret1' });
+
+    var finish;
+    const pending = form.submit(values => new Promise(resolve => { finish = () => resolve(values); }));
+    assert.strictEqual(form.peek().submitStatus, 'submitting');
+    await assert.rejects(form.submit(() => {}), { message: /already being submitted/ });
+    await new Promise(resolve => setImmediate(resolve));
+    finish();
+    assert.strictEqual(await pending, true);
+    assert.strictEqual(form.peek().submitStatus, 'succeeded');
+
+    const failure = new Error('Server down');
+    await assert.rejects(form.submit(() => Promise.reject(failure)), failure);
+    assert.strictEqual(form.peek().submitStatus, 'failed');
+    assert.strictEqual(form.peek().submitError, failure);
+    assert.strictEqual(form.peek().submitCount, 2);
+  });
+
+  test('should reset to the initial values', async () => {
+    const form = signup();
+    await form.setValue('email', 'ada');
+    await form.reset();
+    assert.deepStrictEqual(form.peek(), signup().peek());
+
+    await form.reset({ email: 'ada@example.com' });
+    assert.strictEqual(form.peek().values.email, 'ada@example.com');
+    await form.setValue('email', 'ada@example.com');
+    assert.strictEqual(form.peek().dirty.email, false);
+  });
+
+  test('should reject invalid configuration and unknown fields', () => {
+    assert.throws(() => createForm(), { name: 'TypeError', message: /fields must be an object/ });
+    assert.throws(
+      () => createForm({ fields: { a: '' }, validators: { b: required() } }),
+      { name: 'TypeError', message: /validators\.b does not match any field/ }
+    );
+    assert.throws(
+      () => createForm({ fields: { a: '' }, validate: 'yes' }),
+      { name: 'TypeError', message: /validate must be a function/ }
+    );
+    assert.throws(() => signup().setValue('name', 'Ada'), { name: 'TypeError', message: /^setValue\(\): Unknown field "name"/ });
+    assert.throws(() => signup().submit(), { name: 'TypeError', message: /^submit\(\)/ });
+  });
+});
+
 //=============================================================================
 // Integration Tests
 //=============================================================================